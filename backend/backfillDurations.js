@@ -0,0 +1,102 @@
+// Load environment variables before any module reads them
+import './loadEnv.js';
+
+import mongoose from 'mongoose';
+import path from 'path';
+import Video from './models/Video.js';
+import { getStorage } from './storage/index.js';
+import { getMediaDuration, formatDuration } from './utils/mediaDuration.js';
+
+// Number of updates sent to MongoDB per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Display Duration Parser
+ *
+ * Converts a stored "M:SS" or "H:MM:SS" duration into seconds. Returns null
+ * for malformed values and "0:00" (the placeholder for unknown durations).
+ */
+const parseDisplayDuration = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, hours = 0, minutes, seconds] = match;
+  const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return total > 0 ? total : null;
+};
+
+/**
+ * Stored Media Duration Reader
+ *
+ * Reads the duration from the headers of the stored video file. Only
+ * possible with the local storage driver; S3 objects are skipped.
+ */
+const readStoredDuration = async (video) => {
+  const storage = getStorage();
+  if (!storage.rootDir || !video.videoFile?.path) return null;
+  return getMediaDuration(path.join(storage.rootDir, video.videoFile.path), video.videoFile.mimeType);
+};
+
+/**
+ * Duration Backfill
+ *
+ * Fills in `durationSeconds` for videos saved before it existed, which only
+ * have the display `duration` string. Falls back to the stored file's
+ * headers when the string is missing or "0:00", and rewrites the display
+ * duration to match. Videos whose duration cannot be found keep 0. Safe to
+ * run repeatedly.
+ */
+async function backfillDurations() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    let operations = [];
+    let updated = 0;
+    let unknown = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Video.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    };
+
+    const videos = Video.find({ $or: [{ durationSeconds: { $exists: false } }, { durationSeconds: { $lte: 0 } }] })
+      .select('duration videoFile')
+      .lean()
+      .cursor();
+
+    for await (const video of videos) {
+      let durationSeconds = parseDisplayDuration(video.duration);
+      if (durationSeconds === null) {
+        const stored = await readStoredDuration(video);
+        durationSeconds = stored ? Math.round(stored) : null;
+      }
+
+      if (!durationSeconds) {
+        unknown++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: video._id },
+          update: { $set: { durationSeconds, duration: formatDuration(durationSeconds) } }
+        }
+      });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`⏱️ Set the duration of ${updated} videos (${unknown} still unknown)`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error backfilling durations:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill function
+backfillDurations();
@@ -0,0 +1,59 @@
+// Load environment variables before any module reads them
+import './loadEnv.js';
+
+import mongoose from 'mongoose';
+import Video from './models/Video.js';
+import Like from './models/Like.js';
+
+// Number of upserts sent to MongoDB per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Like Backfill
+ *
+ * Creates a Like document for every user ID found in a video's `userLikes`
+ * array that does not have one yet (likes made before the liked videos list
+ * existed). The original like time is unknown, so the video's upload date is
+ * used. Safe to run repeatedly.
+ */
+async function backfillLikes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    let operations = [];
+    let created = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Like.bulkWrite(operations, { ordered: false });
+      created += result.upsertedCount;
+      operations = [];
+    };
+
+    const videos = Video.find({ 'userLikes.0': { $exists: true } }).select('userLikes uploadDate').cursor();
+    for await (const video of videos) {
+      for (const userId of video.userLikes) {
+        operations.push({
+          updateOne: {
+            filter: { user: userId, video: video._id },
+            update: { $setOnInsert: { likedAt: video.uploadDate } },
+            upsert: true
+          }
+        });
+      }
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`❤️ Created ${created} missing like records`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error backfilling likes:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill function
+backfillLikes();
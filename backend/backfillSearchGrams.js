@@ -0,0 +1,69 @@
+// Load environment variables before any module reads them
+import './loadEnv.js';
+
+import mongoose from 'mongoose';
+import Video from './models/Video.js';
+import Channel from './models/Channel.js';
+import { buildSearchGrams } from './utils/searchText.js';
+
+// Number of updates sent to MongoDB per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Batched Gram Writer
+ *
+ * Streams every document of a model and stores the search trigrams built
+ * from its fields, in batches. Returns the number of documents updated.
+ */
+async function backfillModel(Model, fields, toGrams) {
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Model.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const documents = Model.find().select(fields).lean().cursor();
+  for await (const document of documents) {
+    operations.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: { searchGrams: toGrams(document) } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+/**
+ * Search Gram Backfill
+ *
+ * Builds the fuzzy search trigrams of videos (title and tags) and channels
+ * (name) saved before fuzzy search existed. New and edited documents get
+ * them automatically. Safe to run repeatedly.
+ */
+async function backfillSearchGrams() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const videos = await backfillModel(Video, 'title tags', video => buildSearchGrams(video.title, ...(video.tags || [])));
+    const channels = await backfillModel(Channel, 'channelName', channel => buildSearchGrams(channel.channelName));
+
+    console.log(`🔎 Updated search trigrams of ${videos} videos and ${channels} channels`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error backfilling search trigrams:', error);
+    process.exit(1);
+  }
+}
+
+// Run backfill function
+backfillSearchGrams();
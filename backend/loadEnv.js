@@ -0,0 +1,11 @@
+/**
+ * Environment Loader
+ *
+ * Loads config.env into process.env. Imported first by the server and the
+ * maintenance scripts, so every other module can read its configuration
+ * when it is loaded.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config({ path: './config.env' });
@@ -8,6 +8,21 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
+/**
+ * Login Token Verification Helper
+ * 
+ * Verifies a JWT and returns its payload. Tokens issued for a narrower
+ * purpose (stream, view and viewer tokens) carry a `purpose` claim and are
+ * rejected, so they can never be used to sign in.
+ */
+export const verifyLoginToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Not a login token');
+  }
+  return decoded;
+};
+
 /**
  * Required Authentication Middleware
  * 
@@ -27,7 +42,7 @@ export const auth = async (req, res, next) => {
     }
 
     // Verify and decode JWT token using secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyLoginToken(token);
     
     // Find user by ID from decoded token, excluding password field
     const user = await User.findById(decoded.userId).select('-password');
@@ -63,7 +78,7 @@ export const optionalAuth = async (req, res, next) => {
     
     // If token exists, verify it and attach user data
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyLoginToken(token);
       const user = await User.findById(decoded.userId).select('-password');
       req.user = user;
     }
@@ -0,0 +1,202 @@
+/**
+ * Media Upload Middleware
+ *
+ * This module configures multer for multipart media uploads (videos, thumbnails,
+ * channel banners and avatars). Files are validated by MIME type, file
+ * signature and size and written to a local temporary directory; routes then
+ * hand them to the media storage driver. Also exposes the limits shared with resumable uploads.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+import { generateFileName } from '../storage/index.js';
+import { matchesMediaSignature } from '../utils/mediaSignature.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local scratch directory for incoming files and partial resumable uploads
+export const TEMP_DIR = path.join(__dirname, '..', 'uploads', 'tmp');
+
+/**
+ * Accepted Media Types
+ *
+ * MIME types allowed for uploaded videos and images.
+ */
+export const VIDEO_MIME_TYPES = ['video/mp4', 'video/webm'];
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Per-field upload rules with size limits from config.env
+const VIDEO_MAX_SIZE = (parseInt(process.env.MAX_VIDEO_SIZE_MB) || 500) * 1024 * 1024;
+const IMAGE_MAX_SIZE = (parseInt(process.env.MAX_THUMBNAIL_SIZE_MB) || 5) * 1024 * 1024;
+const FIELD_RULES = {
+  video: {
+    mimeTypes: VIDEO_MIME_TYPES,
+    maxSize: VIDEO_MAX_SIZE
+  },
+  thumbnail: {
+    mimeTypes: IMAGE_MIME_TYPES,
+    maxSize: IMAGE_MAX_SIZE
+  },
+  banner: {
+    mimeTypes: IMAGE_MIME_TYPES,
+    maxSize: IMAGE_MAX_SIZE
+  },
+  avatar: {
+    mimeTypes: IMAGE_MIME_TYPES,
+    maxSize: IMAGE_MAX_SIZE
+  }
+};
+
+/**
+ * Upload Size Limit Helpers
+ *
+ * Maximum accepted size in bytes for uploaded videos and thumbnails.
+ */
+export const getMaxVideoSize = () => FIELD_RULES.video.maxSize;
+export const getMaxThumbnailSize = () => FIELD_RULES.thumbnail.maxSize;
+
+/**
+ * Disk Storage Configuration
+ *
+ * Writes each file into the temporary directory under a random name,
+ * so user-supplied file names never reach the file system.
+ */
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(TEMP_DIR, { recursive: true }, (err) => cb(err, TEMP_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, generateFileName(file.mimetype));
+  }
+});
+
+/**
+ * MIME Type Filter
+ *
+ * Rejects files whose MIME type is not allowed for their form field.
+ */
+const fileFilter = (req, file, cb) => {
+  const rules = FIELD_RULES[file.fieldname];
+  if (!rules || !rules.mimeTypes.includes(file.mimetype)) {
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = `Unsupported file type for ${file.fieldname}: ${file.mimetype}`;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+/**
+ * Multer Instance Factory
+ *
+ * Builds a multer handler accepting one file for each of the given fields.
+ */
+const createUpload = (fieldNames) => multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (!fieldNames.includes(file.fieldname)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    fileFilter(req, file, cb);
+  },
+  limits: {
+    // Multer limits are global, so the per-field limits are checked after upload
+    fileSize: Math.max(...fieldNames.map(name => FIELD_RULES[name].maxSize)),
+    files: fieldNames.length
+  }
+}).fields(fieldNames.map(name => ({ name, maxCount: 1 })));
+
+/**
+ * Uploaded File Cleanup Utility
+ *
+ * Removes every temporary file multer wrote for the current request.
+ * Used when a request fails before its files were handed to storage.
+ */
+export const removeUploadedFiles = async (req) => {
+  const files = Object.values(req.files || {}).flat();
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Local File Descriptor Helper
+ *
+ * Converts a multer file into the descriptor accepted by storeMedia().
+ */
+export const toLocalFile = (file) => ({
+  localPath: file.path,
+  mimeType: file.mimetype,
+  size: file.size
+});
+
+/**
+ * Upload Middleware Factory
+ *
+ * Wraps a multer handler so upload errors become JSON responses:
+ * 413 for oversized files and 400 for invalid ones, including files whose
+ * content does not match their reported MIME type.
+ */
+const handleUpload = (fieldNames) => (req, res, next) => {
+  createUpload(fieldNames)(req, res, async (err) => {
+    if (err) {
+      await removeUploadedFiles(req);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: 'Uploaded file is too large' });
+      }
+      return res.status(400).json({ message: err.message || 'Invalid file upload' });
+    }
+
+    // Enforce the per-field size limits
+    for (const [field, files] of Object.entries(req.files || {})) {
+      const { maxSize } = FIELD_RULES[field];
+      if (files.some(file => file.size > maxSize)) {
+        await removeUploadedFiles(req);
+        return res.status(413).json({
+          message: `${field} file cannot exceed ${Math.round(maxSize / (1024 * 1024))} MB`
+        });
+      }
+    }
+
+    // Check the file contents against the reported MIME types
+    for (const [field, files] of Object.entries(req.files || {})) {
+      for (const file of files) {
+        if (!(await matchesMediaSignature(file.path, file.mimetype))) {
+          await removeUploadedFiles(req);
+          return res.status(400).json({ message: `${field} file is not a valid ${file.mimetype} file` });
+        }
+      }
+    }
+
+    next();
+  });
+};
+
+/**
+ * Video Upload Middleware
+ *
+ * Accepts a `video` file and a `thumbnail` image as multipart form data.
+ */
+export const uploadVideoFiles = handleUpload(['video', 'thumbnail']);
+
+/**
+ * Thumbnail Upload Middleware
+ *
+ * Accepts a single `thumbnail` image as multipart form data.
+ * Used when the video itself arrived through a resumable upload session.
+ */
+export const uploadThumbnailFile = handleUpload(['thumbnail']);
+
+/**
+ * Channel Banner Upload Middleware
+ *
+ * Accepts an optional `banner` image alongside channel form fields.
+ */
+export const uploadBannerFile = handleUpload(['banner']);
+
+/**
+ * Avatar Upload Middleware
+ *
+ * Accepts a single `avatar` image for the user's profile picture.
+ */
+export const uploadAvatarFile = handleUpload(['avatar']);
@@ -6,6 +6,8 @@
  */
 
 import mongoose from 'mongoose';
+import { CATEGORY_LABELS } from '../utils/categories.js';
+import { buildSearchGrams } from '../utils/searchText.js';
 
 /**
  * Channel Schema Definition
@@ -21,6 +23,13 @@ const channelSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Channel name cannot exceed 50 characters']
   },
+
+  // Word trigrams of the channel name for fuzzy search, derived on save
+  // and update (see utils/fuzzySearch.js); never sent to clients
+  searchGrams: {
+    type: [String],
+    select: false
+  },
   
   // Reference to the user who owns this channel
   owner: {
@@ -42,6 +51,13 @@ const channelSchema = new mongoose.Schema({
     default: 'https://example.com/banners/default_banner.png'
   },
   
+  // Stored banner file metadata (only set for banners uploaded through the API)
+  bannerFile: {
+    path: String,     // Storage key of the image (e.g., banners/1700000000000_ab12cd.png)
+    mimeType: String,
+    size: Number
+  },
+  
   // Count of users subscribed to this channel
   subscribers: {
     type: Number,
@@ -58,12 +74,8 @@ const channelSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Channel category is required'],
-    // Predefined categories for consistent content organization
-    enum: [
-      'Gaming', 'Education', 'Entertainment', 'Technology', 
-      'Music', 'Sports', 'News', 'Lifestyle', 'Comedy', 
-      'Travel', 'Food', 'Fitness'
-    ]
+    // Predefined categories shared with videos (see utils/categories.js)
+    enum: CATEGORY_LABELS
   },
   
   // Timestamp when channel was created
@@ -73,6 +85,46 @@ const channelSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Text Search Index
+ * 
+ * Makes channels searchable by name and description, with matches in the
+ * name weighted higher.
+ */
+channelSchema.index(
+  { channelName: 'text', description: 'text' },
+  { weights: { channelName: 5, description: 1 } }
+);
+
+/**
+ * Fuzzy Search Index
+ * 
+ * Finds channels whose names share trigrams with a fuzzy search query.
+ */
+channelSchema.index({ searchGrams: 1 });
+
+/**
+ * Search Trigram Middleware
+ * 
+ * Keeps the search trigrams in sync with the channel name, both on save
+ * and when findOneAndUpdate (and findByIdAndUpdate) renames the channel.
+ */
+channelSchema.pre('save', function(next) {
+  if (this.isModified('channelName')) {
+    this.searchGrams = buildSearchGrams(this.channelName);
+  }
+  next();
+});
+
+channelSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const channelName = (update.$set || update).channelName;
+  if (channelName !== undefined) {
+    this.set('searchGrams', buildSearchGrams(channelName));
+  }
+  next();
+});
+
 // Create and export the Channel model
 const Channel = mongoose.model('Channel', channelSchema);
 
@@ -51,6 +51,20 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Recent Comments Index
+ * 
+ * Lets the trending updater find comments posted within its time window.
+ */
+commentSchema.index({ timestamp: -1 });
+
+/**
+ * Video Comments Index
+ * 
+ * Serves a video's comments newest first, in the order used by cursor pagination.
+ */
+commentSchema.index({ videoId: 1, timestamp: -1, _id: -1 });
+
 /**
  * Pre-save Middleware: Comment ID Generation
  * 
@@ -0,0 +1,62 @@
+/**
+ * Like Model Schema
+ *
+ * Records which videos a user has liked and when. Mirrors the per-video
+ * `userLikes` arrays so a user's liked videos can be listed, newest like
+ * first, without scanning every video.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Like Schema Definition
+ *
+ * MongoDB schema for likes with user and video relationships.
+ */
+const likeSchema = new mongoose.Schema({
+  // Reference to the user who liked the video
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model for population
+    required: true
+  },
+
+  // Reference to the liked video
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video', // Reference to Video model for population
+    required: true
+  },
+
+  // Timestamp of the like
+  likedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * One Like per Video Index
+ *
+ * A user can like a video only once.
+ */
+likeSchema.index({ user: 1, video: 1 }, { unique: true });
+
+/**
+ * Liked Videos Listing Index
+ *
+ * Supports listing a user's liked videos, most recent like first.
+ */
+likeSchema.index({ user: 1, likedAt: -1 });
+
+/**
+ * Recent Likes Index
+ *
+ * Lets the trending updater find likes made within its time window.
+ */
+likeSchema.index({ likedAt: -1 });
+
+// Create and export the Like model
+const Like = mongoose.model('Like', likeSchema);
+
+export default Like;
@@ -0,0 +1,92 @@
+/**
+ * Playback Session Model Schema
+ *
+ * One playback of a video, built up from the progress heartbeats the video
+ * player sends while it plays: how many seconds were watched and which
+ * parts of the video (retention buckets) were seen. Aggregated into watch
+ * time, average view duration and retention curves for the channel owner
+ * (see utils/playbackAnalytics.js).
+ */
+
+import mongoose from 'mongoose';
+
+// Days playback sessions are kept; the longest analytics reporting period
+export const PLAYBACK_RETENTION_DAYS = 365;
+
+/**
+ * Playback Session Schema Definition
+ *
+ * MongoDB schema for playback sessions with video and channel relationships.
+ */
+const playbackSessionSchema = new mongoose.Schema({
+  // Reference to the played video
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video', // Reference to Video model for population
+    required: true
+  },
+
+  // Channel of the video, for channel-wide analytics
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel', // Reference to Channel model for population
+    required: true
+  },
+
+  // Random ID the player generates for each playback
+  sessionId: {
+    type: String,
+    required: true
+  },
+
+  // When the first and the latest heartbeats arrived
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Seconds of the video played, seeks excluded (replayed parts count again,
+  // up to the video's length)
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+
+  // Indexes of the retention buckets (equal slices of the video) played at
+  // least partly; empty when the video's duration is unknown
+  buckets: {
+    type: [Number],
+    default: []
+  }
+});
+
+/**
+ * One Document per Playback Index
+ *
+ * Heartbeats of a playback update the same session.
+ */
+playbackSessionSchema.index({ video: 1, sessionId: 1 }, { unique: true });
+
+/**
+ * Analytics Period Indexes
+ *
+ * Find a video's or channel's playbacks within the reporting period.
+ */
+playbackSessionSchema.index({ video: 1, startedAt: -1 });
+playbackSessionSchema.index({ channel: 1, startedAt: -1 });
+
+/**
+ * Expiry Index
+ *
+ * MongoDB removes playbacks older than the longest reporting period.
+ */
+playbackSessionSchema.index({ startedAt: 1 }, { expireAfterSeconds: PLAYBACK_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the PlaybackSession model
+const PlaybackSession = mongoose.model('PlaybackSession', playbackSessionSchema);
+
+export default PlaybackSession;
@@ -0,0 +1,103 @@
+/**
+ * Playlist Model Schema
+ *
+ * Defines the data structure for user-curated playlists: an ordered list of
+ * videos with a title, description and visibility.
+ */
+
+import mongoose from 'mongoose';
+import { VISIBILITY_OPTIONS } from '../utils/videoAccess.js';
+
+// Maximum number of videos a single playlist can hold
+export const MAX_PLAYLIST_VIDEOS = 500;
+
+/**
+ * Playlist Schema Definition
+ *
+ * MongoDB schema for playlists with owner relationship, visibility and
+ * ordered video references.
+ */
+const playlistSchema = new mongoose.Schema({
+  // Display title of the playlist (e.g., "Favorite Tutorials")
+  title: {
+    type: String,
+    required: [true, 'Playlist title is required'],
+    trim: true,
+    maxlength: [150, 'Playlist title cannot exceed 150 characters']
+  },
+
+  // Optional description of the playlist's content
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  // Reference to the user who owns this playlist
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model for population
+    required: true
+  },
+
+  // Who can see the playlist: same rules as video visibility
+  visibility: {
+    type: String,
+    enum: VISIBILITY_OPTIONS,
+    default: 'public'
+  },
+
+  // Video IDs in playback order (each video appears at most once)
+  videos: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video' // Reference to Video model for population
+    }],
+    validate: {
+      validator: (videos) => videos.length <= MAX_PLAYLIST_VIDEOS,
+      message: `Playlists cannot contain more than ${MAX_PLAYLIST_VIDEOS} videos`
+    }
+  },
+
+  // Timestamp when playlist was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Timestamp of the last change to the playlist or its videos
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Owner Listing Index
+ *
+ * Supports fetching a user's playlists, most recently updated first.
+ */
+playlistSchema.index({ owner: 1, updatedAt: -1 });
+
+/**
+ * Video Reference Index
+ *
+ * Lets deleted videos be pulled from every playlist containing them.
+ */
+playlistSchema.index({ videos: 1 });
+
+/**
+ * Text Search Index
+ *
+ * Makes playlists searchable by title and description, with matches in the
+ * title weighted higher.
+ */
+playlistSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 } }
+);
+
+// Create and export the Playlist model
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+export default Playlist;
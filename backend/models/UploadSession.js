@@ -0,0 +1,91 @@
+/**
+ * Upload Session Model Schema
+ *
+ * Tracks resumable (chunked) video uploads in progress.
+ * Each session owns a partial file on disk that grows as chunks arrive.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Upload Session Schema Definition
+ *
+ * MongoDB schema for resumable upload sessions with the declared file
+ * metadata, the number of bytes received so far, and an expiry time.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  // Reference to the user who started the upload
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model for population
+    required: true
+  },
+
+  // Original file name reported by the client (display only, never used on disk)
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+
+  // Declared MIME type of the video being uploaded
+  mimeType: {
+    type: String,
+    required: true
+  },
+
+  // Declared total size of the file in bytes
+  totalSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Number of bytes received and written so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+
+  // Partial file name inside the local temporary upload directory
+  tempPath: {
+    type: String,
+    required: true
+  },
+
+  // Set while a finalize request is publishing the upload, so concurrent
+  // finalize requests cannot publish it twice
+  finalizing: {
+    type: Boolean,
+    default: false
+  },
+
+  // Time after which an unfinished session is abandoned
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Timestamp when the session was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Virtual Field: Upload Completion
+ *
+ * True once every declared byte has been received.
+ */
+uploadSessionSchema.virtual('isComplete').get(function() {
+  return this.offset >= this.totalSize;
+});
+
+uploadSessionSchema.set('toJSON', { virtuals: true });
+uploadSessionSchema.set('toObject', { virtuals: true });
+
+// Create and export the UploadSession model
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
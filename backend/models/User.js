@@ -8,6 +8,12 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Maximum number of videos in a user's Watch Later queue
+export const MAX_WATCH_LATER_VIDEOS = 500;
+
+// Number of recent searches remembered per user
+export const MAX_RECENT_SEARCHES = 10;
+
 /**
  * User Schema Definition
  * 
@@ -49,12 +55,37 @@ const userSchema = new mongoose.Schema({
     default: 'https://example.com/avatar/default.png'
   },
   
+  // Stored avatar file metadata (only set for avatars uploaded through the API)
+  avatarFile: {
+    path: String,     // Storage key of the image (e.g., avatars/1700000000000_ab12cd.png)
+    mimeType: String,
+    size: Number
+  },
+  
   // Array of channel IDs that the user owns or manages
   channels: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Channel' // Reference to Channel model for population
   }],
   
+  // Watch Later queue: video IDs in the user's chosen order
+  watchLater: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video' // Reference to Video model for population
+  }],
+  
+  // Recent search queries, newest first (at most MAX_RECENT_SEARCHES)
+  recentSearches: [{
+    type: String,
+    trim: true
+  }],
+  
+  // When true, watched videos are not recorded in the user's watch history
+  historyPaused: {
+    type: Boolean,
+    default: false
+  },
+  
   // Timestamp when user account was created
   createdAt: {
     type: Date,
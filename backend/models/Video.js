@@ -6,6 +6,10 @@
  */
 
 import mongoose from 'mongoose';
+import { formatDuration } from '../utils/mediaDuration.js';
+import { VISIBILITY_OPTIONS } from '../utils/videoAccess.js';
+import { CATEGORY_LABELS } from '../utils/categories.js';
+import { buildSearchGrams } from '../utils/searchText.js';
 
 /**
  * Video Schema Definition
@@ -41,6 +45,20 @@ const videoSchema = new mongoose.Schema({
     required: [true, 'Thumbnail URL is required']
   },
   
+  // Stored video file metadata (only set for videos uploaded through the API)
+  videoFile: {
+    path: String,     // Storage key of the file (e.g., videos/1700000000000_ab12cd.mp4)
+    mimeType: String, // MIME type reported at upload time (e.g., video/mp4)
+    size: Number      // File size in bytes
+  },
+  
+  // Stored thumbnail file metadata (only set for thumbnails uploaded through the API)
+  thumbnailFile: {
+    path: String,
+    mimeType: String,
+    size: Number
+  },
+  
   // Reference to the channel that published this video
   channelId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -89,12 +107,27 @@ const videoSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Video category is required'],
-    // Predefined categories matching channel categories for consistency
-    enum: [
-      'Gaming', 'Education', 'Entertainment', 'Technology', 
-      'Music', 'Sports', 'News', 'Lifestyle', 'Comedy', 
-      'Travel', 'Food', 'Fitness'
-    ]
+    // Predefined categories shared with channels (see utils/categories.js)
+    enum: CATEGORY_LABELS
+  },
+  
+  // Who can find and watch the video (public, unlisted or private)
+  visibility: {
+    type: String,
+    enum: VISIBILITY_OPTIONS,
+    default: 'public'
+  },
+  
+  // Time at which a scheduled video goes live (null for immediate publishing)
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  
+  // True while the video waits for publishAt; the publish scheduler clears it
+  scheduled: {
+    type: Boolean,
+    default: false
   },
   
   // Timestamp when video was uploaded
@@ -103,7 +136,14 @@ const videoSchema = new mongoose.Schema({
     default: Date.now
   },
   
-  // Video duration in MM:SS format for display
+  // Video duration in seconds, read from the media file (0 when unknown)
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Video duration in M:SS (or H:MM:SS) format for display, derived from durationSeconds
   duration: {
     type: String,
     default: '0:00'
@@ -113,7 +153,38 @@ const videoSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+
+  // Word trigrams of the title and tags for fuzzy search, derived on save
+  // and update (see utils/fuzzySearch.js); never sent to clients
+  searchGrams: {
+    type: [String],
+    select: false
+  },
+
+  // Trending state, recomputed periodically by the trending updater
+  trending: {
+    // Time-decayed engagement score used to rank the trending feed
+    score: {
+      type: Number,
+      default: 0
+    },
+    // Time-decayed count of views gained since earlier updates
+    viewRate: {
+      type: Number,
+      default: 0
+    },
+    // View total at the last update, to measure new views
+    viewCount: {
+      type: Number,
+      default: 0
+    },
+    // Time of the last update (null until the first one)
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  }
 });
 
 /**
@@ -125,6 +196,89 @@ const videoSchema = new mongoose.Schema({
  */
 videoSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
+/**
+ * Duration Index
+ * 
+ * Supports filtering and analytics by video length.
+ */
+videoSchema.index({ durationSeconds: 1 });
+
+/**
+ * Visibility Index
+ * 
+ * Supports listing queries that only return public videos.
+ */
+videoSchema.index({ visibility: 1, uploadDate: -1 });
+
+/**
+ * Channel and Uploader Listing Indexes
+ * 
+ * Serve a channel's or uploader's videos newest first, in the order used by
+ * cursor pagination.
+ */
+videoSchema.index({ channelId: 1, uploadDate: -1, _id: -1 });
+videoSchema.index({ uploader: 1, uploadDate: -1, _id: -1 });
+
+/**
+ * Scheduled Publishing Index
+ * 
+ * Lets the publish scheduler find due videos without a collection scan.
+ */
+videoSchema.index({ scheduled: 1, publishAt: 1 });
+
+/**
+ * Trending Indexes
+ * 
+ * Support the trending feed, overall and per category, ranked by score.
+ */
+videoSchema.index({ 'trending.score': -1 });
+videoSchema.index({ category: 1, 'trending.score': -1 });
+
+/**
+ * Fuzzy Search Index
+ * 
+ * Finds fuzzy search candidates sharing trigrams with the query.
+ */
+videoSchema.index({ searchGrams: 1 });
+
+/**
+ * Pre-save Middleware: Derived Fields
+ * 
+ * Keeps the display duration in sync with the numeric duration in seconds,
+ * and the search trigrams in sync with the title and tags.
+ */
+videoSchema.pre('save', function(next) {
+  if (this.isModified('durationSeconds')) {
+    this.duration = formatDuration(this.durationSeconds);
+  }
+  if (this.isModified('title') || this.isModified('tags')) {
+    this.searchGrams = buildSearchGrams(this.title, ...this.tags);
+  }
+  next();
+});
+
+/**
+ * Pre-update Middleware: Search Trigrams
+ * 
+ * Rebuilds the search trigrams when findOneAndUpdate (and findByIdAndUpdate)
+ * changes the title or tags, reading the unchanged field from the stored video.
+ */
+videoSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const changes = update.$set || update;
+  if (changes.title === undefined && changes.tags === undefined) return;
+
+  let { title, tags } = changes;
+  if (title === undefined || tags === undefined) {
+    const current = await this.model.findOne(this.getQuery()).select('title tags').lean();
+    if (!current) return;
+    title = title ?? current.title;
+    tags = tags ?? current.tags;
+  }
+
+  this.set('searchGrams', buildSearchGrams(title, ...tags));
+});
+
 // Create and export the Video model
 const Video = mongoose.model('Video', videoSchema);
 
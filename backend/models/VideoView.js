@@ -0,0 +1,63 @@
+/**
+ * Video View Model Schema
+ *
+ * Remembers which viewers recently had a view of a video counted, so
+ * repeated plays within the deduplication window (reloads, replays) do not
+ * inflate the view count. Viewers are identified by a key derived from the
+ * user ID, an anonymous viewer ID or a request fingerprint (see
+ * utils/viewCounting.js). Records expire once their window has passed.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Video View Schema Definition
+ *
+ * MongoDB schema for counted views with video relationships.
+ */
+const videoViewSchema = new mongoose.Schema({
+  // Reference to the viewed video
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video', // Reference to Video model for population
+    required: true
+  },
+
+  // Viewer identity ("user:<id>", or a hashed anonymous viewer ID or fingerprint)
+  viewerKey: {
+    type: String,
+    required: true
+  },
+
+  // When the viewer's last view of the video was counted
+  countedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When the deduplication window ends and the record may be removed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+/**
+ * One Record per Viewer Index
+ *
+ * A viewer has at most one view record per video, so concurrent plays
+ * cannot both be counted.
+ */
+videoViewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+
+/**
+ * Expiry Index
+ *
+ * MongoDB removes records once their deduplication window has ended.
+ */
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the VideoView model
+const VideoView = mongoose.model('VideoView', videoViewSchema);
+
+export default VideoView;
@@ -0,0 +1,62 @@
+/**
+ * Watch History Model Schema
+ *
+ * Records which videos a user has watched and how far they got. Each user has
+ * at most one entry per video; watching it again moves the entry to the top.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Watch History Schema Definition
+ *
+ * MongoDB schema for watch events with user and video relationships and the
+ * last playback position for resuming.
+ */
+const watchHistorySchema = new mongoose.Schema({
+  // Reference to the user who watched the video
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model for population
+    required: true
+  },
+
+  // Reference to the watched video
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video', // Reference to Video model for population
+    required: true
+  },
+
+  // Last playback position in seconds
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Timestamp of the most recent watch event
+  watchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * One Entry per Video Index
+ *
+ * Watch events for a video the user already watched update the existing entry.
+ */
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+
+/**
+ * History Listing Index
+ *
+ * Supports listing a user's history, most recently watched first.
+ */
+watchHistorySchema.index({ user: 1, watchedAt: -1 });
+
+// Create and export the WatchHistory model
+const WatchHistory = mongoose.model('WatchHistory', watchHistorySchema);
+
+export default WatchHistory;
@@ -1,13 +1,16 @@
 /**
  * Authentication Routes
  * 
- * Handles user registration, login, and profile retrieval endpoints.
+ * Handles user registration, login, profile retrieval and avatar upload endpoints.
  * Includes input validation, JWT token generation, and secure password handling.
  */
 
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
+import { auth, verifyLoginToken } from '../middleware/auth.js';
+import { uploadAvatarFile, removeUploadedFiles, toLocalFile } from '../middleware/upload.js';
+import { getStorage, storeMedia, removeMedia } from '../storage/index.js';
 import User from '../models/User.js';
 
 const router = express.Router();
@@ -177,7 +180,7 @@ router.get('/me', async (req, res) => {
     }
 
     // Verify and decode JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyLoginToken(token);
     
     // Find user and populate channel relationships
     const user = await User.findById(decoded.userId)
@@ -195,4 +198,41 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/auth/me/avatar - Upload Profile Picture
+ * 
+ * Accepts an `avatar` image as multipart form data, stores it in media
+ * storage and replaces the user's previous uploaded avatar.
+ */
+router.put('/me/avatar', auth, uploadAvatarFile, async (req, res) => {
+  try {
+    const avatarFile = req.files?.avatar?.[0];
+    if (!avatarFile) {
+      return res.status(400).json({ message: 'An avatar image is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = { path: user.avatarFile?.path };
+
+    // Move the image into storage and point the profile at it
+    user.avatarFile = await storeMedia('avatar', toLocalFile(avatarFile));
+    user.avatar = getStorage().getPublicUrl(user.avatarFile.path);
+    await user.save();
+
+    // Remove the replaced avatar once the new one is saved
+    await removeMedia(previousAvatar);
+
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar: user.avatar,
+      avatarFile: user.avatarFile
+    });
+
+  } catch (error) {
+    await removeUploadedFiles(req);
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error uploading avatar' });
+  }
+});
+
 export default router;
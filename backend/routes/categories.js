@@ -0,0 +1,75 @@
+/**
+ * Category Routes
+ *
+ * Serves the category list (slugs, labels and icons) used by the frontend
+ * for filters, form selects, navigation and category pages, together with
+ * the number of public videos in each category.
+ */
+
+import express from 'express';
+import { CATEGORIES, findCategoryBySlug } from '../utils/categories.js';
+import { publicVideoFilter } from '../utils/videoAccess.js';
+import Video from '../models/Video.js';
+
+const router = express.Router();
+
+/**
+ * Video Count Helper
+ *
+ * Counts public videos per category label.
+ */
+const countVideosByCategory = async () => {
+  const counts = await Video.aggregate([
+    { $match: publicVideoFilter() },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+/**
+ * GET /api/categories - Get All Categories
+ *
+ * Returns every category in display order with its public video count.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const counts = await countVideosByCategory();
+
+    res.json({
+      categories: CATEGORIES.map(category => ({
+        ...category,
+        videoCount: counts.get(category.label) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error fetching categories' });
+  }
+});
+
+/**
+ * GET /api/categories/:slug - Get Category by Slug
+ *
+ * Returns a single category with its public video count.
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const category = findCategoryBySlug(req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const videoCount = await Video.countDocuments({ ...publicVideoFilter(), category: category.label });
+
+    res.json({ category: { ...category, videoCount } });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({ message: 'Server error fetching category' });
+  }
+});
+
+export default router;
@@ -7,7 +7,14 @@
 
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { auth } from '../middleware/auth.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
+import { uploadBannerFile, removeUploadedFiles, toLocalFile } from '../middleware/upload.js';
+import { getStorage, storeMedia, removeMedia } from '../storage/index.js';
+import { getChannelDeletionSummary, deleteChannelWithContent } from '../utils/mediaCleanup.js';
+import { getQuotaLimits, getUserUsage, getChannelUsage } from '../utils/quotas.js';
+import { validateAnalyticsPeriod, getPeriodStart, getChannelAnalytics } from '../utils/playbackAnalytics.js';
+import { publicVideoFilter, listableVideoFilter } from '../utils/videoAccess.js';
+import { CATEGORY_LABELS } from '../utils/categories.js';
 import Channel from '../models/Channel.js';
 import User from '../models/User.js';
 
@@ -29,21 +36,40 @@ const validateChannel = [
     .withMessage('Description must be between 1 and 500 characters')
     .trim(),
   body('category')
-    .isIn(['Gaming', 'Education', 'Entertainment', 'Technology', 'Music', 'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'])
+    .isIn(CATEGORY_LABELS)
     .withMessage('Invalid category')
 ];
 
+/**
+ * Banner Storage Helper
+ * 
+ * Stores an uploaded `banner` image (if any) and returns the fields to save
+ * on the channel, or an empty object when no file was sent.
+ */
+const storeBanner = async (req) => {
+  const bannerFile = req.files?.banner?.[0];
+  if (!bannerFile) return {};
+
+  const stored = await storeMedia('banner', toLocalFile(bannerFile));
+  return {
+    bannerFile: stored,
+    channelBanner: getStorage().getPublicUrl(stored.path)
+  };
+};
+
 /**
  * POST /api/channels/create - Create New Channel
  * 
  * Creates a new channel for the authenticated user with validation.
+ * Accepts JSON or multipart form data with an optional `banner` image.
  * Prevents duplicate channel names for the same user.
  */
-router.post('/create', auth, validateChannel, async (req, res) => {
+router.post('/create', auth, uploadBannerFile, validateChannel, async (req, res) => {
   try {
     // Validate input data against defined rules
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeUploadedFiles(req);
       return res.status(400).json({ 
         message: 'Validation failed', 
         errors: errors.array() 
@@ -60,21 +86,28 @@ router.post('/create', auth, validateChannel, async (req, res) => {
     });
 
     if (existingChannel) {
+      await removeUploadedFiles(req);
       return res.status(400).json({ 
         message: 'You already have a channel with this name' 
       });
     }
 
-    // Create new channel instance
+    // Create new channel instance (an uploaded banner takes precedence over a URL)
     const channel = new Channel({
       channelName,
       owner,
       description,
       category,
-      channelBanner: channelBanner || undefined
+      channelBanner: channelBanner || undefined,
+      ...await storeBanner(req)
     });
 
-    await channel.save();
+    try {
+      await channel.save();
+    } catch (error) {
+      await removeMedia(channel.bannerFile);
+      throw error;
+    }
 
     // Update user's channels array to include new channel
     await User.findByIdAndUpdate(
@@ -88,6 +121,7 @@ router.post('/create', auth, validateChannel, async (req, res) => {
     });
 
   } catch (error) {
+    await removeUploadedFiles(req);
     console.error('Create channel error:', error);
     res.status(500).json({ message: 'Server error creating channel' });
   }
@@ -103,7 +137,7 @@ router.get('/', async (req, res) => {
   try {
     const channels = await Channel.find()
       .populate('owner', 'username avatar') // Include owner details
-      .populate('videos') // Include video information
+      .populate({ path: 'videos', match: publicVideoFilter() }) // Include public video information
       .sort({ createdAt: -1 }); // Newest channels first
 
     res.json({ channels });
@@ -117,14 +151,16 @@ router.get('/', async (req, res) => {
  * GET /api/channels/:id - Get Channel by ID
  * 
  * Retrieves a specific channel by its unique identifier.
- * Populates owner and video information for complete channel data.
+ * Populates owner and video information for complete channel data
+ * (public videos only, unless the owner is signed in).
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const channel = await Channel.findById(req.params.id)
       .populate('owner', 'username avatar') // Include owner details
       .populate({
         path: 'videos', // Populate video information
+        match: listableVideoFilter(req.user?._id), // Owners also see unlisted and private videos
         populate: {
           path: 'uploader', // Also populate video uploader details
           select: 'username avatar'
@@ -152,7 +188,7 @@ router.get('/user/:userId', async (req, res) => {
   try {
     const channels = await Channel.find({ owner: req.params.userId })
       .populate('owner', 'username avatar')
-      .populate('videos')
+      .populate({ path: 'videos', match: publicVideoFilter() })
       .sort({ createdAt: -1 }); // Newest channels first
 
     res.json({ channels });
@@ -166,13 +202,15 @@ router.get('/user/:userId', async (req, res) => {
  * PUT /api/channels/:id - Update Channel
  * 
  * Updates an existing channel's information.
+ * Accepts JSON or multipart form data with an optional replacement `banner` image.
  * Only channel owners can modify their channels.
  */
-router.put('/:id', auth, validateChannel, async (req, res) => {
+router.put('/:id', auth, uploadBannerFile, validateChannel, async (req, res) => {
   try {
     // Validate input data
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeUploadedFiles(req);
       return res.status(400).json({ 
         message: 'Validation failed', 
         errors: errors.array() 
@@ -182,11 +220,13 @@ router.put('/:id', auth, validateChannel, async (req, res) => {
     const channel = await Channel.findById(req.params.id);
     
     if (!channel) {
+      await removeUploadedFiles(req);
       return res.status(404).json({ message: 'Channel not found' });
     }
 
     // Verify user owns the channel before allowing updates
     if (channel.owner.toString() !== req.user._id.toString()) {
+      await removeUploadedFiles(req);
       return res.status(403).json({ message: 'Not authorized to update this channel' });
     }
 
@@ -201,12 +241,16 @@ router.put('/:id', auth, validateChannel, async (req, res) => {
       });
 
       if (existingChannel) {
+        await removeUploadedFiles(req);
         return res.status(400).json({ 
           message: 'You already have a channel with this name' 
         });
       }
     }
 
+    const previousBanner = { path: channel.bannerFile?.path };
+    const banner = await storeBanner(req);
+
     // Update channel with new data
     const updatedChannel = await Channel.findByIdAndUpdate(
       req.params.id,
@@ -214,29 +258,36 @@ router.put('/:id', auth, validateChannel, async (req, res) => {
         channelName,
         description,
         category,
-        channelBanner: channelBanner || channel.channelBanner // Keep existing if not provided
+        channelBanner: channelBanner || channel.channelBanner, // Keep existing if not provided
+        ...banner
       },
       { new: true, runValidators: true } // Return updated document and run validation
     ).populate('owner', 'username avatar');
 
+    // Remove the replaced banner file once the channel points at the new one
+    if (banner.bannerFile) {
+      await removeMedia(previousBanner);
+    }
+
     res.json({
       message: 'Channel updated successfully',
       channel: updatedChannel
     });
 
   } catch (error) {
+    await removeUploadedFiles(req);
     console.error('Update channel error:', error);
     res.status(500).json({ message: 'Server error updating channel' });
   }
 });
 
 /**
- * DELETE /api/channels/:id - Delete Channel
+ * Channel Owner Lookup Middleware
  * 
- * Permanently removes a channel and its associated data.
- * Only channel owners can delete their channels.
+ * Loads the channel from the route parameter and verifies that the
+ * current user owns it before owner-only operations.
  */
-router.delete('/:id', auth, async (req, res) => {
+const loadOwnedChannel = async (req, res, next) => {
   try {
     const channel = await Channel.findById(req.params.id);
     
@@ -244,21 +295,110 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Channel not found' });
     }
 
-    // Verify user owns the channel before allowing deletion
+    // Verify user owns the channel before allowing owner-only operations
     if (channel.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this channel' });
+      return res.status(403).json({ message: 'Not authorized to manage this channel' });
     }
 
-    // Remove channel reference from user's channels array
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { $pull: { channels: req.params.id } }
-    );
+    req.channel = channel;
+    next();
+  } catch (error) {
+    console.error('Load channel error:', error);
+    res.status(500).json({ message: 'Server error loading channel' });
+  }
+};
+
+/**
+ * GET /api/channels/:id/usage - Get Channel Storage Usage
+ * 
+ * Returns the storage used and videos published by the channel and by its
+ * owner's account, alongside the configured quotas (0 means unlimited).
+ */
+router.get('/:id/usage', auth, loadOwnedChannel, async (req, res) => {
+  try {
+    const limits = getQuotaLimits();
+    const [channelUsage, userUsage] = await Promise.all([
+      getChannelUsage(req.channel._id),
+      getUserUsage(req.user._id)
+    ]);
+
+    res.json({
+      channel: { ...channelUsage, limits: limits.channel },
+      user: { ...userUsage, limits: limits.user }
+    });
+
+  } catch (error) {
+    console.error('Get channel usage error:', error);
+    res.status(500).json({ message: 'Server error fetching channel usage' });
+  }
+});
+
+/**
+ * GET /api/channels/:id/analytics - Get Channel Analytics
+ * 
+ * Returns the channel's playbacks, watch time and average view duration
+ * over the last `days` days (default 28), in total and for its most
+ * watched videos. Only the channel owner can view them.
+ */
+router.get('/:id/analytics', auth, loadOwnedChannel, validateAnalyticsPeriod, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const analytics = await getChannelAnalytics(req.channel._id, getPeriodStart(req.query.days));
+
+    res.json(analytics);
+
+  } catch (error) {
+    console.error('Get channel analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching channel analytics' });
+  }
+});
 
-    // Delete the channel document
-    await Channel.findByIdAndDelete(req.params.id);
+/**
+ * GET /api/channels/:id/deletion-preview - Preview Channel Deletion
+ * 
+ * Returns how many videos, comments and stored files deleting the channel
+ * would remove, so the owner can confirm before anything is deleted.
+ */
+router.get('/:id/deletion-preview', auth, loadOwnedChannel, async (req, res) => {
+  try {
+    const summary = await getChannelDeletionSummary(req.channel);
 
-    res.json({ message: 'Channel deleted successfully' });
+    res.json({
+      channel: {
+        _id: req.channel._id,
+        channelName: req.channel.channelName
+      },
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Channel deletion preview error:', error);
+    res.status(500).json({ message: 'Server error previewing channel deletion' });
+  }
+});
+
+/**
+ * DELETE /api/channels/:id - Delete Channel
+ * 
+ * Permanently removes a channel together with its videos, their comments
+ * and all stored media files. Only channel owners can delete their channels.
+ */
+router.delete('/:id', auth, loadOwnedChannel, async (req, res) => {
+  try {
+    const deleted = await deleteChannelWithContent(req.channel);
+
+    res.json({
+      message: 'Channel deleted successfully',
+      deleted
+    });
 
   } catch (error) {
     console.error('Delete channel error:', error);
@@ -7,12 +7,17 @@
 
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { auth } from '../middleware/auth.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
+import { canViewVideo } from '../utils/videoAccess.js';
+import { parsePageSize, readCursor, paginateQuery } from '../utils/cursorPagination.js';
 import Comment from '../models/Comment.js';
 import Video from '../models/Video.js';
 
 const router = express.Router();
 
+// Newest first; _id keeps the order stable for cursor pagination
+const NEWEST_FIRST = { timestamp: -1, _id: -1 };
+
 /**
  * Input Validation Middleware
  * 
@@ -48,9 +53,9 @@ router.post('/', auth, validateComment, async (req, res) => {
 
     console.log('Creating comment with data:', { videoId, text, userId });
 
-    // Verify video exists before allowing comment
+    // Verify video exists (and is visible to the user) before allowing comment
     const video = await Video.findById(videoId);
-    if (!video) {
+    if (!video || !canViewVideo(video, userId)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
@@ -88,34 +93,37 @@ router.post('/', auth, validateComment, async (req, res) => {
 /**
  * GET /api/comments/video/:videoId - Get Video Comments
  * 
- * Retrieves all comments for a specific video with pagination support.
- * Results are sorted by timestamp (newest comments first).
+ * Retrieves all comments for a specific video with cursor pagination: pass
+ * the returned `nextCursor` as `cursor` to get the next page (null on the
+ * last page). Results are sorted by timestamp (newest comments first).
  */
-router.get('/video/:videoId', async (req, res) => {
+router.get('/video/:videoId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const limit = parsePageSize(req.query.limit, 20);
+    const position = readCursor(req.query.cursor, NEWEST_FIRST);
+    if (!position) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    // Verify video exists before fetching comments
+    // Verify video exists (and is visible to the user) before fetching comments
     const video = await Video.findById(req.params.videoId);
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user?._id)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    // Execute query with pagination and population
-    const comments = await Comment.find({ videoId: req.params.videoId })
-      .populate('userId', 'username avatar') // Include user details
-      .sort({ timestamp: -1 }) // Newest comments first
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Execute query with cursor pagination and population
+    const { items: comments, nextCursor } = await paginateQuery(
+      Comment.find({ videoId: req.params.videoId })
+        .populate('userId', 'username avatar'), // Include user details
+      { sort: NEWEST_FIRST, position, limit } // Newest comments first
+    );
 
     const total = await Comment.countDocuments({ videoId: req.params.videoId });
 
     res.json({
       comments,
       total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / limit)
+      nextCursor
     });
 
   } catch (error) {
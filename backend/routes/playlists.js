@@ -0,0 +1,420 @@
+/**
+ * Playlist Management Routes
+ *
+ * Handles CRUD operations for user playlists and their ordered video lists,
+ * including adding, removing and reordering videos with ownership checks.
+ */
+
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { auth, optionalAuth } from '../middleware/auth.js';
+import { VISIBILITY_OPTIONS, canViewVideo } from '../utils/videoAccess.js';
+import { containsVideo, reorderVideoIds } from '../utils/videoLists.js';
+import Playlist, { MAX_PLAYLIST_VIDEOS } from '../models/Playlist.js';
+import Video from '../models/Video.js';
+
+const router = express.Router();
+
+/**
+ * Input Validation Middleware
+ *
+ * Validates playlist details for creation and updates.
+ */
+const validatePlaylist = [
+  body('title')
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Title must be between 1 and 150 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+    .trim(),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_OPTIONS)
+    .withMessage('Visibility must be public, unlisted or private')
+];
+
+// Validation rule for the optional first video of a new playlist
+const validateFirstVideo = body('videoId')
+  .optional()
+  .isMongoId()
+  .withMessage('A valid video is required');
+
+// Validation rules for adding a video to a playlist
+const validatePlaylistVideo = [
+  body('videoId')
+    .isMongoId()
+    .withMessage('A valid video is required')
+];
+
+// Validation rules for reordering a playlist's videos
+const validatePlaylistOrder = [
+  body('videoIds')
+    .isArray({ min: 1 })
+    .withMessage('videoIds must be a non-empty array'),
+  body('videoIds.*')
+    .isMongoId()
+    .withMessage('videoIds must only contain video IDs')
+];
+
+/**
+ * Playlist Summary Helper
+ *
+ * Converts a playlist into the compact form used in playlist listings:
+ * the video IDs are replaced with a count and, when a video ID is given,
+ * whether the playlist already contains that video.
+ */
+const summarizePlaylist = (playlist, videoId) => {
+  const { videos, ...summary } = playlist.toObject ? playlist.toObject() : playlist;
+  return {
+    ...summary,
+    videoCount: videos.length,
+    ...(videoId && { containsVideo: containsVideo(videos, videoId) })
+  };
+};
+
+/**
+ * Playlist Access Check
+ *
+ * Private playlists are only visible to their owner; public and unlisted
+ * playlists can be opened by anyone with the link.
+ */
+const canViewPlaylist = (playlist, userId) => {
+  if (playlist.visibility !== 'private') return true;
+  const ownerId = (playlist.owner?._id || playlist.owner).toString();
+  return Boolean(userId) && ownerId === userId.toString();
+};
+
+/**
+ * Playlist Owner Lookup Middleware
+ *
+ * Loads the playlist from the route parameter and verifies that the
+ * current user owns it before owner-only operations.
+ */
+const loadOwnedPlaylist = async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    // Verify user owns the playlist before allowing changes
+    if (playlist.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to manage this playlist' });
+    }
+
+    req.playlist = playlist;
+    next();
+  } catch (error) {
+    console.error('Load playlist error:', error);
+    res.status(500).json({ message: 'Server error loading playlist' });
+  }
+};
+
+/**
+ * POST /api/playlists - Create Playlist
+ *
+ * Creates a playlist for the authenticated user. An optional `videoId`
+ * adds a first video right away (used by the "Save to playlist" dialog).
+ */
+router.post('/', auth, validatePlaylist, validateFirstVideo, async (req, res) => {
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, visibility, videoId } = req.body;
+
+    // Verify the first video exists (and is visible to the user)
+    if (videoId) {
+      const video = await Video.findById(videoId);
+      if (!video || !canViewVideo(video, req.user._id)) {
+        return res.status(404).json({ message: 'Video not found' });
+      }
+    }
+
+    const playlist = new Playlist({
+      title,
+      description,
+      visibility,
+      owner: req.user._id,
+      videos: videoId ? [videoId] : []
+    });
+
+    await playlist.save();
+
+    res.status(201).json({
+      message: 'Playlist created successfully',
+      playlist: summarizePlaylist(playlist, videoId)
+    });
+
+  } catch (error) {
+    console.error('Create playlist error:', error);
+    res.status(500).json({ message: 'Server error creating playlist' });
+  }
+});
+
+/**
+ * GET /api/playlists/me - Get Current User's Playlists
+ *
+ * Lists all playlists of the authenticated user, most recently updated first.
+ * With `?videoId=`, each playlist reports whether it contains that video.
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const { videoId } = req.query;
+
+    const playlists = await Playlist.find({ owner: req.user._id })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({ playlists: playlists.map(playlist => summarizePlaylist(playlist, videoId)) });
+  } catch (error) {
+    console.error('Get my playlists error:', error);
+    res.status(500).json({ message: 'Server error fetching playlists' });
+  }
+});
+
+/**
+ * GET /api/playlists/user/:userId - Get User's Playlists
+ *
+ * Lists a user's public playlists (all of them when the owner is signed in).
+ */
+router.get('/user/:userId', optionalAuth, async (req, res) => {
+  try {
+    const isOwner = req.user?._id.toString() === req.params.userId;
+    const query = { owner: req.params.userId };
+    if (!isOwner) {
+      query.visibility = 'public';
+    }
+
+    const playlists = await Playlist.find(query)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({ playlists: playlists.map(playlist => summarizePlaylist(playlist)) });
+  } catch (error) {
+    console.error('Get user playlists error:', error);
+    res.status(500).json({ message: 'Server error fetching user playlists' });
+  }
+});
+
+/**
+ * GET /api/playlists/:id - Get Playlist by ID
+ *
+ * Retrieves a playlist with its videos in playback order. Videos the viewer
+ * may not watch (private, scheduled or deleted) are left out.
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id)
+      .populate('owner', 'username avatar') // Include owner details
+      .populate({
+        path: 'videos',
+        select: 'title thumbnailUrl duration views uploadDate channelId uploader visibility scheduled',
+        populate: { path: 'channelId', select: 'channelName' }
+      });
+
+    if (!playlist || !canViewPlaylist(playlist, req.user?._id)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    // Populate already skips deleted videos; also leave out inaccessible ones
+    const videos = playlist.videos.filter(video => video && canViewVideo(video, req.user?._id));
+
+    res.json({
+      playlist: {
+        ...playlist.toObject(),
+        videos,
+        hiddenCount: playlist.videos.length - videos.length
+      }
+    });
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ message: 'Server error fetching playlist' });
+  }
+});
+
+/**
+ * PUT /api/playlists/:id - Update Playlist
+ *
+ * Updates a playlist's title, description and visibility.
+ * Only playlist owners can modify their playlists.
+ */
+router.put('/:id', auth, loadOwnedPlaylist, validatePlaylist, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, visibility } = req.body;
+    const { playlist } = req;
+
+    playlist.title = title;
+    playlist.description = description ?? playlist.description; // Keep existing if not provided
+    playlist.visibility = visibility || playlist.visibility;
+    playlist.updatedAt = new Date();
+    await playlist.save();
+
+    res.json({
+      message: 'Playlist updated successfully',
+      playlist: summarizePlaylist(playlist)
+    });
+
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ message: 'Server error updating playlist' });
+  }
+});
+
+/**
+ * DELETE /api/playlists/:id - Delete Playlist
+ *
+ * Permanently removes a playlist (the videos themselves are not affected).
+ * Only playlist owners can delete their playlists.
+ */
+router.delete('/:id', auth, loadOwnedPlaylist, async (req, res) => {
+  try {
+    await Playlist.findByIdAndDelete(req.playlist._id);
+
+    res.json({ message: 'Playlist deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ message: 'Server error deleting playlist' });
+  }
+});
+
+/**
+ * POST /api/playlists/:id/videos - Add Video to Playlist
+ *
+ * Appends a video to the end of the playlist. Each video can only be
+ * added once, and playlists are limited to MAX_PLAYLIST_VIDEOS entries.
+ */
+router.post('/:id/videos', auth, loadOwnedPlaylist, validatePlaylistVideo, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { videoId } = req.body;
+    const { playlist } = req;
+
+    // Verify video exists (and is visible to the user) before adding it
+    const video = await Video.findById(videoId);
+    if (!video || !canViewVideo(video, req.user._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    if (containsVideo(playlist.videos, videoId)) {
+      return res.status(400).json({ message: 'Video is already in this playlist' });
+    }
+
+    if (playlist.videos.length >= MAX_PLAYLIST_VIDEOS) {
+      return res.status(400).json({ message: `Playlists cannot contain more than ${MAX_PLAYLIST_VIDEOS} videos` });
+    }
+
+    playlist.videos.push(video._id);
+    playlist.updatedAt = new Date();
+    await playlist.save();
+
+    res.json({
+      message: 'Video added to playlist',
+      playlist: summarizePlaylist(playlist, videoId)
+    });
+
+  } catch (error) {
+    console.error('Add playlist video error:', error);
+    res.status(500).json({ message: 'Server error adding video to playlist' });
+  }
+});
+
+/**
+ * DELETE /api/playlists/:id/videos/:videoId - Remove Video from Playlist
+ *
+ * Removes a video from the playlist, keeping the order of the others.
+ */
+router.delete('/:id/videos/:videoId', auth, loadOwnedPlaylist, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { playlist } = req;
+
+    if (!containsVideo(playlist.videos, videoId)) {
+      return res.status(404).json({ message: 'Video is not in this playlist' });
+    }
+
+    playlist.videos.pull(videoId);
+    playlist.updatedAt = new Date();
+    await playlist.save();
+
+    res.json({
+      message: 'Video removed from playlist',
+      playlist: summarizePlaylist(playlist, videoId)
+    });
+
+  } catch (error) {
+    console.error('Remove playlist video error:', error);
+    res.status(500).json({ message: 'Server error removing video from playlist' });
+  }
+});
+
+/**
+ * PUT /api/playlists/:id/videos/order - Reorder Playlist
+ *
+ * Moves the given videos to the front of the playlist in the given order
+ * (see reorderVideoIds for how unlisted videos are handled).
+ */
+router.put('/:id/videos/order', auth, loadOwnedPlaylist, validatePlaylistOrder, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { videoIds } = req.body;
+    const { playlist } = req;
+
+    // Every listed video must be in the playlist, and listed only once
+    const orderedIds = reorderVideoIds(playlist.videos, videoIds);
+    if (!orderedIds) {
+      return res.status(400).json({ message: 'Order must list videos from this playlist, each only once' });
+    }
+
+    playlist.videos = orderedIds;
+    playlist.updatedAt = new Date();
+    await playlist.save();
+
+    res.json({
+      message: 'Playlist reordered successfully',
+      videoIds: playlist.videos
+    });
+
+  } catch (error) {
+    console.error('Reorder playlist error:', error);
+    res.status(500).json({ message: 'Server error reordering playlist' });
+  }
+});
+
+export default router;
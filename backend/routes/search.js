@@ -0,0 +1,243 @@
+/**
+ * Search Routes
+ *
+ * Handles search that is not tied to a single resource: the unified search
+ * across channels, playlists and videos, and the autocomplete suggestions
+ * shown under the header search box.
+ */
+
+import express from 'express';
+import { publicVideoFilter } from '../utils/videoAccess.js';
+import { wordPrefixPattern } from '../utils/searchText.js';
+import Video from '../models/Video.js';
+import Channel from '../models/Channel.js';
+import Playlist from '../models/Playlist.js';
+
+const router = express.Router();
+
+// Default and largest number of suggestions returned
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
+// Longest query or prefix accepted; longer input is cut to this length
+const MAX_QUERY_LENGTH = 100;
+
+// Result groups of the unified search, in display order
+const SEARCH_GROUPS = ['channels', 'playlists', 'videos'];
+
+// Default and largest number of results per group
+const DEFAULT_GROUP_RESULTS = 5;
+const MAX_GROUP_RESULTS = 20;
+
+// Sort by text relevance; used with the matching score projection
+const textScore = { score: { $meta: 'textScore' } };
+
+/**
+ * Channel Search
+ *
+ * Channels whose name or description matches the query, best match first.
+ * Videos are limited to public ones so cards show the public video count.
+ */
+const searchChannels = async (text, limit) => {
+  const filter = { $text: { $search: text } };
+  const [results, total] = await Promise.all([
+    Channel.find(filter, textScore)
+      .populate('owner', 'username avatar')
+      .populate({ path: 'videos', match: publicVideoFilter(), select: '_id' })
+      .sort({ ...textScore, subscribers: -1 })
+      .limit(limit),
+    Channel.countDocuments(filter)
+  ]);
+
+  return { results, total };
+};
+
+/**
+ * Playlist Search
+ *
+ * Public playlists whose title or description matches the query, best match
+ * first. Each result carries the count of its public videos and the
+ * thumbnail of the first one instead of the video list.
+ */
+const searchPlaylists = async (text, limit) => {
+  const filter = { visibility: 'public', $text: { $search: text } };
+  const [playlists, total] = await Promise.all([
+    Playlist.find(filter, textScore)
+      .populate('owner', 'username avatar')
+      .populate({ path: 'videos', match: publicVideoFilter(), select: 'thumbnailUrl' })
+      .sort({ ...textScore, updatedAt: -1 })
+      .limit(limit)
+      .lean(),
+    Playlist.countDocuments(filter)
+  ]);
+
+  const results = playlists.map(({ videos, ...playlist }) => ({
+    ...playlist,
+    videoCount: videos.length,
+    thumbnailUrl: videos[0]?.thumbnailUrl || null
+  }));
+
+  return { results, total };
+};
+
+/**
+ * Video Search
+ *
+ * Public videos matching the query, best match first. GET /api/videos
+ * offers the same search with filters and pagination.
+ */
+const searchVideos = async (text, limit) => {
+  const filter = { ...publicVideoFilter(), $text: { $search: text } };
+  const [results, total] = await Promise.all([
+    Video.find(filter, textScore)
+      .populate('channelId', 'channelName')
+      .populate('uploader', 'username avatar')
+      .sort({ ...textScore, views: -1 })
+      .limit(limit),
+    Video.countDocuments(filter)
+  ]);
+
+  return { results, total };
+};
+
+// Search function per result group
+const GROUP_SEARCHES = {
+  channels: searchChannels,
+  playlists: searchPlaylists,
+  videos: searchVideos
+};
+
+/**
+ * Title Suggestions
+ *
+ * Public video titles containing a word that starts with the prefix, most
+ * viewed first. Popularity is the video's view count.
+ */
+const suggestTitles = async (pattern, limit) => {
+  const videos = await Video.find({ ...publicVideoFilter(), title: pattern })
+    .select('title views')
+    .sort({ views: -1 })
+    .limit(limit)
+    .lean();
+
+  return videos.map(video => ({ type: 'video', text: video.title, popularity: video.views || 0 }));
+};
+
+/**
+ * Tag Suggestions
+ *
+ * Tags of public videos that start with the prefix. Popularity is the total
+ * view count of the videos carrying the tag.
+ */
+const suggestTags = async (pattern, limit) => {
+  const tags = await Video.aggregate([
+    { $match: { ...publicVideoFilter(), tags: pattern } },
+    { $unwind: '$tags' },
+    { $match: { tags: pattern } },
+    { $group: { _id: { $toLower: '$tags' }, text: { $first: '$tags' }, popularity: { $sum: '$views' } } },
+    { $sort: { popularity: -1 } },
+    { $limit: limit }
+  ]);
+
+  return tags.map(tag => ({ type: 'tag', text: tag.text, popularity: tag.popularity }));
+};
+
+/**
+ * Channel Suggestions
+ *
+ * Channel names containing a word that starts with the prefix. Popularity
+ * is the subscriber count.
+ */
+const suggestChannels = async (pattern, limit) => {
+  const channels = await Channel.find({ channelName: pattern })
+    .select('channelName subscribers')
+    .sort({ subscribers: -1 })
+    .limit(limit)
+    .lean();
+
+  return channels.map(channel => ({
+    type: 'channel',
+    text: channel.channelName,
+    channelId: channel._id,
+    popularity: channel.subscribers || 0
+  }));
+};
+
+/**
+ * GET /api/search - Search Everything
+ *
+ * Searches channels, public playlists and public videos for the text in `q`
+ * using their text indexes. Returns one group per type, in the order
+ * channels, playlists, videos: `{ type, total, results }` with up to `limit`
+ * best matches each. `types` (comma-separated) limits the groups searched.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const limit = Math.min(MAX_GROUP_RESULTS, Math.max(1, parseInt(req.query.limit) || DEFAULT_GROUP_RESULTS));
+    const requested = req.query.types ? String(req.query.types).split(',') : SEARCH_GROUPS;
+    const types = SEARCH_GROUPS.filter(type => requested.includes(type));
+
+    if (!text) {
+      return res.json({ groups: [] });
+    }
+
+    const groups = await Promise.all(types.map(async (type) => ({
+      type,
+      ...(await GROUP_SEARCHES[type](text, limit))
+    })));
+
+    res.json({ groups });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error searching' });
+  }
+});
+
+/**
+ * GET /api/search/suggestions - Get Search Suggestions
+ *
+ * Returns autocomplete suggestions for the prefix in `q`: matching video
+ * titles, tags and channel names, most popular first, without duplicates.
+ * Each suggestion has a `type` (video, tag or channel) and `text`; channel
+ * suggestions also carry the `channelId`.
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const prefix = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const limit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(req.query.limit) || DEFAULT_SUGGESTIONS));
+
+    if (!prefix) {
+      return res.json({ suggestions: [] });
+    }
+
+    const pattern = wordPrefixPattern(prefix);
+    const groups = await Promise.all([
+      suggestTitles(pattern, limit),
+      suggestTags(pattern, limit),
+      suggestChannels(pattern, limit)
+    ]);
+
+    // Most popular first; the same text appears only once
+    const seen = new Set();
+    const suggestions = groups.flat()
+      .sort((a, b) => b.popularity - a.popularity)
+      .filter(suggestion => {
+        const key = suggestion.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ popularity, ...suggestion }) => suggestion);
+
+    res.json({ suggestions });
+
+  } catch (error) {
+    console.error('Get search suggestions error:', error);
+    res.status(500).json({ message: 'Server error fetching search suggestions' });
+  }
+});
+
+export default router;
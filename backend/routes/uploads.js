@@ -0,0 +1,408 @@
+/**
+ * Resumable Upload Routes
+ *
+ * Implements a tus-style chunked upload protocol for large video files:
+ * create a session, PATCH chunks at explicit offsets, HEAD to query progress,
+ * and finalize the completed file into a published video.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { auth } from '../middleware/auth.js';
+import {
+  TEMP_DIR,
+  VIDEO_MIME_TYPES,
+  getMaxVideoSize,
+  uploadThumbnailFile,
+  removeUploadedFiles,
+  toLocalFile
+} from '../middleware/upload.js';
+import { validateVideoMetadata, publishVideo } from '../utils/videoPublishing.js';
+import { checkUploadQuota, checkRecordedQuota } from '../utils/quotas.js';
+import { matchesMediaSignature } from '../utils/mediaSignature.js';
+import { deleteVideoWithMedia } from '../utils/mediaCleanup.js';
+import UploadSession from '../models/UploadSession.js';
+import Channel from '../models/Channel.js';
+
+const router = express.Router();
+
+// Content type required for chunk uploads (as in the tus protocol)
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Chunk size and session lifetime from config.env
+const CHUNK_SIZE = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 5) * 1024 * 1024;
+const SESSION_TTL = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Progress Header Helper
+ *
+ * Sets the offset and length headers describing a session's progress.
+ */
+const setProgressHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.totalSize),
+    'Cache-Control': 'no-store'
+  });
+};
+
+/**
+ * Session Lookup Middleware
+ *
+ * Loads the upload session from the route parameter and verifies that it
+ * belongs to the current user and has not expired.
+ */
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload session not found' });
+    }
+
+    if (session.uploader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to access this upload' });
+    }
+
+    // Expired sessions are discarded together with their partial file
+    if (session.expiresAt < new Date()) {
+      await fs.promises.unlink(path.join(TEMP_DIR, session.tempPath)).catch(() => {});
+      await UploadSession.findByIdAndDelete(session._id);
+      return res.status(404).json({ message: 'Upload session has expired' });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    console.error('Load upload session error:', error);
+    res.status(500).json({ message: 'Server error loading upload session' });
+  }
+};
+
+/**
+ * Chunk Body Parser
+ *
+ * Reads a raw chunk body up to the configured chunk size.
+ * Parser errors (oversized or aborted bodies) become JSON responses.
+ */
+const parseChunk = (req, res, next) => {
+  express.raw({ type: CHUNK_CONTENT_TYPE, limit: CHUNK_SIZE })(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        message: err.type === 'entity.too.large' ? 'Chunk exceeds the maximum chunk size' : 'Invalid chunk body'
+      });
+    }
+    next();
+  });
+};
+
+// Validation rules for creating an upload session
+const validateSession = [
+  body('filename')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters')
+    .trim(),
+  body('mimeType')
+    .isIn(VIDEO_MIME_TYPES)
+    .withMessage('Video must be an MP4 or WebM file'),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive number of bytes')
+    .toInt()
+];
+
+/**
+ * POST /api/uploads - Create Upload Session
+ *
+ * Registers a new resumable upload for a video file of known size and type.
+ * Rejects uploads that would exceed the user's quotas, then creates an empty
+ * partial file and returns the session ID and chunk size.
+ */
+router.post('/', auth, validateSession, async (req, res) => {
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { filename, mimeType, size } = req.body;
+
+    // Reject files above the video size limit before any bytes are sent
+    const maxSize = getMaxVideoSize();
+    if (size > maxSize) {
+      return res.status(413).json({
+        message: `video file cannot exceed ${Math.round(maxSize / (1024 * 1024))} MB`
+      });
+    }
+
+    // Reserve the declared size against the user's quotas before accepting chunks
+    const quotaError = await checkUploadQuota({ userId: req.user._id, bytes: size });
+    if (quotaError) {
+      return res.status(quotaError.status).json({ message: quotaError.message });
+    }
+
+    const session = new UploadSession({
+      uploader: req.user._id,
+      filename,
+      mimeType,
+      totalSize: size,
+      expiresAt: new Date(Date.now() + SESSION_TTL)
+    });
+    session.tempPath = `${session._id}.part`;
+
+    // Create the empty partial file that chunks are written into
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(TEMP_DIR, session.tempPath), '');
+
+    await session.save();
+
+    // Give the reservation back if parallel sessions took the quota meanwhile
+    const recordedQuotaError = await checkRecordedQuota({ userId: req.user._id });
+    if (recordedQuotaError) {
+      await fs.promises.unlink(path.join(TEMP_DIR, session.tempPath)).catch(() => {});
+      await UploadSession.findByIdAndDelete(session._id);
+      return res.status(recordedQuotaError.status).json({ message: recordedQuotaError.message });
+    }
+
+    setProgressHeaders(res, session);
+    res.set('Location', `/api/uploads/${session._id}`);
+    res.status(201).json({
+      uploadId: session._id,
+      offset: session.offset,
+      totalSize: session.totalSize,
+      chunkSize: CHUNK_SIZE,
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ message: 'Server error creating upload session' });
+  }
+});
+
+/**
+ * HEAD /api/uploads/:id - Query Upload Progress
+ *
+ * Reports the number of bytes received so far in the Upload-Offset header.
+ * Clients use it to find where to resume after an interruption.
+ */
+router.head('/:id', auth, loadSession, (req, res) => {
+  setProgressHeaders(res, req.uploadSession);
+  res.status(200).end();
+});
+
+/**
+ * GET /api/uploads/:id - Get Upload Session
+ *
+ * Returns the session state as JSON, including the recommended chunk size.
+ */
+router.get('/:id', auth, loadSession, (req, res) => {
+  setProgressHeaders(res, req.uploadSession);
+  res.json({
+    session: req.uploadSession,
+    chunkSize: CHUNK_SIZE
+  });
+});
+
+/**
+ * PATCH /api/uploads/:id - Upload Chunk
+ *
+ * Writes a chunk at the offset given in the Upload-Offset header.
+ * The offset must match the bytes already received, so retried or
+ * out-of-order chunks are rejected with 409 and the current offset.
+ */
+router.patch('/:id', auth, loadSession, parseChunk, async (req, res) => {
+  try {
+    const session = req.uploadSession;
+
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({ message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}` });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    const chunk = req.body;
+
+    if (Number.isNaN(offset) || offset !== session.offset) {
+      setProgressHeaders(res, session);
+      return res.status(409).json({ message: 'Upload offset mismatch', offset: session.offset });
+    }
+
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      return res.status(400).json({ message: 'Chunk body is empty' });
+    }
+
+    if (offset + chunk.length > session.totalSize) {
+      return res.status(400).json({ message: 'Chunk exceeds the declared file size' });
+    }
+
+    // Write at the explicit offset so a retried chunk overwrites rather than duplicates
+    const handle = await fs.promises.open(path.join(TEMP_DIR, session.tempPath), 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    // Advance the offset only if no concurrent request moved it first
+    const updatedSession = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset },
+      { $set: { offset: offset + chunk.length } },
+      { new: true }
+    );
+
+    if (!updatedSession) {
+      const current = await UploadSession.findById(session._id);
+      return res.status(409).json({ message: 'Upload offset mismatch', offset: current?.offset ?? 0 });
+    }
+
+    setProgressHeaders(res, updatedSession);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ message: 'Server error uploading chunk' });
+  }
+});
+
+/**
+ * POST /api/uploads/:id/finalize - Publish Uploaded Video
+ *
+ * Turns a completed upload session into a video. Accepts the video metadata
+ * and a `thumbnail` image as multipart form data, moves the assembled file
+ * into media storage and removes the session.
+ */
+router.post('/:id/finalize', auth, loadSession, uploadThumbnailFile, validateVideoMetadata, async (req, res) => {
+  let claimed = false;
+  const releaseSession = () => UploadSession.updateOne({ _id: req.uploadSession._id }, { $set: { finalizing: false } });
+
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = req.uploadSession;
+    const thumbnailFile = req.files?.thumbnail?.[0];
+
+    if (!session.isComplete) {
+      await removeUploadedFiles(req);
+      setProgressHeaders(res, session);
+      return res.status(409).json({ message: 'Upload is not complete yet', offset: session.offset });
+    }
+
+    if (!thumbnailFile) {
+      return res.status(400).json({ message: 'A thumbnail image is required' });
+    }
+
+    // The assembled file must really be the declared video type
+    if (!(await matchesMediaSignature(path.join(TEMP_DIR, session.tempPath), session.mimeType))) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ message: `Uploaded file is not a valid ${session.mimeType} file` });
+    }
+
+    // Claim the session so only one finalize request publishes it
+    claimed = Boolean(await UploadSession.findOneAndUpdate(
+      { _id: session._id, finalizing: { $ne: true } },
+      { $set: { finalizing: true } }
+    ));
+    if (!claimed) {
+      await removeUploadedFiles(req);
+      return res.status(409).json({ message: 'Upload is already being finalized' });
+    }
+
+    // Verify channel exists and user owns it
+    const channel = await Channel.findById(req.body.channelId);
+    if (!channel) {
+      await removeUploadedFiles(req);
+      await releaseSession();
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    if (channel.owner.toString() !== req.user._id.toString()) {
+      await removeUploadedFiles(req);
+      await releaseSession();
+      return res.status(403).json({ message: 'Not authorized to upload to this channel' });
+    }
+
+    // Enforce the channel's quotas now that the destination is known
+    const quotaError = await checkUploadQuota({
+      userId: req.user._id,
+      channelId: channel._id,
+      bytes: session.totalSize + thumbnailFile.size,
+      excludeSessionId: session._id
+    });
+    if (quotaError) {
+      await removeUploadedFiles(req);
+      await releaseSession();
+      return res.status(quotaError.status).json({ message: quotaError.message });
+    }
+
+    // Hand the assembled file to media storage and close the session
+    const video = await publishVideo({
+      metadata: req.body,
+      uploader: req.user._id,
+      videoFile: {
+        localPath: path.join(TEMP_DIR, session.tempPath),
+        mimeType: session.mimeType,
+        size: session.totalSize
+      },
+      thumbnailFile: toLocalFile(thumbnailFile)
+    });
+    await UploadSession.findByIdAndDelete(session._id);
+
+    // Undo the upload if parallel uploads took the quota meanwhile
+    const recordedQuotaError = await checkRecordedQuota({ userId: req.user._id, channelId: channel._id });
+    if (recordedQuotaError) {
+      await deleteVideoWithMedia(video);
+      return res.status(recordedQuotaError.status).json({ message: recordedQuotaError.message });
+    }
+
+    res.status(201).json({
+      message: 'Video uploaded successfully',
+      video
+    });
+
+  } catch (error) {
+    await removeUploadedFiles(req);
+    if (claimed) await releaseSession().catch(() => {});
+    console.error('Finalize upload error:', error);
+    res.status(500).json({ message: 'Server error finalizing upload' });
+  }
+});
+
+/**
+ * DELETE /api/uploads/:id - Cancel Upload
+ *
+ * Abandons an upload session and removes its partial file.
+ */
+router.delete('/:id', auth, loadSession, async (req, res) => {
+  try {
+    // A session being finalized is no longer cancellable
+    const session = await UploadSession.findOneAndDelete({ _id: req.uploadSession._id, finalizing: { $ne: true } });
+    if (!session) {
+      return res.status(409).json({ message: 'Upload is already being finalized' });
+    }
+
+    await fs.promises.unlink(path.join(TEMP_DIR, session.tempPath)).catch(() => {});
+
+    res.json({ message: 'Upload cancelled successfully' });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ message: 'Server error cancelling upload' });
+  }
+});
+
+export default router;
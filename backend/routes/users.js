@@ -0,0 +1,530 @@
+/**
+ * User Library Routes
+ *
+ * Handles the signed-in user's personal video lists: the Watch Later queue
+ * (add, remove, reorder and list), the watch history (record, search,
+ * remove, clear and pause), the liked videos list and recent searches.
+ */
+
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { auth } from '../middleware/auth.js';
+import { canViewVideo, viewableVideoFilter } from '../utils/videoAccess.js';
+import { containsVideo, reorderVideoIds } from '../utils/videoLists.js';
+import { escapeRegex } from '../utils/searchText.js';
+import User, { MAX_WATCH_LATER_VIDEOS, MAX_RECENT_SEARCHES } from '../models/User.js';
+import Video from '../models/Video.js';
+import Channel from '../models/Channel.js';
+import WatchHistory from '../models/WatchHistory.js';
+import Like from '../models/Like.js';
+
+const router = express.Router();
+
+// Largest page sizes accepted by the liked videos and watch history endpoints
+const MAX_LIKED_PAGE_SIZE = 100;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Video fields included with watch history entries and liked videos
+const HISTORY_VIDEO_FIELDS = {
+  title: 1, description: 1, thumbnailUrl: 1, duration: 1, durationSeconds: 1,
+  views: 1, uploadDate: 1, channelId: 1, uploader: 1
+};
+const LIKED_VIDEO_FIELDS = {
+  title: 1, thumbnailUrl: 1, duration: 1, views: 1, uploadDate: 1, channelId: 1, uploader: 1
+};
+
+/**
+ * Input Validation Middleware
+ *
+ * Validates request bodies for the Watch Later and watch history endpoints.
+ */
+const validateWatchLaterVideo = [
+  body('videoId')
+    .isMongoId()
+    .withMessage('A valid video is required')
+];
+
+// Validation rules for reordering the Watch Later queue
+const validateWatchLaterOrder = [
+  body('videoIds')
+    .isArray({ min: 1 })
+    .withMessage('videoIds must be a non-empty array'),
+  body('videoIds.*')
+    .isMongoId()
+    .withMessage('videoIds must only contain video IDs')
+];
+
+// Validation rules for recording a watch event
+const validateWatchEvent = [
+  body('videoId')
+    .isMongoId()
+    .withMessage('A valid video is required'),
+  body('position')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number of seconds')
+    .toFloat()
+];
+
+// Validation rules for saving a recent search
+const validateRecentSearch = [
+  body('query')
+    .isString()
+    .withMessage('Search query is required')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters')
+];
+
+// Validation rules for pausing or resuming watch history
+const validateHistoryPaused = [
+  body('paused')
+    .isBoolean()
+    .withMessage('paused must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Visible Entries Pager
+ *
+ * Pages through the user's entries in a video list collection (watch
+ * history or likes), newest first, with each entry's video attached.
+ * Entries whose video was deleted, cannot be watched by the user or does
+ * not match `videoMatch` are dropped inside the aggregation, before paging,
+ * so pages are full and the total is exact.
+ *
+ * @param {Object} Model - WatchHistory or Like
+ * @param {Object} options - userId, sortField, videoFields (projection),
+ *   optional videoMatch, skip and limit
+ * @returns {Promise<{ entries: Object[], total: number }>}
+ */
+const findVisibleEntries = async (Model, { userId, sortField, videoFields, videoMatch = {}, skip, limit }) => {
+  const [result] = await Model.aggregate([
+    { $match: { user: userId } },
+    { $sort: { [sortField]: -1 } },
+    {
+      $lookup: {
+        from: Video.collection.name,
+        let: { videoId: '$video' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$videoId'] } } },
+          { $match: { ...viewableVideoFilter(userId), ...videoMatch } },
+          { $project: videoFields }
+        ],
+        as: 'video'
+      }
+    },
+    { $unwind: '$video' },
+    {
+      $facet: {
+        entries: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  await Channel.populate(result.entries, { path: 'video.channelId', select: 'channelName' });
+
+  return { entries: result.entries, total: result.total[0]?.count || 0 };
+};
+
+/**
+ * GET /api/users/me/watch-later - Get Watch Later Queue
+ *
+ * Returns the user's Watch Later videos in queue order. Deleted videos are
+ * pruned from the queue; videos the user can no longer watch are left out.
+ */
+router.get('/me/watch-later', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('watchLater')
+      .populate({
+        path: 'watchLater',
+        select: 'title thumbnailUrl duration views uploadDate channelId uploader visibility scheduled',
+        populate: { path: 'channelId', select: 'channelName' }
+      });
+
+    // Populate skips deleted videos; drop their IDs from the stored queue
+    const existingIds = user.watchLater.map(video => video._id);
+    const deletedIds = req.user.watchLater.filter(id => !containsVideo(existingIds, id));
+    if (deletedIds.length > 0) {
+      await User.findByIdAndUpdate(req.user._id, { $pull: { watchLater: { $in: deletedIds } } });
+    }
+
+    const videos = user.watchLater.filter(video => canViewVideo(video, req.user._id));
+
+    res.json({ videos, total: videos.length });
+  } catch (error) {
+    console.error('Get watch later error:', error);
+    res.status(500).json({ message: 'Server error fetching Watch Later' });
+  }
+});
+
+/**
+ * POST /api/users/me/watch-later - Add Video to Watch Later
+ *
+ * Appends a video to the end of the queue. Adding a video that is already
+ * queued is a no-op, so the client can use it as a one-click action.
+ */
+router.post('/me/watch-later', auth, validateWatchLaterVideo, async (req, res) => {
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { videoId } = req.body;
+
+    // Verify video exists (and is visible to the user) before queueing it
+    const video = await Video.findById(videoId);
+    if (!video || !canViewVideo(video, req.user._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    if (!containsVideo(req.user.watchLater, videoId) && req.user.watchLater.length >= MAX_WATCH_LATER_VIDEOS) {
+      return res.status(400).json({ message: `Watch Later cannot contain more than ${MAX_WATCH_LATER_VIDEOS} videos` });
+    }
+
+    // Only push when not queued yet, so concurrent clicks cannot add duplicates
+    await User.updateOne(
+      { _id: req.user._id, watchLater: { $ne: video._id } },
+      { $push: { watchLater: video._id } }
+    );
+    const user = await User.findById(req.user._id).select('watchLater');
+
+    res.json({
+      message: 'Video saved to Watch Later',
+      watchLater: user.watchLater
+    });
+
+  } catch (error) {
+    console.error('Add watch later error:', error);
+    res.status(500).json({ message: 'Server error saving to Watch Later' });
+  }
+});
+
+/**
+ * DELETE /api/users/me/watch-later/:videoId - Remove Video from Watch Later
+ *
+ * Removes a video from the queue, keeping the order of the others.
+ */
+router.delete('/me/watch-later/:videoId', auth, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!containsVideo(req.user.watchLater, videoId)) {
+      return res.status(404).json({ message: 'Video is not in Watch Later' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { watchLater: videoId } },
+      { new: true }
+    ).select('watchLater');
+
+    res.json({
+      message: 'Video removed from Watch Later',
+      watchLater: user.watchLater
+    });
+
+  } catch (error) {
+    console.error('Remove watch later error:', error);
+    res.status(500).json({ message: 'Server error removing from Watch Later' });
+  }
+});
+
+/**
+ * PUT /api/users/me/watch-later/order - Reorder Watch Later
+ *
+ * Moves the given videos to the front of the queue in the given order
+ * (see reorderVideoIds for how unlisted videos are handled).
+ */
+router.put('/me/watch-later/order', auth, validateWatchLaterOrder, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Every listed video must be queued, and listed only once
+    const orderedIds = reorderVideoIds(req.user.watchLater, req.body.videoIds);
+    if (!orderedIds) {
+      return res.status(400).json({ message: 'Order must list videos from Watch Later, each only once' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { watchLater: orderedIds },
+      { new: true }
+    ).select('watchLater');
+
+    res.json({
+      message: 'Watch Later reordered successfully',
+      watchLater: user.watchLater
+    });
+
+  } catch (error) {
+    console.error('Reorder watch later error:', error);
+    res.status(500).json({ message: 'Server error reordering Watch Later' });
+  }
+});
+
+/**
+ * GET /api/users/me/history - Get Watch History
+ *
+ * Returns the user's watch history, most recently watched first, with
+ * pagination and an optional `q` title search. Entries for deleted videos or
+ * videos the user can no longer watch are left out of the results and the
+ * total.
+ */
+router.get('/me/history', auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_HISTORY_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+    const { q } = req.query;
+
+    // Narrow to watched videos whose title matches the search
+    const videoMatch = q && q.trim()
+      ? { title: { $regex: escapeRegex(q.trim()), $options: 'i' } }
+      : {};
+
+    // Most recently watched first
+    const { entries, total } = await findVisibleEntries(WatchHistory, {
+      userId: req.user._id,
+      sortField: 'watchedAt',
+      videoFields: HISTORY_VIDEO_FIELDS,
+      videoMatch,
+      skip,
+      limit
+    });
+
+    res.json({
+      entries,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      paused: req.user.historyPaused
+    });
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ message: 'Server error fetching watch history' });
+  }
+});
+
+/**
+ * POST /api/users/me/history - Record Watch Event
+ *
+ * Records that the user watched a video, with the current playback position.
+ * Rewatching a video updates its existing entry. Nothing is recorded while
+ * history is paused.
+ */
+router.post('/me/history', auth, validateWatchEvent, async (req, res) => {
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.historyPaused) {
+      return res.json({ recorded: false, paused: true });
+    }
+
+    const { videoId, position = 0 } = req.body;
+
+    // Verify video exists (and is visible to the user) before recording it
+    const video = await Video.findById(videoId).select('uploader visibility scheduled');
+    if (!video || !canViewVideo(video, req.user._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const entry = await WatchHistory.findOneAndUpdate(
+      { user: req.user._id, video: video._id },
+      { $set: { position, watchedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ recorded: true, entry });
+
+  } catch (error) {
+    console.error('Record history error:', error);
+    res.status(500).json({ message: 'Server error recording watch history' });
+  }
+});
+
+/**
+ * PUT /api/users/me/history/paused - Pause or Resume History
+ *
+ * Turns watch history recording off (`paused: true`) or back on.
+ * Existing entries are kept either way.
+ */
+router.put('/me/history/paused', auth, validateHistoryPaused, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paused } = req.body;
+    await User.findByIdAndUpdate(req.user._id, { historyPaused: paused });
+
+    res.json({
+      message: paused ? 'Watch history paused' : 'Watch history resumed',
+      paused
+    });
+
+  } catch (error) {
+    console.error('Pause history error:', error);
+    res.status(500).json({ message: 'Server error updating watch history settings' });
+  }
+});
+
+/**
+ * DELETE /api/users/me/history/:entryId - Remove History Entry
+ *
+ * Removes a single video from the user's watch history.
+ */
+router.delete('/me/history/:entryId', auth, async (req, res) => {
+  try {
+    const entry = await WatchHistory.findOneAndDelete({ _id: req.params.entryId, user: req.user._id });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Remove history entry error:', error);
+    res.status(500).json({ message: 'Server error removing history entry' });
+  }
+});
+
+/**
+ * DELETE /api/users/me/history - Clear Watch History
+ *
+ * Removes every entry from the user's watch history.
+ */
+router.delete('/me/history', auth, async (req, res) => {
+  try {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+    res.json({ success: true, deleted: deletedCount });
+
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({ message: 'Server error clearing watch history' });
+  }
+});
+
+/**
+ * GET /api/users/me/liked - Get Liked Videos
+ *
+ * Returns the videos the user has liked, most recent like first, with
+ * pagination. Videos the user can no longer watch are left out of the
+ * results and the total.
+ */
+router.get('/me/liked', auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIKED_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    // Most recent like first
+    const { entries: likes, total } = await findVisibleEntries(Like, {
+      userId: req.user._id,
+      sortField: 'likedAt',
+      videoFields: LIKED_VIDEO_FIELDS,
+      skip,
+      limit
+    });
+
+    const videos = likes.map(like => ({ ...like.video, likedAt: like.likedAt }));
+
+    res.json({
+      videos,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Get liked videos error:', error);
+    res.status(500).json({ message: 'Server error fetching liked videos' });
+  }
+});
+
+/**
+ * POST /api/users/me/searches - Save Recent Search
+ *
+ * Moves the query to the top of the user's recent searches, keeping only
+ * the most recent ones. Returns the updated list, newest first.
+ */
+router.post('/me/searches', auth, validateRecentSearch, async (req, res) => {
+  try {
+    // Validate input data against defined rules
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { query } = req.body;
+
+    // Drop an earlier copy of the query, then add it to the front
+    await User.findByIdAndUpdate(req.user._id, { $pull: { recentSearches: query } });
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $push: { recentSearches: { $each: [query], $position: 0, $slice: MAX_RECENT_SEARCHES } } },
+      { new: true }
+    ).select('recentSearches');
+
+    res.json({ searches: user.recentSearches });
+
+  } catch (error) {
+    console.error('Save recent search error:', error);
+    res.status(500).json({ message: 'Server error saving recent search' });
+  }
+});
+
+/**
+ * DELETE /api/users/me/searches/:query - Remove Recent Search
+ *
+ * Removes one query from the user's recent searches.
+ */
+router.delete('/me/searches/:query', auth, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { recentSearches: req.params.query } },
+      { new: true }
+    ).select('recentSearches');
+
+    res.json({ searches: user.recentSearches });
+
+  } catch (error) {
+    console.error('Remove recent search error:', error);
+    res.status(500).json({ message: 'Server error removing recent search' });
+  }
+});
+
+export default router;
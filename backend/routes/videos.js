@@ -8,39 +8,48 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { auth, optionalAuth } from '../middleware/auth.js';
+import { uploadVideoFiles, removeUploadedFiles, toLocalFile } from '../middleware/upload.js';
+import { validateVideoMetadata, validatePublishAt, getPublishState, publishVideo } from '../utils/videoPublishing.js';
+import { verifyStreamToken, getStreamUrl } from '../utils/streamTokens.js';
+import { parseRange } from '../utils/rangeRequests.js';
+import { getStorage } from '../storage/index.js';
+import { deleteVideoWithMedia } from '../utils/mediaCleanup.js';
+import { checkUploadQuota, checkRecordedQuota } from '../utils/quotas.js';
+import { getRelatedVideos } from '../utils/relatedVideos.js';
+import { validateViewReport, getViewThreshold, issueViewTokens, readViewToken, getCreditedWatchTime, getViewerKeys, recordView } from '../utils/viewCounting.js';
+import { getPendingViews } from '../utils/viewBuffer.js';
+import { validateHeartbeat, validateAnalyticsPeriod, getPeriodStart, recordHeartbeat, getVideoAnalytics } from '../utils/playbackAnalytics.js';
+import { validateVideoSearch, buildVideoSearch, getSearchFacets } from '../utils/videoSearch.js';
+import { fuzzySearchVideos, getSpellingSuggestion } from '../utils/fuzzySearch.js';
+import { parsePageSize, readCursor, offsetCursor, paginateQuery } from '../utils/cursorPagination.js';
+import { VISIBILITY_OPTIONS, publicVideoFilter, listableVideoFilter, canViewVideo } from '../utils/videoAccess.js';
 import Video from '../models/Video.js';
+import WatchHistory from '../models/WatchHistory.js';
+import Like from '../models/Like.js';
 import Channel from '../models/Channel.js';
 
 const router = express.Router();
 
+// Largest number of related videos returned at once
+const MAX_RELATED_VIDEOS = 30;
+
+// Largest page size accepted by the trending endpoint
+const MAX_TRENDING_PAGE_SIZE = 100;
+
+// Text searches with fewer results than this get a spelling suggestion
+const SPELLING_CHECK_MAX_RESULTS = 3;
+
+// Newest first; _id keeps the order stable for cursor pagination
+const NEWEST_FIRST = { uploadDate: -1, _id: -1 };
+
 /**
  * Input Validation Middleware
  * 
  * Ensures data integrity for video creation and updates.
- * Separate validation for creation vs updates to allow partial edits.
+ * Creation rules (validateVideoMetadata) are shared with resumable uploads;
+ * separate update rules allow partial edits.
  */
 
-// Validation rules for new video creation
-const validateVideo = [
-  body('title')
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Title must be between 1 and 100 characters')
-    .trim(),
-  body('description')
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Description must be between 1 and 1000 characters')
-    .trim(),
-  body('videoUrl')
-    .notEmpty()
-    .withMessage('Video URL is required'),
-  body('thumbnailUrl')
-    .notEmpty()
-    .withMessage('Thumbnail URL is required'),
-  body('category')
-    .isIn(['Gaming', 'Education', 'Entertainment', 'Technology', 'Music', 'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'])
-    .withMessage('Invalid category')
-];
-
 // Validation rules for video updates (only editable fields)
 const validateVideoUpdate = [
   body('title')
@@ -50,87 +59,80 @@ const validateVideoUpdate = [
   body('description')
     .isLength({ min: 1, max: 1000 })
     .withMessage('Description must be between 1 and 1000 characters')
-    .trim()
+    .trim(),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_OPTIONS)
+    .withMessage('Visibility must be public, unlisted or private'),
+  validatePublishAt
 ];
 
 /**
  * POST /api/videos - Upload New Video
  * 
- * Creates a new video entry with validation and channel ownership verification.
- * Automatically generates realistic video duration and updates channel relationships.
+ * Accepts a multipart upload with a `video` file (MP4/WebM) and a `thumbnail` image.
+ * Verifies channel ownership and storage quotas, stores the files in media storage
+ * and links them to the new video. Uploaded files are removed again if the request fails.
  */
-router.post('/', auth, validateVideo, async (req, res) => {
+router.post('/', auth, uploadVideoFiles, validateVideoMetadata, async (req, res) => {
   try {
     // Validate input data against defined rules
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeUploadedFiles(req);
       return res.status(400).json({ 
         message: 'Validation failed', 
         errors: errors.array() 
       });
     }
 
-    const { title, description, videoUrl, thumbnailUrl, channelId, category, tags } = req.body;
+    const videoFile = req.files?.video?.[0];
+    const thumbnailFile = req.files?.thumbnail?.[0];
+
+    // Both media files are required
+    if (!videoFile || !thumbnailFile) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ message: 'Both a video file and a thumbnail image are required' });
+    }
+
     const uploader = req.user._id;
 
     // Verify channel exists and user owns it
-    const channel = await Channel.findById(channelId);
+    const channel = await Channel.findById(req.body.channelId);
     if (!channel) {
+      await removeUploadedFiles(req);
       return res.status(404).json({ message: 'Channel not found' });
     }
 
     if (channel.owner.toString() !== uploader.toString()) {
+      await removeUploadedFiles(req);
       return res.status(403).json({ message: 'Not authorized to upload to this channel' });
     }
 
-    /**
-     * Generate Realistic Video Duration
-     * 
-     * Creates random duration between 2:30 and 15:45 minutes
-     * to simulate realistic YouTube video lengths.
-     */
-    const generateDuration = () => {
-      // Generate duration between 2:30 and 15:45 (realistic YouTube video lengths)
-      const minutes = Math.floor(Math.random() * 14) + 2; // 2-15 minutes
-      const seconds = Math.floor(Math.random() * 60); // 0-59 seconds
-      
-      // Ensure positive values
-      const safeMinutes = Math.abs(minutes);
-      const safeSeconds = Math.abs(seconds);
-      
-      // Format as MM:SS
-      const formattedMinutes = safeMinutes.toString().padStart(2, '0');
-      const formattedSeconds = safeSeconds.toString().padStart(2, '0');
-      
-      return `${formattedMinutes}:${formattedSeconds}`;
-    };
+    // Enforce the user's and channel's storage and upload-count quotas
+    const quotaError = await checkUploadQuota({
+      userId: uploader,
+      channelId: channel._id,
+      bytes: videoFile.size + thumbnailFile.size
+    });
+    if (quotaError) {
+      await removeUploadedFiles(req);
+      return res.status(quotaError.status).json({ message: quotaError.message });
+    }
 
-    // Create new video instance
-    const video = new Video({
-      title,
-      description,
-      videoUrl,
-      thumbnailUrl,
-      channelId,
+    const video = await publishVideo({
+      metadata: req.body,
       uploader,
-      category,
-      duration: generateDuration(),
-      tags: tags || []
+      videoFile: toLocalFile(videoFile),
+      thumbnailFile: toLocalFile(thumbnailFile)
     });
 
-    await video.save();
-
-    // Update channel's videos array to include new video
-    await Channel.findByIdAndUpdate(
-      channelId,
-      { $push: { videos: video._id } }
-    );
-
-    // Populate video with related data for response
-    await video.populate([
-      { path: 'channelId', select: 'channelName' },
-      { path: 'uploader', select: 'username avatar' }
-    ]);
+    // Undo the upload if parallel uploads took the quota meanwhile
+    const recordedQuotaError = await checkRecordedQuota({ userId: uploader, channelId: channel._id });
+    if (recordedQuotaError) {
+      await deleteVideoWithMedia(video);
+      return res.status(recordedQuotaError.status).json({ message: recordedQuotaError.message });
+    }
 
     res.status(201).json({
       message: 'Video uploaded successfully',
@@ -138,6 +140,7 @@ router.post('/', auth, validateVideo, async (req, res) => {
     });
 
   } catch (error) {
+    await removeUploadedFiles(req);
     console.error('Upload video error:', error);
     res.status(500).json({ message: 'Server error uploading video' });
   }
@@ -146,46 +149,132 @@ router.post('/', auth, validateVideo, async (req, res) => {
 /**
  * GET /api/videos - Get All Videos with Filtering
  * 
- * Retrieves videos with optional category filtering, search functionality,
- * and pagination support. Uses optional authentication for personalized content.
+ * Retrieves public videos with optional category filtering, search functionality,
+ * and cursor pagination: pass the returned `nextCursor` as `cursor` to get the
+ * next page (null on the last page). Unlisted and private videos are never listed here.
+ * Search results can be sorted (`sort`: relevance, views, date or rating) and
+ * filtered by `duration` (short, medium or long), upload date range
+ * (`uploadedAfter`, `uploadedBefore`), `channel` and comma-separated `tags`.
+ * With `facets=true` the response also lists the most common channels and
+ * tags among the matches for the search filter panel. `mode=fuzzy` matches
+ * the search words by trigram similarity instead of the text index, so
+ * misspelled and partial words still match (see utils/fuzzySearch.js).
+ * Fuzzy searches, and text searches with few results, include a corrected
+ * query in `didYouMean` when one is found.
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validateVideoSearch, async (req, res) => {
   try {
-    const { category, search, page = 1, limit = 12 } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { search } = req.query;
+    const limit = parsePageSize(req.query.limit);
+
+    // Only public videos appear in listings and search results
+    const { filter, facetFilter, sort, sortOption, projection, fuzzy } = buildVideoSearch(publicVideoFilter(), req.query);
+
+    const position = readCursor(req.query.cursor, sort);
+    if (!position) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    let videos, total, nextCursor, didYouMean = null, matchFilter = facetFilter;
+
+    if (fuzzy) {
+      // Fuzzy search ranks the matches itself, so pages use offset cursors; facets count the matches
+      const skip = position.offset || 0;
+      const result = await fuzzySearchVideos(filter, search, { sort: sortOption, skip, limit });
+      ({ videos, total, didYouMean } = result);
+      nextCursor = offsetCursor(sort, skip + limit, total);
+      matchFilter = { _id: { $in: result.matchIds } };
+    } else {
+      // Execute query with cursor pagination and population
+      ({ items: videos, nextCursor } = await paginateQuery(
+        Video.find(filter, projection)
+          .populate('channelId', 'channelName')
+          .populate('uploader', 'username avatar'),
+        { sort, position, limit }
+      ));
+
+      total = await Video.countDocuments(filter);
+
+      // Only the first page of a search with few results checks the spelling
+      const firstPage = !position.after && !position.offset;
+      if (search && firstPage && total < SPELLING_CHECK_MAX_RESULTS) {
+        didYouMean = await getSpellingSuggestion(publicVideoFilter(), search);
+      }
+    }
+
+    const response = {
+      videos,
+      total,
+      nextCursor
+    };
+
+    if (search) {
+      response.didYouMean = didYouMean;
+    }
+
+    if (req.query.facets === 'true') {
+      response.facets = await getSearchFacets(matchFilter);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Get videos error:', error);
+    res.status(500).json({ message: 'Server error fetching videos' });
+  }
+});
+
+/**
+ * GET /api/videos/trending - Get Trending Videos
+ * 
+ * Retrieves public videos ranked by their trending score, with optional
+ * category filtering and pagination. Scores are recomputed periodically by
+ * the trending updater (see utils/trending.js), so ranking is cheap here.
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_TRENDING_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 24));
     const skip = (page - 1) * limit;
 
-    let query = {};
+    // Only public videos with recent engagement are trending
+    const query = { ...publicVideoFilter(), 'trending.score': { $gt: 0 } };
 
     // Apply category filter if specified
     if (category && category !== 'All') {
       query.category = category;
     }
 
-    // Apply text search using MongoDB text index
-    if (search) {
-      query.$text = { $search: search };
-    }
-
     // Execute query with pagination and population
     const videos = await Video.find(query)
       .populate('channelId', 'channelName')
       .populate('uploader', 'username avatar')
-      .sort({ uploadDate: -1 }) // Newest videos first
+      .sort({ 'trending.score': -1, views: -1 }) // Highest score first
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     const total = await Video.countDocuments(query);
 
     res.json({
       videos,
       total,
-      currentPage: parseInt(page),
+      currentPage: page,
       totalPages: Math.ceil(total / limit)
     });
 
   } catch (error) {
-    console.error('Get videos error:', error);
-    res.status(500).json({ message: 'Server error fetching videos' });
+    console.error('Get trending videos error:', error);
+    res.status(500).json({ message: 'Server error fetching trending videos' });
   }
 });
 
@@ -193,7 +282,10 @@ router.get('/', optionalAuth, async (req, res) => {
  * GET /api/videos/:id - Get Video by ID
  * 
  * Retrieves a specific video with full details and user engagement status.
- * Includes channel and uploader information for complete video context.
+ * Includes channel and uploader information for complete video context, the
+ * seconds of playback after which the player reports a view, and the view
+ * tokens for that report (see utils/viewCounting.js).
+ * Public and unlisted videos are available by direct link; private ones only to the uploader.
  */
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -201,22 +293,29 @@ router.get('/:id', optionalAuth, async (req, res) => {
       .populate('channelId', 'channelName description')
       .populate('uploader', 'username avatar');
 
-    if (!video) {
+    // Private videos are hidden from everyone but the uploader
+    if (!video || !canViewVideo(video, req.user?._id)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    // Add user like/dislike status if authenticated
-    let userStatus = { liked: false, disliked: false };
+    // Add user like/dislike status and last watch position if authenticated
+    let userStatus = { liked: false, disliked: false, position: 0 };
     if (req.user) {
       userStatus.liked = video.userLikes.includes(req.user._id);
       userStatus.disliked = video.userDislikes.includes(req.user._id);
+      const historyEntry = await WatchHistory.findOne({ user: req.user._id, video: video._id }).select('position');
+      userStatus.position = historyEntry?.position || 0;
       console.log('User status for video:', req.params.id, 'User:', req.user._id, 'Status:', userStatus);
     } else {
       console.log('No user authenticated for video:', req.params.id);
     }
 
     const videoResponse = video.toObject();
+    videoResponse.views += getPendingViews(video._id); // Views not written yet
     videoResponse.userStatus = userStatus;
+    videoResponse.streamUrl = getStreamUrl(video, req.user?._id);
+    videoResponse.viewThreshold = getViewThreshold(video);
+    Object.assign(videoResponse, issueViewTokens(video._id, req));
 
     res.json(videoResponse);
   } catch (error) {
@@ -226,57 +325,272 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 /**
- * POST /api/videos/:id/view - Increment Video Views
+ * GET /api/videos/:id/related - Get Related Videos
  * 
- * Increments view count for a video. Only counts views from authenticated users
- * to prevent artificial inflation from anonymous users.
+ * Retrieves "Up next" recommendations for a video: public videos ranked by
+ * shared tags, category, channel and co-viewing (see utils/relatedVideos.js).
+ * The video itself is never included.
  */
-router.post('/:id/view', optionalAuth, async (req, res) => {
+router.get('/:id/related', optionalAuth, async (req, res) => {
   try {
-    const video = await Video.findById(req.params.id);
-    
+    const video = await Video.findById(req.params.id).select('category channelId tags uploader visibility scheduled');
+
+    if (!video || !canViewVideo(video, req.user?._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const limit = Math.min(MAX_RELATED_VIDEOS, Math.max(1, parseInt(req.query.limit) || 12));
+    const videos = await getRelatedVideos(video, limit);
+
+    res.json({ videos });
+  } catch (error) {
+    console.error('Get related videos error:', error);
+    res.status(500).json({ message: 'Server error fetching related videos' });
+  }
+});
+
+/**
+ * GET /api/videos/:id/stream - Stream Video File
+ * 
+ * Serves an uploaded video with HTTP Range support (206 Partial Content) so
+ * players can seek without downloading the whole file. Requires the signed
+ * stream token issued in the `streamUrl` of GET /api/videos/:id.
+ * Externally hosted videos are redirected to their original URL once the
+ * token has been checked.
+ */
+router.get('/:id/stream', async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).select('videoUrl videoFile uploader visibility scheduled');
+
     if (!video) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
-    // Only increment views for authenticated users to prevent abuse
-    if (req.user) {
-      video.views += 1;
-      await video.save();
+    // Verify the stream token was issued for this video (and, for private videos, to the uploader)
+    const token = verifyStreamToken(req.query.token, video._id);
+    if (!token || !canViewVideo(video, token.viewerId)) {
+      return res.status(403).json({ message: 'Invalid or expired stream token' });
+    }
+
+    // Videos without a stored file are hosted elsewhere
+    if (!video.videoFile?.path) {
+      return res.redirect(302, video.videoUrl);
+    }
+
+    const storage = getStorage();
+    const stats = await storage.stat(video.videoFile.path);
+    if (!stats) {
+      return res.status(404).json({ message: 'Video file not found' });
+    }
+
+    const size = stats.size;
+    const lastModified = new Date(stats.lastModified);
+    const etag = `"${size.toString(16)}-${lastModified.getTime().toString(16)}"`;
+
+    res.set({
+      'Content-Type': video.videoFile.mimeType || 'video/mp4',
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    // Conditional request: client already has this version
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
     }
 
-    res.json({ success: true, views: video.views });
+    // Ignore the range if If-Range refers to a different version of the file
+    const ifRange = req.get('If-Range');
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.get('Range'), size);
+
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    res.status(range ? 206 : 200);
+    res.set('Content-Length', String(end - start + 1));
+    if (range) {
+      res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // Stream only the requested byte range
+    const stream = await storage.createReadStream(video.videoFile.path, { start, end });
+    stream.on('error', (error) => {
+      console.error('Stream video read error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Stream video error:', error);
+    res.status(500).json({ message: 'Server error streaming video' });
+  }
+});
+
+/**
+ * POST /api/videos/:id/view - Report Video View
+ * 
+ * Reports how many seconds of a video the player has watched, with the
+ * `viewToken` returned by GET /api/videos/:id. The view is counted once the
+ * watch time reaches the video's view threshold, at most once per viewer
+ * within the deduplication window (see utils/viewCounting.js). Watch time
+ * beyond what could have been played since the token was issued is ignored.
+ */
+router.post('/:id/view', optionalAuth, validateViewReport, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findById(req.params.id).select('views durationSeconds uploader visibility scheduled');
+    
+    if (!video || !canViewVideo(video, req.user?._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    const viewToken = readViewToken(req.body.viewToken, video._id);
+    if (!viewToken) {
+      return res.status(400).json({ message: 'Invalid view token' });
+    }
+
+    // Plays shorter than the threshold are not views yet
+    const threshold = getViewThreshold(video);
+    if (getCreditedWatchTime(req.body.watchedSeconds, viewToken) < threshold) {
+      return res.json({ counted: false, views: video.views + getPendingViews(video._id), threshold });
+    }
+
+    const counted = await recordView(video._id, getViewerKeys(req, viewToken));
+
+    // The stored count plus the views waiting to be written (including this one)
+    res.json({ counted, views: video.views + getPendingViews(video._id), threshold });
   } catch (error) {
     console.error('Increment views error:', error);
     res.status(500).json({ message: 'Server error incrementing views' });
   }
 });
 
+/**
+ * POST /api/videos/:id/heartbeat - Record Playback Progress
+ * 
+ * Receives the player's periodic progress heartbeat: the `segments` of the
+ * video played since the previous heartbeat of playback `sessionId`. Feeds
+ * the watch time and retention analytics (see utils/playbackAnalytics.js).
+ */
+router.post('/:id/heartbeat', optionalAuth, validateHeartbeat, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findById(req.params.id).select('durationSeconds channelId uploader visibility scheduled');
+
+    if (!video || !canViewVideo(video, req.user?._id)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    await recordHeartbeat(video, req.body.sessionId, req.body.segments);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Record heartbeat error:', error);
+    res.status(500).json({ message: 'Server error recording playback progress' });
+  }
+});
+
+/**
+ * GET /api/videos/:id/analytics - Get Video Analytics
+ * 
+ * Returns the video's playbacks, watch time, average view duration and
+ * audience retention curve over the last `days` days (default 28).
+ * Only the video's owner can view its analytics.
+ */
+router.get('/:id/analytics', auth, validateAnalyticsPeriod, async (req, res) => {
+  try {
+    // Validate input data
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findById(req.params.id).select('title durationSeconds views uploader');
+
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    // Verify user owns the video before showing its analytics
+    if (video.uploader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view analytics for this video' });
+    }
+
+    const analytics = await getVideoAnalytics(video, getPeriodStart(req.query.days));
+
+    res.json({
+      video: {
+        _id: video._id,
+        title: video.title,
+        durationSeconds: video.durationSeconds,
+        views: video.views + getPendingViews(video._id)
+      },
+      ...analytics
+    });
+  } catch (error) {
+    console.error('Get video analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching video analytics' });
+  }
+});
+
 /**
  * GET /api/videos/channel/:channelId - Get Videos by Channel
  * 
- * Retrieves all videos from a specific channel with pagination support.
+ * Retrieves the channel's public videos with cursor pagination, plus
+ * unlisted and private ones when the uploader is signed in.
  * Useful for channel pages and video browsing.
  */
-router.get('/channel/:channelId', async (req, res) => {
+router.get('/channel/:channelId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 12 } = req.query;
-    const skip = (page - 1) * limit;
+    const limit = parsePageSize(req.query.limit);
+    const position = readCursor(req.query.cursor, NEWEST_FIRST);
+    if (!position) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    const videos = await Video.find({ channelId: req.params.channelId })
-      .populate('channelId', 'channelName')
-      .populate('uploader', 'username avatar')
-      .sort({ uploadDate: -1 }) // Newest videos first
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Visitors see public videos; the uploader also sees their unlisted and private ones
+    const query = { channelId: req.params.channelId, ...listableVideoFilter(req.user?._id) };
 
-    const total = await Video.countDocuments({ channelId: req.params.channelId });
+    const { items: videos, nextCursor } = await paginateQuery(
+      Video.find(query)
+        .populate('channelId', 'channelName')
+        .populate('uploader', 'username avatar'),
+      { sort: NEWEST_FIRST, position, limit } // Newest videos first
+    );
+
+    const total = await Video.countDocuments(query);
 
     res.json({
       videos,
       total,
-      currentPage: parseInt(page),
-      totalPages: Math.ceil(total / limit)
+      nextCursor
     });
 
   } catch (error) {
@@ -288,8 +602,9 @@ router.get('/channel/:channelId', async (req, res) => {
 /**
  * PUT /api/videos/:id - Update Video
  * 
- * Updates video metadata (title, description, category, tags).
- * Only video owners can modify their content.
+ * Updates video metadata (title, description, category, tags, visibility).
+ * A `publishAt` time reschedules a video that is not live yet; an empty
+ * value publishes it immediately. Only video owners can modify their content.
  * 
  */
 router.put('/:id', auth, validateVideoUpdate, async (req, res) => {
@@ -314,7 +629,12 @@ router.put('/:id', auth, validateVideoUpdate, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this video' });
     }
 
-    const { title, description, category, tags } = req.body;
+    const { title, description, category, tags, visibility, publishAt } = req.body;
+
+    // Videos that already went live cannot be scheduled again
+    if (publishAt && !video.scheduled) {
+      return res.status(400).json({ message: 'Only videos that are not published yet can be scheduled' });
+    }
 
     // Update video with new data
     const updatedVideo = await Video.findByIdAndUpdate(
@@ -323,7 +643,9 @@ router.put('/:id', auth, validateVideoUpdate, async (req, res) => {
         title,
         description,
         category,
-        tags: tags || []
+        tags: tags || [],
+        visibility: visibility || video.visibility, // Keep existing if not provided
+        ...(publishAt !== undefined && video.scheduled ? getPublishState(publishAt) : {})
       },
       { new: true, runValidators: true } // Return updated document and run validation
     ).populate([
@@ -345,8 +667,8 @@ router.put('/:id', auth, validateVideoUpdate, async (req, res) => {
 /**
  * DELETE /api/videos/:id - Delete Video
  * 
- * Permanently removes a video and updates channel relationships.
- * Only video owners can delete their content.
+ * Permanently removes a video, its comments and its stored media files,
+ * and updates channel relationships. Only video owners can delete their content.
  */
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -361,14 +683,8 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this video' });
     }
 
-    // Remove video reference from channel's videos array
-    await Channel.findByIdAndUpdate(
-      video.channelId,
-      { $pull: { videos: req.params.id } }
-    );
-
-    // Delete the video document
-    await Video.findByIdAndDelete(req.params.id);
+    // Delete the video with its comments and stored media files
+    await deleteVideoWithMedia(video);
 
     res.json({ message: 'Video deleted successfully' });
 
@@ -390,7 +706,7 @@ router.post('/:id/like', auth, async (req, res) => {
     
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user._id)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
@@ -423,6 +739,17 @@ router.post('/:id/like', auth, async (req, res) => {
 
     await video.save();
 
+    // Keep the user's liked videos list in sync
+    if (action === 'remove') {
+      await Like.deleteOne({ user: userId, video: video._id });
+    } else {
+      await Like.updateOne(
+        { user: userId, video: video._id },
+        { $setOnInsert: { likedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
     res.json({
       success: true,
       likes: video.likes,
@@ -447,7 +774,7 @@ router.post('/:id/dislike', auth, async (req, res) => {
     
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user._id)) {
       return res.status(404).json({ message: 'Video not found' });
     }
 
@@ -480,6 +807,11 @@ router.post('/:id/dislike', auth, async (req, res) => {
 
     await video.save();
 
+    // A dislike replaces any like in the user's liked videos list
+    if (action !== 'remove' && userLikeIndex > -1) {
+      await Like.deleteOne({ user: userId, video: video._id });
+    }
+
     res.json({
       success: true,
       likes: video.likes,
@@ -495,8 +827,8 @@ router.post('/:id/dislike', auth, async (req, res) => {
 /**
  * GET /api/videos/user/:userId - Get User's Videos
  * 
- * Retrieves all videos uploaded by a specific user.
- * Restricted to user's own videos for privacy and security.
+ * Retrieves all videos uploaded by a specific user, newest first, with
+ * cursor pagination. Restricted to user's own videos for privacy and security.
  */
 router.get('/user/:userId', auth, async (req, res) => {
   try {
@@ -505,23 +837,25 @@ router.get('/user/:userId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view these videos' });
     }
 
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const limit = parsePageSize(req.query.limit, 20);
+    const position = readCursor(req.query.cursor, NEWEST_FIRST);
+    if (!position) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    const videos = await Video.find({ uploader: req.params.userId })
-      .populate('channelId', 'channelName')
-      .populate('uploader', 'username avatar')
-      .sort({ uploadDate: -1 }) // Newest videos first
-      .skip(skip)
-      .limit(parseInt(limit));
+    const { items: videos, nextCursor } = await paginateQuery(
+      Video.find({ uploader: req.params.userId })
+        .populate('channelId', 'channelName')
+        .populate('uploader', 'username avatar'),
+      { sort: NEWEST_FIRST, position, limit } // Newest videos first
+    );
 
     const total = await Video.countDocuments({ uploader: req.params.userId });
 
     res.json({
       videos,
       total,
-      currentPage: parseInt(page),
-      totalPages: Math.ceil(total / parseInt(limit))
+      nextCursor
     });
 
   } catch (error) {
@@ -1,13 +1,12 @@
+// Load environment variables before any module reads them
+import './loadEnv.js';
+
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import User from './models/User.js';
 import Channel from './models/Channel.js';
 import Video from './models/Video.js';
 import Comment from './models/Comment.js';
 
-// Load environment variables
-dotenv.config({ path: './config.env' });
-
 // Sample data
 const sampleUsers = [
   {
@@ -59,7 +58,7 @@ const sampleVideos = [
     thumbnailUrl: "https://i.ytimg.com/vi/vADoIjhxW_E/hq720.jpg?sqp=-oaymwEhCK4FEIIDSFryq4qpAxMIARUAAAAAGAElAADIQj0AgKJD&rs=AOn4CLD-nmfz4zhv-xs7Ca7r_oK8E4VoMg",
     category: "Technology",
     tags: ["react", "javascript", "tutorial"],
-    duration: "9:56"
+    durationSeconds: 596
   },
   {
     title: "Easy Pasta Recipe",
@@ -68,7 +67,7 @@ const sampleVideos = [
     thumbnailUrl: "https://cdn.create.vista.com/downloads/fad39991-b389-4dcb-8872-b7416a8a69c9_1024.jpeg",
     category: "Food",
     tags: ["cooking", "pasta", "recipe"],
-    duration: "11:01"
+    durationSeconds: 661
   },
   {
     title: "JavaScript Fundamentals",
@@ -77,7 +76,7 @@ const sampleVideos = [
     thumbnailUrl: "https://www.anonymacademy.com/wp-content/uploads/2025/05/Purple-and-White-Simple-Gaming-Youtube-Thumbnail.png",
     category: "Education",
     tags: ["javascript", "programming", "tutorial"],
-    duration: "15:00"
+    durationSeconds: 900
   },
   {
     title: "Gaming Setup Tour",
@@ -86,7 +85,7 @@ const sampleVideos = [
     thumbnailUrl: "https://i.ytimg.com/vi/YmlC1HRjN04/maxresdefault.jpg",
     category: "Gaming",
     tags: ["gaming", "setup", "equipment"],
-    duration: "15:00"
+    durationSeconds: 900
   },
   {
     title: "Morning Workout Routine",
@@ -95,7 +94,7 @@ const sampleVideos = [
     thumbnailUrl: "https://i.ytimg.com/vi/Ao1tzPTm-40/hq720.jpg?sqp=-oaymwEhCK4FEIIDSFryq4qpAxMIARUAAAAAGAElAADIQj0AgKJD&rs=AOn4CLBRVF8hpV3N4942be-BsXWudHx8gg",
     category: "Fitness",
     tags: ["workout", "fitness", "morning"],
-    duration: "15:00"
+    durationSeconds: 900
   },
   {
     title: "Travel Vlog - Paris",
@@ -104,7 +103,7 @@ const sampleVideos = [
     thumbnailUrl: "https://i.pinimg.com/736x/a7/9d/e8/a79de83cd2c3c9637f5272eb73488d7f.jpg",
     category: "Travel",
     tags: ["travel", "paris", "vlog"],
-    duration: "15:00"
+    durationSeconds: 900
   }
 ];
 
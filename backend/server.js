@@ -6,21 +6,29 @@
  * sets up middleware, and defines API routes.
  */
 
+// Load environment variables from config file before any module reads them
+import './loadEnv.js';
+
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import path from 'path';
-import { fileURLToPath } from 'url';
 
 // Import API route modules
 import authRoutes from './routes/auth.js';
 import channelRoutes from './routes/channels.js';
 import videoRoutes from './routes/videos.js';
 import commentRoutes from './routes/comments.js';
-
-// Load environment variables from config file
-dotenv.config({ path: './config.env' });
+import uploadRoutes from './routes/uploads.js';
+import playlistRoutes from './routes/playlists.js';
+import userRoutes from './routes/users.js';
+import categoryRoutes from './routes/categories.js';
+import searchRoutes from './routes/search.js';
+import { getStorage, PUBLIC_PREFIXES } from './storage/index.js';
+import { startOrphanSweeper } from './utils/mediaCleanup.js';
+import { startPublishScheduler } from './utils/publishScheduler.js';
+import { startTrendingUpdater } from './utils/trending.js';
+import { startViewCountFlusher, flushViewBuffer } from './utils/viewBuffer.js';
 
 // Initialize Express application
 const app = express();
@@ -30,22 +38,30 @@ const PORT = process.env.PORT || 5000;
  * Middleware Configuration
  * 
  * CORS: Enables Cross-Origin Resource Sharing for frontend communication
+ *       (exposes the resumable upload headers to browser clients)
  * JSON Parser: Parses incoming JSON payloads
  * URL Encoded: Handles form data submissions
  */
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Content-Range', 'Accept-Ranges']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 /**
  * Static File Serving
  * 
- * Serves uploaded video and image files from the uploads directory
- * Uses ES6 module compatibility for __dirname equivalent
+ * With the local storage driver, serves uploaded thumbnails, channel banners
+ * and avatars from the storage directory. Video files are not served statically;
+ * they go through the access-checked GET /api/videos/:id/stream endpoint instead.
+ * With the S3 driver, public media is served by the bucket (S3_PUBLIC_URL).
  */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+const storage = getStorage();
+if (storage.rootDir) {
+  PUBLIC_PREFIXES.forEach(prefix => {
+    app.use(`/uploads/${prefix}`, express.static(path.join(storage.rootDir, prefix)));
+  });
+}
 
 /**
  * MongoDB Database Connection
@@ -54,7 +70,21 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
  * Logs connection status for debugging and monitoring
  */
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ Connected to MongoDB successfully'))
+  .then(() => {
+    console.log('✅ Connected to MongoDB successfully');
+
+    // Periodically look for orphaned media files and comments
+    startOrphanSweeper();
+
+    // Flip scheduled videos live once their publish time has passed
+    startPublishScheduler();
+
+    // Periodically rerank videos for the trending feed
+    startTrendingUpdater();
+
+    // Write buffered view counts in batches
+    startViewCountFlusher();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 /**
@@ -65,11 +95,21 @@ mongoose.connect(process.env.MONGODB_URI)
  * - /api/channels: Channel management operations
  * - /api/videos: Video upload, retrieval, and management
  * - /api/comments: Comment system functionality
+ * - /api/uploads: Resumable chunked video uploads
+ * - /api/playlists: User playlists and their videos
+ * - /api/users: Signed-in user's library (Watch Later, history, likes, recent searches)
+ * - /api/categories: Content categories with video counts
+ * - /api/search: Search suggestions
  */
 app.use('/api/auth', authRoutes);
 app.use('/api/channels', channelRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
 
 /**
  * Health Check Endpoint
@@ -106,8 +146,25 @@ app.use((err, req, res, next) => {
  * Starts the Express server on the specified port
  * Logs server status for development and deployment monitoring
  */
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 YouTube Clone Server running on port ${PORT}`);
   console.log(`📡 API available at http://localhost:${PORT}/api`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
 });
+
+/**
+ * Graceful Shutdown
+ * 
+ * On SIGINT or SIGTERM stops accepting connections, writes the buffered
+ * view counts and closes the database connection before exiting
+ */
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, shutting down`);
+  server.close();
+  await flushViewBuffer();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -0,0 +1,113 @@
+/**
+ * Media Storage
+ * 
+ * Single entry point for storing and reading uploaded media (videos,
+ * thumbnails, channel banners and avatars). The driver is chosen by the
+ * STORAGE_DRIVER environment variable: "local" (default) or "s3".
+ * 
+ * Every driver implements:
+ * - put(key, sourcePath, { contentType }) - store a local file under a key
+ * - stat(key) - { size, lastModified } or null
+ * - createReadStream(key, { start, end }) - readable stream (optional byte range)
+ * - delete(key) - remove an object
+ * - list(prefix) - async iterator of { key, size, lastModified }
+ * - getPublicUrl(key) - URL for publicly served media
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Key prefixes for each kind of media
+export const MEDIA_PREFIXES = {
+  video: 'videos',
+  thumbnail: 'thumbnails',
+  banner: 'banners',
+  avatar: 'avatars'
+};
+
+// Prefixes that may be served publicly without access checks (videos are streamed)
+export const PUBLIC_PREFIXES = [MEDIA_PREFIXES.thumbnail, MEDIA_PREFIXES.banner, MEDIA_PREFIXES.avatar];
+
+// File extensions used when naming stored files
+const EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+/**
+ * Stored File Name Generator
+ * 
+ * Creates a random, collision-resistant file name with the extension for a MIME type.
+ */
+export const generateFileName = (mimeType) => {
+  return `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${EXTENSIONS[mimeType] || ''}`;
+};
+
+let storage = null;
+
+/**
+ * Storage Driver Accessor
+ * 
+ * Creates the configured driver on first use.
+ */
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 's3') {
+    storage = createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+  } else if (driver === 'local') {
+    storage = createLocalDriver({
+      rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads')
+    });
+  } else {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return storage;
+};
+
+/**
+ * Stored Media Helper
+ * 
+ * Moves a local temporary file into storage under the given media prefix
+ * and returns the metadata saved on documents ({ path, mimeType, size }).
+ */
+export const storeMedia = async (kind, { localPath, mimeType }) => {
+  const key = `${MEDIA_PREFIXES[kind]}/${generateFileName(mimeType)}`;
+  const { size } = await getStorage().put(key, localPath, { contentType: mimeType });
+  return { path: key, mimeType, size };
+};
+
+/**
+ * Stored Media Removal Helper
+ * 
+ * Deletes a stored file described by document metadata, ignoring empty values.
+ * Errors are logged rather than thrown so cleanup never blocks the caller.
+ */
+export const removeMedia = async (file) => {
+  if (!file?.path) return;
+  try {
+    await getStorage().delete(file.path);
+  } catch (error) {
+    console.error('Remove media error:', file.path, error);
+  }
+};
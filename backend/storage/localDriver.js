@@ -0,0 +1,89 @@
+/**
+ * Local Disk Storage Driver
+ * 
+ * Stores media files in a directory on the API host (backend/uploads by default).
+ * Public media is served by express.static; videos are streamed through the API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local Driver Factory
+ * 
+ * Creates a driver rooted at the given directory. Keys are forward-slash
+ * paths relative to the root (e.g., "videos/1700000000000_ab12cd.mp4").
+ */
+export const createLocalDriver = ({ rootDir }) => {
+  /**
+   * Key Resolver
+   * 
+   * Maps a storage key to an absolute path, refusing keys that escape the root.
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+
+    // Moves a local file into storage (copying when it lives on another device)
+    async put(key, sourcePath) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, target);
+        await fs.promises.unlink(sourcePath);
+      }
+      const { size } = await fs.promises.stat(target);
+      return { key, size };
+    },
+
+    // Returns size and modification time, or null if the object does not exist
+    async stat(key) {
+      const stats = await fs.promises.stat(resolveKey(key)).catch(() => null);
+      if (!stats || !stats.isFile()) return null;
+      return { size: stats.size, lastModified: stats.mtime };
+    },
+
+    // Opens a read stream for the whole object or an inclusive byte range
+    async createReadStream(key, range = {}) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    // Deletes an object; missing objects are ignored
+    async delete(key) {
+      await fs.promises.unlink(resolveKey(key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    // Lists every object under a key prefix
+    async *list(prefix) {
+      const directory = resolveKey(prefix);
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const key = `${prefix.replace(/\/$/, '')}/${entry.name}`;
+        if (entry.isDirectory()) {
+          yield* this.list(key);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(resolveKey(key));
+          yield { key, size: stats.size, lastModified: stats.mtime };
+        }
+      }
+    },
+
+    // Public URL path served by express.static in server.js
+    getPublicUrl(key) {
+      return `/uploads/${key}`;
+    }
+  };
+};
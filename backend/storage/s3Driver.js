@@ -0,0 +1,110 @@
+/**
+ * S3-Compatible Storage Driver
+ * 
+ * Stores media files in an S3 bucket or any S3-compatible service
+ * (MinIO, Cloudflare R2, DigitalOcean Spaces, ...).
+ * Large files are uploaded in parts; reads support byte ranges for streaming.
+ */
+
+import fs from 'fs';
+import {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+/**
+ * S3 Driver Factory
+ * 
+ * Creates a driver for the given bucket. `endpoint` and `forcePathStyle`
+ * allow targeting a local MinIO (e.g., http://localhost:9000).
+ * `publicUrl` is the base URL public objects are served from.
+ */
+export const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Default public base: path-style for custom endpoints, virtual-hosted for AWS
+  const publicBase = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    // Uploads a local file (multipart for large files) and removes the local copy
+    async put(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      const upload = new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: fs.createReadStream(sourcePath),
+          ContentType: contentType
+        }
+      });
+      await upload.done();
+      await fs.promises.unlink(sourcePath).catch(() => {});
+      return { key, size };
+    },
+
+    // Returns size and modification time, or null if the object does not exist
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    // Opens a read stream for the whole object or an inclusive byte range
+    async createReadStream(key, { start, end } = {}) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined
+      }));
+      return response.Body;
+    },
+
+    // Deletes an object; S3 treats missing objects as already deleted
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Lists every object under a key prefix, following continuation tokens
+    async *list(prefix) {
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${prefix.replace(/\/$/, '')}/`,
+          ContinuationToken: continuationToken
+        }));
+        for (const object of page.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    },
+
+    // Absolute URL of a public object
+    getPublicUrl(key) {
+      return `${publicBase}/${key}`;
+    }
+  };
+};
@@ -0,0 +1,34 @@
+// Load environment variables before any module reads them
+import './loadEnv.js';
+
+import mongoose from 'mongoose';
+import { sweepOrphans, logSweepReport } from './utils/mediaCleanup.js';
+
+// Report orphans by default; pass --delete to remove them
+const remove = process.argv.includes('--delete');
+
+async function runSweep() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const report = await sweepOrphans({ remove });
+    logSweepReport(report);
+
+    if (!remove && report.comments.length) {
+      console.log(`Orphaned comment IDs: ${report.comments.join(', ')}`);
+    }
+    if (!remove) {
+      console.log('Run with --delete to remove these orphans.');
+    }
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error sweeping orphans:', error);
+    process.exit(1);
+  }
+}
+
+// Run sweep function
+runSweep();
@@ -0,0 +1,33 @@
+/**
+ * Category Definitions
+ *
+ * Single source of truth for the content categories shared by videos and
+ * channels. The label is the value stored on documents; the slug is used in
+ * URLs (e.g., /category/gaming) and the icon in navigation.
+ */
+
+export const CATEGORIES = [
+  { slug: 'gaming', label: 'Gaming', icon: '🎮' },
+  { slug: 'education', label: 'Education', icon: '🎓' },
+  { slug: 'entertainment', label: 'Entertainment', icon: '🎭' },
+  { slug: 'technology', label: 'Technology', icon: '💻' },
+  { slug: 'music', label: 'Music', icon: '🎵' },
+  { slug: 'sports', label: 'Sports', icon: '🏃' },
+  { slug: 'news', label: 'News', icon: '📰' },
+  { slug: 'lifestyle', label: 'Lifestyle', icon: '🌿' },
+  { slug: 'comedy', label: 'Comedy', icon: '😂' },
+  { slug: 'travel', label: 'Travel', icon: '✈️' },
+  { slug: 'food', label: 'Food', icon: '🍳' },
+  { slug: 'fitness', label: 'Fitness', icon: '💪' }
+];
+
+// Allowed values for Video.category and Channel.category
+export const CATEGORY_LABELS = CATEGORIES.map(category => category.label);
+
+/**
+ * Slug Lookup
+ *
+ * Returns the category for a URL slug, or undefined if there is none.
+ */
+export const findCategoryBySlug = (slug) =>
+  CATEGORIES.find(category => category.slug === slug?.toLowerCase());
@@ -0,0 +1,127 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Opaque cursors for paginated listings. A cursor remembers the sort values
+ * of the last item returned (keyset pagination), so the next page continues
+ * right after it: items added or removed meanwhile neither repeat nor get
+ * skipped, and MongoDB seeks through an index instead of skipping documents.
+ * Orders without stored sort values (text relevance, fuzzy search) use
+ * offset cursors instead. Sort orders must end with a unique key (`_id`).
+ * Cursors are base64url-encoded JSON and tied to the sort order they were
+ * issued for.
+ */
+
+// Default and largest number of items per page
+export const DEFAULT_PAGE_SIZE = 12;
+export const MAX_PAGE_SIZE = 50;
+
+/**
+ * Page Size Parser
+ *
+ * Reads the `limit` query parameter, clamped to 1..MAX_PAGE_SIZE.
+ */
+export const parsePageSize = (limit, fallback = DEFAULT_PAGE_SIZE) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || fallback));
+
+/**
+ * Sort Signature
+ *
+ * Describes a sort specification, e.g. "uploadDate:-1,_id:-1", so cursors
+ * issued for one order are rejected by another.
+ */
+const sortSignature = (sort) =>
+  Object.entries(sort)
+    .map(([path, direction]) => `${path}:${typeof direction === 'object' ? 'meta' : direction}`)
+    .join(',');
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+/**
+ * Cursor Reader
+ *
+ * Decodes the `cursor` query parameter of a listing sorted by `sort`.
+ * Returns `{}` for the first page, `{ after: [...] }` to continue after an
+ * item, `{ offset }` for offset cursors, or null when the cursor is
+ * malformed or was issued for a different sort order.
+ */
+export const readCursor = (cursor, sort) => {
+  if (!cursor) return {};
+
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (data?.sort !== sortSignature(sort)) return null;
+
+    if (Array.isArray(data.after) && data.after.length === Object.keys(sort).length) {
+      return { after: data.after };
+    }
+    if (Number.isInteger(data.offset) && data.offset > 0) {
+      return { offset: data.offset };
+    }
+    return null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Offset Cursor Builder
+ *
+ * Cursor for the page starting at `offset`, or null at the end of the list.
+ */
+export const offsetCursor = (sort, offset, total) =>
+  offset < total ? encodeCursor({ sort: sortSignature(sort), offset }) : null;
+
+/**
+ * Keyset Filter
+ *
+ * Matches the items that sort after the one with the given sort values:
+ * equal on the leading keys and past the value on the next one.
+ */
+const afterFilter = (sort, values) => {
+  const entries = Object.entries(sort);
+  return {
+    $or: entries.map(([path, direction], index) => {
+      const condition = {};
+      entries.slice(0, index).forEach(([previousPath], previousIndex) => {
+        condition[previousPath] = values[previousIndex];
+      });
+      condition[path] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+/**
+ * Cursor Page Loader
+ *
+ * Sorts a Mongoose query, moves it to the cursor position and loads one
+ * page plus one extra item to tell whether another page follows. Keyset
+ * cursors are used unless the sort has a $meta key (text relevance).
+ *
+ * @param {Query} query - Mongoose find query (filters and populates applied)
+ * @param {{ sort: Object, position: Object, limit: number }} options -
+ *   `position` comes from readCursor
+ * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+ */
+export const paginateQuery = async (query, { sort, position, limit }) => {
+  const keyset = Object.values(sort).every(direction => typeof direction !== 'object');
+
+  if (position.after) {
+    query.and([afterFilter(sort, position.after)]);
+  } else if (position.offset) {
+    query.skip(position.offset);
+  }
+
+  const docs = await query.sort(sort).limit(limit + 1);
+  const items = docs.slice(0, limit);
+
+  let nextCursor = null;
+  if (docs.length > limit) {
+    const last = items[items.length - 1];
+    nextCursor = keyset
+      ? encodeCursor({ sort: sortSignature(sort), after: Object.keys(sort).map(path => last.get(path)) })
+      : encodeCursor({ sort: sortSignature(sort), offset: (position.offset || 0) + limit });
+  }
+
+  return { items, nextCursor };
+};
@@ -0,0 +1,225 @@
+/**
+ * Fuzzy Video Search
+ *
+ * Typo-tolerant search over video titles, tags and channel names, used by
+ * GET /api/videos in `fuzzy` mode and for "Did you mean" corrections.
+ * MongoDB's text index only matches whole (stemmed) words, so "javscript"
+ * or "reac" find nothing there. Instead, videos and channels store the
+ * trigrams of their words (`searchGrams`); candidates sharing the most
+ * trigrams with the query are loaded and every query word is compared with
+ * their words by trigram similarity.
+ */
+
+import Video from '../models/Video.js';
+import Channel from '../models/Channel.js';
+import { searchWords, buildSearchGrams, trigramSimilarity } from './searchText.js';
+
+// Words below this similarity to a query word do not count as a match
+// (0.3 is pg_trgm's default threshold)
+const MIN_WORD_SIMILARITY = 0.3;
+
+// Videos need at least this average similarity over the query words
+const MIN_MATCH_SCORE = 0.4;
+
+// Most candidates scored per search; matches are counted among these
+const MAX_CANDIDATES = 500;
+
+// Most channels whose videos join the candidates
+const MAX_CHANNEL_CANDIDATES = 20;
+
+// Query words considered; longer queries are cut to this many words
+const MAX_QUERY_WORDS = 8;
+
+// Sort orders applied to the scored matches (see SEARCH_SORT_OPTIONS)
+const MATCH_ORDERS = {
+  relevance: (a, b) => b.score - a.score || b.video.views - a.video.views,
+  views: (a, b) => b.video.views - a.video.views || b.video.uploadDate - a.video.uploadDate,
+  date: (a, b) => b.video.uploadDate - a.video.uploadDate,
+  rating: (a, b) => b.video.likes - a.video.likes || a.video.dislikes - b.video.dislikes || b.video.views - a.video.views
+};
+
+/**
+ * Candidate Loader
+ *
+ * Loads the videos matching `filter` that share the most trigrams with the
+ * query, plus videos of channels whose names share trigrams with it. Each
+ * candidate carries its searchable words: title, tags and channel name.
+ */
+const loadCandidates = async (filter, grams) => {
+  const channels = await Channel.aggregate([
+    { $match: { searchGrams: { $in: grams } } },
+    { $addFields: { overlap: { $size: { $setIntersection: ['$searchGrams', grams] } } } },
+    { $sort: { overlap: -1 } },
+    { $limit: MAX_CHANNEL_CANDIDATES },
+    { $project: { channelName: 1 } }
+  ]);
+  const channelNames = new Map(channels.map(channel => [channel._id.toString(), channel.channelName]));
+
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        $and: [
+          filter,
+          {
+            $or: [
+              { searchGrams: { $in: grams } },
+              { channelId: { $in: channels.map(channel => channel._id) } }
+            ]
+          }
+        ]
+      }
+    },
+    { $addFields: { overlap: { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } } } },
+    { $sort: { overlap: -1, views: -1 } },
+    { $limit: MAX_CANDIDATES },
+    { $project: { title: 1, tags: 1, channelId: 1, views: 1, likes: 1, dislikes: 1, uploadDate: 1 } }
+  ]);
+
+  // Channel names of candidates whose channel was not among the matches
+  const missingChannelIds = [...new Set(videos.map(video => video.channelId.toString()))]
+    .filter(id => !channelNames.has(id));
+  if (missingChannelIds.length > 0) {
+    const missing = await Channel.find({ _id: { $in: missingChannelIds } }).select('channelName').lean();
+    missing.forEach(channel => channelNames.set(channel._id.toString(), channel.channelName));
+  }
+
+  return videos.map(video => ({
+    video,
+    words: new Set(searchWords([
+      video.title,
+      ...(video.tags || []),
+      channelNames.get(video.channelId.toString())
+    ].join(' ')))
+  }));
+};
+
+/**
+ * Best Word Match
+ *
+ * Finds the word (from any iterable of words) most similar to `word`; ties
+ * go to the word found in the most candidates (`counts`), so common
+ * spellings win.
+ *
+ * @returns {{ word: string, similarity: number }|null}
+ */
+const bestWordMatch = (word, words, counts = null) => {
+  let best = null;
+  for (const candidate of words) {
+    const similarity = candidate === word ? 1 : trigramSimilarity(word, candidate);
+    if (similarity < MIN_WORD_SIMILARITY) continue;
+    if (!best || similarity > best.similarity ||
+      (counts && similarity === best.similarity && counts.get(candidate) > counts.get(best.word))) {
+      best = { word: candidate, similarity };
+    }
+  }
+  return best;
+};
+
+/**
+ * Spelling Suggester
+ *
+ * Replaces each query word that no candidate contains with the most similar
+ * word the candidates do contain. Words differing only by a trailing "s"
+ * count as known, since the text index matches them anyway.
+ *
+ * @returns {string|null} Corrected query, or null when nothing changed
+ */
+const suggestSpelling = (queryWords, candidates) => {
+  const counts = new Map();
+  candidates.forEach(({ words }) => {
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+
+  let changed = false;
+  const corrected = queryWords.map(word => {
+    if (counts.has(word) || counts.has(`${word}s`) || counts.has(word.replace(/s$/, ''))) return word;
+    const match = bestWordMatch(word, counts.keys(), counts);
+    if (!match) return word;
+    changed = true;
+    return match.word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+/**
+ * Fuzzy Search Runner
+ *
+ * Scores candidates by the average similarity of each query word to its
+ * closest word in the video's title, tags or channel name, keeps those
+ * above MIN_MATCH_SCORE and sorts them. Also suggests a corrected spelling.
+ *
+ * @param {Object} filter - Filter every result must match (no $text)
+ * @param {string} text - Search text as typed
+ * @param {string} sort - One of SEARCH_SORT_OPTIONS (defaults to relevance)
+ * @returns {Promise<{ matches: Object[], didYouMean: string|null }>} Matching
+ *   video IDs in result order, and the corrected query if any
+ */
+const runFuzzySearch = async (filter, text, sort) => {
+  const queryWords = [...new Set(searchWords(text))].slice(0, MAX_QUERY_WORDS);
+  if (queryWords.length === 0) return { matches: [], didYouMean: null };
+
+  const candidates = await loadCandidates(filter, buildSearchGrams(...queryWords));
+
+  const matches = candidates
+    .map(({ video, words }) => {
+      const score = queryWords.reduce(
+        (sum, word) => sum + (bestWordMatch(word, words)?.similarity || 0),
+        0
+      ) / queryWords.length;
+      return { video, score };
+    })
+    .filter(match => match.score >= MIN_MATCH_SCORE)
+    .sort(MATCH_ORDERS[sort] || MATCH_ORDERS.relevance);
+
+  return {
+    matches: matches.map(match => match.video._id),
+    didYouMean: suggestSpelling(queryWords, candidates)
+  };
+};
+
+/**
+ * Fuzzy Video Search
+ *
+ * Returns one page of fuzzy search results with channel and uploader
+ * populated, the number of matches among the scored candidates, and a
+ * "Did you mean" correction.
+ *
+ * @param {Object} filter - Filter every result must match (no $text)
+ * @param {string} text - Search text as typed
+ * @param {{ sort?: string, skip: number, limit: number }} options
+ * @returns {Promise<{ videos: Object[], total: number, matchIds: Object[], didYouMean: string|null }>}
+ *   `matchIds` lists every match (for facets), not just this page
+ */
+export const fuzzySearchVideos = async (filter, text, { sort, skip, limit }) => {
+  const { matches, didYouMean } = await runFuzzySearch(filter, text, sort);
+  const pageIds = matches.slice(skip, skip + limit);
+
+  const videos = await Video.find({ _id: { $in: pageIds } })
+    .populate('channelId', 'channelName')
+    .populate('uploader', 'username avatar');
+
+  // Restore the ranked order lost by the $in lookup
+  const order = new Map(pageIds.map((id, index) => [id.toString(), index]));
+  videos.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+
+  return { videos, total: matches.length, matchIds: matches, didYouMean };
+};
+
+/**
+ * Spelling Correction
+ *
+ * Suggests a corrected query for a regular text search, using the words of
+ * the public videos that fuzzily match it.
+ *
+ * @param {Object} filter - Filter the vocabulary's videos must match
+ * @param {string} text - Search text as typed
+ * @returns {Promise<string|null>} Corrected query, or null
+ */
+export const getSpellingSuggestion = async (filter, text) => {
+  const queryWords = [...new Set(searchWords(text))].slice(0, MAX_QUERY_WORDS);
+  if (queryWords.length === 0) return null;
+
+  const candidates = await loadCandidates(filter, buildSearchGrams(...queryWords));
+  return suggestSpelling(queryWords, candidates);
+};
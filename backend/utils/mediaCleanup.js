@@ -0,0 +1,291 @@
+/**
+ * Media Cleanup Utilities
+ *
+ * Keeps stored media and dependent documents consistent with the videos,
+ * channels and users that reference them. Provides the cascading deletes used
+ * when a video or channel is removed and a periodic sweeper that finds (and
+ * optionally deletes) orphaned media files and comments left behind by earlier failures.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TEMP_DIR } from '../middleware/upload.js';
+import { getStorage, removeMedia, MEDIA_PREFIXES } from '../storage/index.js';
+import Video from '../models/Video.js';
+import Channel from '../models/Channel.js';
+import User from '../models/User.js';
+import Comment from '../models/Comment.js';
+import Playlist from '../models/Playlist.js';
+import WatchHistory from '../models/WatchHistory.js';
+import Like from '../models/Like.js';
+import UploadSession from '../models/UploadSession.js';
+import PlaybackSession from '../models/PlaybackSession.js';
+
+// Files younger than this are never treated as orphans, since uploads store
+// their media shortly before the owning document is saved
+const ORPHAN_GRACE_PERIOD = 60 * 60 * 1000;
+
+// Sweeper interval and mode from config.env. An interval of 0 disables the
+// sweeper; the mode is "report" (log only, the default) or "delete".
+const sweepIntervalMinutes = parseInt(process.env.CLEANUP_SWEEP_INTERVAL_MINUTES);
+const SWEEP_INTERVAL = (Number.isNaN(sweepIntervalMinutes) ? 60 : sweepIntervalMinutes) * 60 * 1000;
+const SWEEP_MODE = process.env.CLEANUP_SWEEP_MODE === 'delete' ? 'delete' : 'report';
+
+/**
+ * Video Deletion with Cleanup
+ *
+ * Deletes a video together with its comments, watch history entries, likes,
+ * playback analytics and stored media files, and removes its ID from the
+ * owning channel, every playlist and every Watch Later queue. Media files
+ * are removed last so a failed delete never leaves a video document
+ * pointing at missing files.
+ *
+ * @param {Object} video - Video document to delete
+ * @returns {Promise<{ comments: number }>} Number of comments removed
+ */
+export const deleteVideoWithMedia = async (video) => {
+  const { deletedCount } = await Comment.deleteMany({ videoId: video._id });
+  await WatchHistory.deleteMany({ video: video._id });
+  await Like.deleteMany({ video: video._id });
+  await PlaybackSession.deleteMany({ video: video._id });
+
+  // Remove video reference from channel's videos array
+  await Channel.findByIdAndUpdate(
+    video.channelId,
+    { $pull: { videos: video._id } }
+  );
+
+  await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } });
+  await User.updateMany({ watchLater: video._id }, { $pull: { watchLater: video._id } });
+
+  await Video.findByIdAndDelete(video._id);
+
+  await Promise.all([removeMedia(video.videoFile), removeMedia(video.thumbnailFile)]);
+
+  return { comments: deletedCount };
+};
+
+/**
+ * Channel Deletion Preview
+ *
+ * Counts everything a channel deletion would remove: its videos, their
+ * comments, and the stored media files (with their total size).
+ *
+ * @param {Object} channel - Channel document about to be deleted
+ * @returns {Promise<{ videos: number, comments: number, files: number, bytes: number }>}
+ */
+export const getChannelDeletionSummary = async (channel) => {
+  const videos = await Video.find({ channelId: channel._id }).select('videoFile thumbnailFile');
+  const comments = await Comment.countDocuments({ videoId: { $in: videos.map(video => video._id) } });
+
+  const files = [
+    ...videos.flatMap(video => [video.videoFile, video.thumbnailFile]),
+    channel.bannerFile
+  ].filter(file => file?.path);
+
+  return {
+    videos: videos.length,
+    comments,
+    files: files.length,
+    bytes: files.reduce((total, file) => total + (file.size || 0), 0)
+  };
+};
+
+/**
+ * Channel Deletion with Cleanup
+ *
+ * Deletes a channel together with its videos, their comments, watch
+ * history entries, likes and playback analytics, and every stored media
+ * file, and removes the videos from all playlists and Watch Later queues.
+ * Database changes run first in dependency order with the channel itself
+ * deleted last, so an interrupted cascade leaves the channel in place and
+ * can simply be retried; files are removed only after all documents are
+ * gone (anything left behind is picked up by the orphan sweeper).
+ *
+ * @param {Object} channel - Channel document to delete
+ * @returns {Promise<{ videos: number, comments: number }>} Counts of removed documents
+ */
+export const deleteChannelWithContent = async (channel) => {
+  const videos = await Video.find({ channelId: channel._id }).select('videoFile thumbnailFile');
+  const videoIds = videos.map(video => video._id);
+
+  const { deletedCount: comments } = await Comment.deleteMany({ videoId: { $in: videoIds } });
+  await WatchHistory.deleteMany({ video: { $in: videoIds } });
+  await Like.deleteMany({ video: { $in: videoIds } });
+  await PlaybackSession.deleteMany({ video: { $in: videoIds } });
+  await Playlist.updateMany({ videos: { $in: videoIds } }, { $pull: { videos: { $in: videoIds } } });
+  await User.updateMany({ watchLater: { $in: videoIds } }, { $pull: { watchLater: { $in: videoIds } } });
+  await Video.deleteMany({ _id: { $in: videoIds } });
+
+  // Remove channel reference from owner's channels array
+  await User.findByIdAndUpdate(
+    channel.owner,
+    { $pull: { channels: channel._id } }
+  );
+
+  await Channel.findByIdAndDelete(channel._id);
+
+  for (const video of videos) {
+    await Promise.all([removeMedia(video.videoFile), removeMedia(video.thumbnailFile)]);
+  }
+  await removeMedia(channel.bannerFile);
+
+  return { videos: videos.length, comments };
+};
+
+/**
+ * Referenced Media Keys Collector
+ *
+ * Returns the set of storage keys still referenced by any document.
+ */
+const getReferencedKeys = async () => {
+  const [videoFiles, thumbnailFiles, bannerFiles, avatarFiles] = await Promise.all([
+    Video.distinct('videoFile.path'),
+    Video.distinct('thumbnailFile.path'),
+    Channel.distinct('bannerFile.path'),
+    User.distinct('avatarFile.path')
+  ]);
+
+  return new Set([...videoFiles, ...thumbnailFiles, ...bannerFiles, ...avatarFiles].filter(Boolean));
+};
+
+/**
+ * Orphaned Media Finder
+ *
+ * Lists stored media objects that no document references anymore.
+ */
+const findOrphanedMedia = async (cutoff) => {
+  const storage = getStorage();
+  const referencedKeys = await getReferencedKeys();
+  const orphans = [];
+
+  for (const prefix of Object.values(MEDIA_PREFIXES)) {
+    for await (const object of storage.list(prefix)) {
+      if (!referencedKeys.has(object.key) && new Date(object.lastModified) < cutoff) {
+        orphans.push(object);
+      }
+    }
+  }
+
+  return orphans;
+};
+
+/**
+ * Stale Temporary File Finder
+ *
+ * Lists files in the local temporary directory that belong neither to a
+ * pending multer request nor to an unexpired resumable upload session.
+ */
+const findStaleTempFiles = async (cutoff) => {
+  const activeSessions = await UploadSession.distinct('tempPath', { expiresAt: { $gt: new Date() } });
+  const activeFiles = new Set(activeSessions);
+  const entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true }).catch(() => []);
+  const staleFiles = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile() || activeFiles.has(entry.name)) continue;
+    const stats = await fs.promises.stat(path.join(TEMP_DIR, entry.name)).catch(() => null);
+    if (stats && stats.mtime < cutoff) {
+      staleFiles.push({ name: entry.name, size: stats.size, lastModified: stats.mtime });
+    }
+  }
+
+  return staleFiles;
+};
+
+/**
+ * Orphaned Comment Finder
+ *
+ * Returns the IDs of comments whose video no longer exists.
+ */
+const findOrphanedComments = async () => {
+  const orphans = await Comment.aggregate([
+    { $lookup: { from: Video.collection.name, localField: 'videoId', foreignField: '_id', as: 'video' } },
+    { $match: { video: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+
+  return orphans.map(comment => comment._id);
+};
+
+/**
+ * Orphan Sweeper
+ *
+ * Finds orphaned media files, stale temporary upload files and orphaned
+ * comments. In report mode nothing is changed; in delete mode the orphans
+ * (and expired upload sessions) are removed.
+ *
+ * @param {Object} options - { remove: boolean } to delete what was found
+ * @returns {Promise<Object>} Report with the orphans found and total bytes
+ */
+export const sweepOrphans = async ({ remove = false } = {}) => {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_PERIOD);
+
+  const [mediaFiles, tempFiles, commentIds] = await Promise.all([
+    findOrphanedMedia(cutoff),
+    findStaleTempFiles(cutoff),
+    findOrphanedComments()
+  ]);
+
+  if (remove) {
+    for (const file of mediaFiles) {
+      await removeMedia({ path: file.key });
+    }
+    await Promise.all(tempFiles.map(file => fs.promises.unlink(path.join(TEMP_DIR, file.name)).catch(() => {})));
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+    await UploadSession.deleteMany({ expiresAt: { $lte: new Date() } });
+  }
+
+  return {
+    removed: remove,
+    mediaFiles,
+    tempFiles,
+    comments: commentIds,
+    bytes: [...mediaFiles, ...tempFiles].reduce((total, file) => total + (file.size || 0), 0)
+  };
+};
+
+/**
+ * Sweep Report Logger
+ *
+ * Prints a one-line summary of a sweep plus the orphaned media keys.
+ */
+export const logSweepReport = (report) => {
+  const action = report.removed ? 'Removed' : 'Found';
+  console.log(
+    `🧹 ${action} ${report.mediaFiles.length} orphaned media files, ${report.tempFiles.length} stale temp files ` +
+    `(${Math.round(report.bytes / 1024)} KB) and ${report.comments.length} orphaned comments`
+  );
+  report.mediaFiles.forEach(file => console.log(`   - ${file.key}`));
+};
+
+/**
+ * Periodic Sweeper Starter
+ *
+ * Runs the orphan sweeper on the configured interval. The timer does not keep
+ * the process alive, and a sweep never overlaps the previous one.
+ */
+export const startOrphanSweeper = () => {
+  if (SWEEP_INTERVAL <= 0) return null;
+
+  const remove = SWEEP_MODE === 'delete';
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await sweepOrphans({ remove });
+      if (report.mediaFiles.length || report.tempFiles.length || report.comments.length) {
+        logSweepReport(report);
+      }
+    } catch (error) {
+      console.error('Orphan sweep error:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
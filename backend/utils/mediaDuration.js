@@ -0,0 +1,255 @@
+/**
+ * Media Duration Utilities
+ *
+ * Reads the real playback duration from uploaded video files without decoding them.
+ * MP4 durations come from the `moov/mvhd` box; WebM durations come from the
+ * Matroska `Segment/Info/Duration` element. Only container headers are read.
+ */
+
+import fs from 'fs';
+
+// Matroska / EBML element IDs (with their VINT marker bits)
+const EBML_HEADER_ID = 0x1a45dfa3;
+const SEGMENT_ID = 0x18538067;
+const INFO_ID = 0x1549a966;
+const TIMECODE_SCALE_ID = 0x2ad7b1;
+const DURATION_ID = 0x4489;
+const CLUSTER_ID = 0x1f43b675;
+
+// MP4 movie header durations meaning "unknown" (all ones, 32- and 64-bit)
+const UNKNOWN_MP4_DURATION_32 = 0xffffffff;
+const UNKNOWN_MP4_DURATION_64 = 0xffffffffffffffffn;
+
+/**
+ * Positional Reader Factory
+ *
+ * Wraps a file handle so parsers can read byte ranges by absolute position.
+ */
+const createReader = (handle) => async (position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * MP4 Box Finder
+ *
+ * Scans sibling boxes between start and end for the given four-character type.
+ * Returns the box's payload position and size, or null if absent.
+ */
+const findMp4Box = async (read, start, end, type) => {
+  let position = start;
+
+  while (position + 8 <= end) {
+    const header = await read(position, 16);
+    if (header.length < 8) return null;
+
+    let boxSize = header.readUInt32BE(0);
+    const boxType = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (boxSize === 1) {
+      // 64-bit "largesize" follows the type
+      if (header.length < 16) return null;
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      // Box extends to the end of the file
+      boxSize = end - position;
+    }
+
+    if (boxSize < headerSize) return null;
+
+    if (boxType === type) {
+      return { start: position + headerSize, size: boxSize - headerSize };
+    }
+
+    position += boxSize;
+  }
+
+  return null;
+};
+
+/**
+ * MP4 Duration Reader
+ *
+ * Reads timescale and duration from the movie header (mvhd) box.
+ * Supports both version 0 (32-bit) and version 1 (64-bit) headers. A
+ * duration of all ones means the duration is unknown.
+ */
+const readMp4Duration = async (read, fileSize) => {
+  const moov = await findMp4Box(read, 0, fileSize, 'moov');
+  if (!moov) return null;
+
+  const mvhd = await findMp4Box(read, moov.start, moov.start + moov.size, 'mvhd');
+  if (!mvhd) return null;
+
+  const data = await read(mvhd.start, 32);
+  const version = data[0];
+  let timescale;
+  let duration;
+
+  if (version === 1) {
+    if (data.length < 32) return null;
+    timescale = data.readUInt32BE(20);
+    const longDuration = data.readBigUInt64BE(24);
+    if (longDuration === UNKNOWN_MP4_DURATION_64) return null;
+    duration = Number(longDuration);
+  } else {
+    if (data.length < 20) return null;
+    timescale = data.readUInt32BE(12);
+    duration = data.readUInt32BE(16);
+    if (duration === UNKNOWN_MP4_DURATION_32) return null;
+  }
+
+  if (!timescale) return null;
+  return duration / timescale;
+};
+
+/**
+ * EBML Variable-Length Integer Reader
+ *
+ * Decodes a VINT at the given offset of a buffer. Element IDs keep their
+ * marker bit; sizes drop it. An all-ones size means "unknown size".
+ */
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+/**
+ * EBML Element Header Reader
+ *
+ * Reads an element's ID and data size at an absolute file position.
+ */
+const readEbmlHeader = async (read, position) => {
+  const buffer = await read(position, 12);
+  const id = readVint(buffer, 0, true);
+  if (!id) return null;
+  const size = readVint(buffer, id.length, false);
+  if (!size) return null;
+
+  return {
+    id: id.value,
+    dataStart: position + id.length + size.length,
+    size: size.unknown ? null : size.value
+  };
+};
+
+/**
+ * WebM Duration Reader
+ *
+ * Walks Segment children to the Info element and reads TimecodeScale
+ * (nanoseconds per tick, default 1ms) and the floating-point Duration.
+ */
+const readWebmDuration = async (read, fileSize) => {
+  const ebml = await readEbmlHeader(read, 0);
+  if (!ebml || ebml.id !== EBML_HEADER_ID || ebml.size === null) return null;
+
+  const segment = await readEbmlHeader(read, ebml.dataStart + ebml.size);
+  if (!segment || segment.id !== SEGMENT_ID) return null;
+
+  const segmentEnd = segment.size === null ? fileSize : Math.min(segment.dataStart + segment.size, fileSize);
+  let position = segment.dataStart;
+
+  while (position < segmentEnd) {
+    const element = await readEbmlHeader(read, position);
+
+    // Stop at clusters or unknown-size elements; Info always precedes media data
+    if (!element || element.id === CLUSTER_ID || element.size === null) return null;
+
+    if (element.id === INFO_ID) {
+      const info = await read(element.dataStart, element.size);
+      let timecodeScale = 1000000;
+      let duration = null;
+      let offset = 0;
+
+      while (offset < info.length) {
+        const id = readVint(info, offset, true);
+        if (!id) break;
+        const size = readVint(info, offset + id.length, false);
+        if (!size || size.unknown) break;
+        const dataOffset = offset + id.length + size.length;
+
+        if (id.value === TIMECODE_SCALE_ID) {
+          timecodeScale = info.readUIntBE(dataOffset, Math.min(size.value, 6));
+        } else if (id.value === DURATION_ID) {
+          duration = size.value === 4 ? info.readFloatBE(dataOffset) : info.readDoubleBE(dataOffset);
+        }
+
+        offset = dataOffset + size.value;
+      }
+
+      return duration === null ? null : (duration * timecodeScale) / 1e9;
+    }
+
+    position = element.dataStart + element.size;
+  }
+
+  return null;
+};
+
+/**
+ * Media Duration Reader
+ *
+ * Returns the duration of an MP4 or WebM file in seconds, or null if it
+ * cannot be determined (unsupported type, missing header or corrupt file).
+ *
+ * @param {string} filePath - Absolute path to the media file
+ * @param {string} mimeType - MIME type of the file (video/mp4 or video/webm)
+ * @returns {Promise<number|null>}
+ */
+export const getMediaDuration = async (filePath, mimeType) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const read = createReader(handle);
+
+    let duration = null;
+    if (mimeType === 'video/mp4') {
+      duration = await readMp4Duration(read, size);
+    } else if (mimeType === 'video/webm') {
+      duration = await readWebmDuration(read, size);
+    }
+
+    return Number.isFinite(duration) && duration >= 0 ? duration : null;
+  } catch (error) {
+    console.error('Read media duration error:', error);
+    return null;
+  } finally {
+    await handle?.close();
+  }
+};
+
+/**
+ * Duration Formatter
+ *
+ * Formats seconds for display as M:SS, or H:MM:SS for videos an hour or longer.
+ */
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = (seconds % 60).toString().padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds}`;
+  }
+  return `${minutes}:${remainingSeconds}`;
+};
@@ -0,0 +1,56 @@
+/**
+ * Media Signature Utilities
+ *
+ * Checks that an uploaded file really is the type its client reported by
+ * looking at the signature ("magic bytes") at the start of the file, so a
+ * renamed or mislabelled file never reaches media storage.
+ */
+
+import fs from 'fs';
+
+// Bytes read from the start of a file; enough for every signature below
+const SIGNATURE_LENGTH = 12;
+
+/**
+ * Signature Matchers
+ *
+ * One test per accepted MIME type, given the first bytes of the file.
+ */
+const SIGNATURES = {
+  // ISO base media file: a box of type `ftyp` comes first
+  'video/mp4': (header) => header.toString('latin1', 4, 8) === 'ftyp',
+  // EBML header element
+  'video/webm': (header) => header.readUInt32BE(0) === 0x1a45dfa3,
+  'image/jpeg': (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff,
+  'image/png': (header) => header.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n',
+  // RIFF container holding WebP data
+  'image/webp': (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP'
+};
+
+/**
+ * Media Signature Check
+ *
+ * True if the file starts with the signature of the given MIME type. Files
+ * too short to hold a signature, unreadable files and unknown types fail.
+ *
+ * @param {string} filePath - Absolute path to the uploaded file
+ * @param {string} mimeType - MIME type reported by the client
+ * @returns {Promise<boolean>}
+ */
+export const matchesMediaSignature = async (filePath, mimeType) => {
+  const matches = SIGNATURES[mimeType];
+  if (!matches) return false;
+
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const header = Buffer.alloc(SIGNATURE_LENGTH);
+    const { bytesRead } = await handle.read(header, 0, SIGNATURE_LENGTH, 0);
+    return bytesRead === SIGNATURE_LENGTH && matches(header);
+  } catch (error) {
+    console.error('Read media signature error:', error);
+    return false;
+  } finally {
+    await handle?.close();
+  }
+};
@@ -0,0 +1,281 @@
+/**
+ * Playback Analytics
+ *
+ * Records the progress heartbeats sent by the video player and aggregates
+ * them into per-video watch time, average view duration and an audience
+ * retention curve, shown to the channel owner. Each heartbeat carries the
+ * stretches of the video played since the previous one (`segments`); the
+ * retention curve is the share of playbacks that reached each of
+ * RETENTION_BUCKETS equal slices of the video.
+ */
+
+import { body, query } from 'express-validator';
+import Video from '../models/Video.js';
+import PlaybackSession, { PLAYBACK_RETENTION_DAYS } from '../models/PlaybackSession.js';
+import { MAX_PLAYBACK_RATE } from './viewCounting.js';
+
+// Number of equal slices the retention curve divides a video into
+export const RETENTION_BUCKETS = 20;
+
+// Most segments accepted per heartbeat
+const MAX_HEARTBEAT_SEGMENTS = 20;
+
+// Most seconds of playback credited per heartbeat (the player sends one
+// every 15 seconds of playback; this leaves room for fast playback speeds).
+// A session's total is also capped at this plus the time since it started
+// times the fastest playback speed, and at the video's length.
+const MAX_HEARTBEAT_SECONDS = 120;
+
+// Reporting period in days: default and longest (sessions are kept that long)
+const DEFAULT_PERIOD_DAYS = 28;
+const MAX_PERIOD_DAYS = PLAYBACK_RETENTION_DAYS;
+
+// Most videos listed in the channel analytics
+const MAX_CHANNEL_VIDEOS = 50;
+
+// Accepted playback session IDs (UUIDs and similar random tokens)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Heartbeat Validation Rules
+ *
+ * Validates the body of POST /api/videos/:id/heartbeat.
+ */
+export const validateHeartbeat = [
+  body('sessionId')
+    .matches(SESSION_ID_PATTERN)
+    .withMessage('Invalid session ID'),
+  body('segments')
+    .isArray({ min: 1, max: MAX_HEARTBEAT_SEGMENTS })
+    .withMessage(`Segments must be a list of 1 to ${MAX_HEARTBEAT_SEGMENTS} played ranges`),
+  body('segments.*.start')
+    .isFloat({ min: 0 })
+    .withMessage('Segment start must be a non-negative number'),
+  body('segments.*.end')
+    .isFloat({ min: 0 })
+    .custom((end, { req, path }) => {
+      const index = parseInt(path.match(/\d+/)[0]);
+      return end >= req.body.segments[index].start;
+    })
+    .withMessage('Segment end must not be before its start')
+];
+
+/**
+ * Analytics Period Validation Rules
+ *
+ * Validates the optional `days` reporting period of the analytics endpoints.
+ */
+export const validateAnalyticsPeriod = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: MAX_PERIOD_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_PERIOD_DAYS}`)
+];
+
+/**
+ * Period Start Helper
+ *
+ * Start of the reporting period ending now, `days` long.
+ */
+export const getPeriodStart = (days) =>
+  new Date(Date.now() - (parseInt(days) || DEFAULT_PERIOD_DAYS) * 24 * 60 * 60 * 1000);
+
+/**
+ * Segment Normalizer
+ *
+ * Clamps played segments to the video's length (when known) and drops
+ * empty ones.
+ */
+const normalizeSegments = (segments, durationSeconds) =>
+  segments
+    .map(({ start, end }) => ({
+      start: Number(start),
+      end: durationSeconds > 0 ? Math.min(Number(end), durationSeconds) : Number(end)
+    }))
+    .filter(({ start, end }) => end > start);
+
+/**
+ * Retention Bucket Finder
+ *
+ * Indexes of the retention buckets a set of segments overlaps.
+ */
+const bucketsForSegments = (segments, durationSeconds) => {
+  const bucketLength = durationSeconds / RETENTION_BUCKETS;
+  const buckets = new Set();
+
+  segments.forEach(({ start, end }) => {
+    const first = Math.floor(start / bucketLength);
+    const last = Math.min(RETENTION_BUCKETS, Math.ceil(end / bucketLength)) - 1;
+    for (let index = first; index <= last; index++) {
+      buckets.add(index);
+    }
+  });
+
+  return [...buckets];
+};
+
+/**
+ * Heartbeat Recorder
+ *
+ * Adds the segments of a heartbeat to the playback session, creating the
+ * session on its first heartbeat. The session's watch time never exceeds
+ * what could have been played since it started, nor the video's length,
+ * however many heartbeats are sent.
+ *
+ * @param {Object} video - Played video (with durationSeconds and channelId)
+ * @param {string} sessionId - Playback session ID chosen by the player
+ * @param {Object[]} segments - Played ranges ({ start, end } in seconds)
+ */
+export const recordHeartbeat = async (video, sessionId, segments) => {
+  const played = normalizeSegments(segments, video.durationSeconds);
+  const watchedSeconds = Math.min(
+    MAX_HEARTBEAT_SECONDS,
+    played.reduce((sum, { start, end }) => sum + end - start, 0)
+  );
+  const buckets = video.durationSeconds > 0 ? bucketsForSegments(played, video.durationSeconds) : [];
+
+  const now = new Date();
+  const secondsSinceStart = { $divide: [{ $subtract: [now, '$startedAt'] }, 1000] };
+  const watchTimeLimits = [{ $add: [MAX_HEARTBEAT_SECONDS, { $multiply: [secondsSinceStart, MAX_PLAYBACK_RATE] }] }];
+  if (video.durationSeconds > 0) watchTimeLimits.push(video.durationSeconds);
+
+  // Pipeline update so the cap is computed from the stored start time
+  const update = () => PlaybackSession.updateOne(
+    { video: video._id, sessionId },
+    [
+      {
+        $set: {
+          channel: { $ifNull: ['$channel', video.channelId] },
+          startedAt: { $ifNull: ['$startedAt', now] },
+          lastHeartbeatAt: now
+        }
+      },
+      {
+        $set: {
+          watchedSeconds: {
+            $min: [{ $add: [{ $ifNull: ['$watchedSeconds', 0] }, watchedSeconds] }, ...watchTimeLimits]
+          },
+          buckets: { $setUnion: [{ $ifNull: ['$buckets', []] }, buckets] }
+        }
+      }
+    ],
+    { upsert: true }
+  );
+
+  try {
+    await update();
+  } catch (error) {
+    // Two first heartbeats raced to create the session; the retry updates it
+    if (error.code !== 11000) throw error;
+    await update();
+  }
+};
+
+/**
+ * Video Analytics
+ *
+ * Aggregates a video's playbacks since `since`: the number of playbacks,
+ * total watch time, average view duration and percentage viewed, and the
+ * retention curve (empty when the video's duration is unknown).
+ *
+ * @param {Object} video - Video document (with durationSeconds)
+ * @param {Date} since - Start of the reporting period
+ * @returns {Promise<Object>} { playbacks, watchTimeSeconds, averageViewDuration,
+ *   averagePercentageViewed, retention: [{ start, end, percentage }] }
+ */
+export const getVideoAnalytics = async (video, since) => {
+  const [result] = await PlaybackSession.aggregate([
+    { $match: { video: video._id, startedAt: { $gte: since } } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, playbacks: { $sum: 1 }, watchTimeSeconds: { $sum: '$watchedSeconds' } } }
+        ],
+        buckets: [
+          { $unwind: '$buckets' },
+          { $group: { _id: '$buckets', playbacks: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const { playbacks = 0, watchTimeSeconds = 0 } = result.totals[0] || {};
+  const averageViewDuration = playbacks > 0 ? watchTimeSeconds / playbacks : 0;
+  const duration = video.durationSeconds;
+
+  // Share of playbacks that reached each slice of the video
+  const reached = new Map(result.buckets.map(bucket => [bucket._id, bucket.playbacks]));
+  const retention = duration > 0
+    ? Array.from({ length: RETENTION_BUCKETS }, (_, index) => ({
+      start: (duration * index) / RETENTION_BUCKETS,
+      end: (duration * (index + 1)) / RETENTION_BUCKETS,
+      percentage: playbacks > 0 ? ((reached.get(index) || 0) / playbacks) * 100 : 0
+    }))
+    : [];
+
+  return {
+    playbacks,
+    watchTimeSeconds,
+    averageViewDuration,
+    averagePercentageViewed: duration > 0 ? Math.min(100, (averageViewDuration / duration) * 100) : null,
+    retention
+  };
+};
+
+/**
+ * Channel Analytics
+ *
+ * Aggregates the playbacks of a channel's videos since `since`: totals for
+ * the channel and, per video (most watch time first), playbacks, watch time
+ * and average view duration.
+ *
+ * @param {Object} channelId - Channel to report on
+ * @param {Date} since - Start of the reporting period
+ * @returns {Promise<{ totals: Object, videos: Object[] }>}
+ */
+export const getChannelAnalytics = async (channelId, since) => {
+  const perVideo = await PlaybackSession.aggregate([
+    { $match: { channel: channelId, startedAt: { $gte: since } } },
+    { $group: { _id: '$video', playbacks: { $sum: 1 }, watchTimeSeconds: { $sum: '$watchedSeconds' } } },
+    { $sort: { watchTimeSeconds: -1, _id: 1 } }
+  ]);
+
+  const totals = perVideo.reduce(
+    (sum, entry) => ({
+      playbacks: sum.playbacks + entry.playbacks,
+      watchTimeSeconds: sum.watchTimeSeconds + entry.watchTimeSeconds
+    }),
+    { playbacks: 0, watchTimeSeconds: 0 }
+  );
+  totals.averageViewDuration = totals.playbacks > 0 ? totals.watchTimeSeconds / totals.playbacks : 0;
+
+  // Video details for the most watched videos (deleted videos are left out)
+  const top = perVideo.slice(0, MAX_CHANNEL_VIDEOS);
+  const videos = await Video.find({ _id: { $in: top.map(entry => entry._id) } })
+    .select('title thumbnailUrl durationSeconds views visibility');
+  const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+  return {
+    totals,
+    videos: top
+      .filter(entry => videosById.has(entry._id.toString()))
+      .map(entry => {
+        const video = videosById.get(entry._id.toString());
+        const averageViewDuration = entry.watchTimeSeconds / entry.playbacks;
+        return {
+          _id: video._id,
+          title: video.title,
+          thumbnailUrl: video.thumbnailUrl,
+          durationSeconds: video.durationSeconds,
+          views: video.views,
+          visibility: video.visibility,
+          playbacks: entry.playbacks,
+          watchTimeSeconds: entry.watchTimeSeconds,
+          averageViewDuration,
+          averagePercentageViewed: video.durationSeconds > 0
+            ? Math.min(100, (averageViewDuration / video.durationSeconds) * 100)
+            : null
+        };
+      })
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Publish Scheduler
+ * 
+ * Flips scheduled videos live once their publishAt time has passed. Until
+ * then they are left out of listings and search (see videoAccess.js).
+ */
+
+import Video from '../models/Video.js';
+
+// Scheduler interval from config.env; an interval of 0 disables the scheduler
+const publishIntervalSeconds = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_SECONDS);
+const PUBLISH_INTERVAL = (Number.isNaN(publishIntervalSeconds) ? 60 : publishIntervalSeconds) * 1000;
+
+/**
+ * Due Video Publisher
+ * 
+ * Publishes every scheduled video whose publishAt time has passed. The upload
+ * date is moved to the publish time so the video sorts as newly published.
+ * 
+ * @returns {Promise<number>} Number of videos published
+ */
+export const publishDueVideos = async () => {
+  const { modifiedCount } = await Video.updateMany(
+    { scheduled: true, publishAt: { $lte: new Date() } },
+    [{ $set: { scheduled: false, uploadDate: '$publishAt' } }]
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * Periodic Scheduler Starter
+ * 
+ * Checks for due videos on the configured interval (and once on startup so
+ * videos that came due while the server was down go live right away). The
+ * timer does not keep the process alive, and runs never overlap.
+ */
+export const startPublishScheduler = () => {
+  if (PUBLISH_INTERVAL <= 0) return null;
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const published = await publishDueVideos();
+      if (published) {
+        console.log(`📅 Published ${published} scheduled video${published === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Publish scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PUBLISH_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,167 @@
+/**
+ * Storage Quota Utilities
+ *
+ * Enforces configurable storage and upload-count quotas per user and per
+ * channel. Usage is measured from the stored video and thumbnail files;
+ * resumable uploads in progress also count towards the user's storage so
+ * parallel sessions cannot be used to exceed the quota.
+ */
+
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import UploadSession from '../models/UploadSession.js';
+
+/**
+ * Quota Configuration
+ *
+ * Limits from config.env; a limit of 0 means unlimited.
+ */
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : Math.max(0, value);
+};
+
+const QUOTA_LIMITS = {
+  user: {
+    storageBytes: readLimit('QUOTA_USER_STORAGE_MB', 5120) * 1024 * 1024,
+    videos: readLimit('QUOTA_USER_VIDEOS', 100)
+  },
+  channel: {
+    storageBytes: readLimit('QUOTA_CHANNEL_STORAGE_MB', 2048) * 1024 * 1024,
+    videos: readLimit('QUOTA_CHANNEL_VIDEOS', 50)
+  }
+};
+
+export const getQuotaLimits = () => QUOTA_LIMITS;
+
+/**
+ * Video Usage Aggregator
+ *
+ * Sums the stored file sizes and counts the videos matching a filter.
+ */
+const aggregateVideoUsage = async (match) => {
+  const [usage] = await Video.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        storageBytes: {
+          $sum: { $add: [{ $ifNull: ['$videoFile.size', 0] }, { $ifNull: ['$thumbnailFile.size', 0] }] }
+        },
+        videos: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return { storageBytes: usage?.storageBytes || 0, videos: usage?.videos || 0 };
+};
+
+/**
+ * Pending Upload Usage Helper
+ *
+ * Returns the bytes reserved by a user's unexpired resumable upload sessions.
+ */
+const getPendingUploadBytes = async (userId, excludeSessionId) => {
+  const filter = { uploader: userId, expiresAt: { $gt: new Date() } };
+  if (excludeSessionId) {
+    filter._id = { $ne: excludeSessionId };
+  }
+
+  const sessions = await UploadSession.find(filter).select('totalSize');
+  return sessions.reduce((total, session) => total + session.totalSize, 0);
+};
+
+/**
+ * User Usage Reader
+ *
+ * Storage and video count for every video uploaded by a user,
+ * plus bytes reserved by uploads still in progress.
+ */
+export const getUserUsage = async (userId, { excludeSessionId } = {}) => {
+  const usage = await aggregateVideoUsage({ uploader: new mongoose.Types.ObjectId(String(userId)) });
+  const pendingBytes = await getPendingUploadBytes(userId, excludeSessionId);
+
+  return { ...usage, pendingBytes };
+};
+
+/**
+ * Channel Usage Reader
+ *
+ * Storage and video count for every video published on a channel.
+ */
+export const getChannelUsage = async (channelId) => {
+  return aggregateVideoUsage({ channelId: new mongoose.Types.ObjectId(String(channelId)) });
+};
+
+/**
+ * Quota Formatter
+ *
+ * Formats a byte limit for error messages (e.g., "2 GB", "500 MB").
+ */
+const formatLimit = (bytes) => {
+  const gigabytes = bytes / (1024 * 1024 * 1024);
+  return gigabytes >= 1 ? `${Math.round(gigabytes * 10) / 10} GB` : `${Math.round(bytes / (1024 * 1024))} MB`;
+};
+
+/**
+ * Quota Error Finder
+ *
+ * Checks the current usage plus `videos` and `bytes` still to be added
+ * against the user's and (when known) the channel's quotas.
+ */
+const findQuotaError = async ({ userId, channelId, videos, bytes, excludeSessionId }) => {
+  const limits = getQuotaLimits();
+  const userUsage = await getUserUsage(userId, { excludeSessionId });
+
+  if (limits.user.videos && userUsage.videos + videos > limits.user.videos) {
+    return { status: 403, message: `Upload limit reached: accounts can have at most ${limits.user.videos} videos` };
+  }
+
+  if (limits.user.storageBytes && userUsage.storageBytes + userUsage.pendingBytes + bytes > limits.user.storageBytes) {
+    return { status: 413, message: `Storage quota exceeded: accounts can store at most ${formatLimit(limits.user.storageBytes)}` };
+  }
+
+  if (!channelId) return null;
+
+  const channelUsage = await getChannelUsage(channelId);
+
+  if (limits.channel.videos && channelUsage.videos + videos > limits.channel.videos) {
+    return { status: 403, message: `Upload limit reached: channels can have at most ${limits.channel.videos} videos` };
+  }
+
+  if (limits.channel.storageBytes && channelUsage.storageBytes + bytes > limits.channel.storageBytes) {
+    return { status: 413, message: `Storage quota exceeded: channels can store at most ${formatLimit(limits.channel.storageBytes)}` };
+  }
+
+  return null;
+};
+
+/**
+ * Upload Quota Check
+ *
+ * Verifies that adding a video of the given size stays within the user's and
+ * (when known) the channel's quotas. Returns null when allowed, or an error
+ * with the HTTP status to send: 413 for storage, 403 for upload count.
+ *
+ * @param {Object} options - userId, optional channelId, bytes to add, and an
+ *   optional resumable session to leave out of the pending total
+ * @returns {Promise<{ status: number, message: string }|null>}
+ */
+export const checkUploadQuota = ({ userId, channelId, bytes, excludeSessionId }) =>
+  findQuotaError({ userId, channelId, videos: 1, bytes, excludeSessionId });
+
+/**
+ * Recorded Upload Quota Check
+ *
+ * Re-checks the quotas once an upload has been recorded (its session
+ * created or its video saved). Parallel uploads can each pass
+ * checkUploadQuota; every upload that finds the total over a limit after
+ * its own record is in place must undo that record, so together they never
+ * exceed the quota. Returns null or an error like checkUploadQuota.
+ *
+ * @param {Object} options - userId, optional channelId, and an optional
+ *   resumable session to leave out of the pending total
+ * @returns {Promise<{ status: number, message: string }|null>}
+ */
+export const checkRecordedQuota = ({ userId, channelId, excludeSessionId }) =>
+  findQuotaError({ userId, channelId, videos: 0, bytes: 0, excludeSessionId });
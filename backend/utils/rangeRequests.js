@@ -0,0 +1,47 @@
+/**
+ * HTTP Range Request Utilities
+ * 
+ * Parses `Range: bytes=...` headers for partial content (206) responses.
+ */
+
+/**
+ * Range Header Parser
+ * 
+ * Supports a single byte range in the forms `start-end`, `start-` and `-suffix`.
+ * For multiple ranges only the first is honoured, which browsers accept for media.
+ * 
+ * @param {string} header - Value of the Range request header
+ * @param {number} size - Total size of the resource in bytes
+ * @returns {{start: number, end: number} | null | -1} Range, null if absent/invalid, -1 if unsatisfiable
+ */
+export const parseRange = (header, size) => {
+  if (!header || !header.startsWith('bytes=')) {
+    return null;
+  }
+
+  const [firstRange] = header.slice('bytes='.length).split(',');
+  const match = /^\s*(\d*)-(\d*)\s*$/.exec(firstRange);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return -1;
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return -1;
+  }
+
+  return { start, end };
+};
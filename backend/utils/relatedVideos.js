@@ -0,0 +1,137 @@
+/**
+ * Related Video Recommendations
+ *
+ * Picks the "Up next" videos for the watch page. Candidates are public
+ * videos that share tags, the category or the channel with the current
+ * video, or that were watched by the same viewers (co-viewing, taken from
+ * watch history). Each signal adds to a candidate's score; popular videos
+ * fill up the list when there are not enough related ones.
+ */
+
+import Video from '../models/Video.js';
+import WatchHistory from '../models/WatchHistory.js';
+import { publicVideoFilter } from './videoAccess.js';
+
+// Score added per shared tag, for the same category and for the same
+// channel, and for the most co-viewed candidate (others get a share of it)
+const RELATED_WEIGHTS = {
+  tag: 3,
+  category: 2,
+  channel: 2,
+  coView: 5
+};
+
+// Most recent viewers of the current video whose histories are sampled
+const MAX_CO_VIEWERS = 200;
+
+// Upper bound on co-viewed videos, and on the most viewed videos taken per
+// tag, category and channel signal, so each signal keeps its own candidates
+const MAX_CANDIDATES = 200;
+const MAX_CANDIDATES_PER_SIGNAL = 100;
+
+/**
+ * Co-viewing Counter
+ *
+ * Counts, for each other video, how many recent viewers of this video
+ * also watched it.
+ *
+ * @returns {Promise<Map<string, number>>} Co-viewer count per video ID
+ */
+const getCoViewCounts = async (videoId) => {
+  const viewers = await WatchHistory.find({ video: videoId })
+    .sort({ watchedAt: -1 })
+    .limit(MAX_CO_VIEWERS)
+    .select('user')
+    .lean();
+
+  if (viewers.length === 0) return new Map();
+
+  const counts = await WatchHistory.aggregate([
+    { $match: { user: { $in: viewers.map(viewer => viewer.user) }, video: { $ne: videoId } } },
+    { $group: { _id: '$video', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CANDIDATES }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Candidate ID Finder
+ *
+ * Returns the IDs of the most viewed public videos (other than the current
+ * one) matching a signal's condition.
+ */
+const findCandidateIds = async (videoId, condition) => {
+  const videos = await Video.find({ ...publicVideoFilter(), _id: { $ne: videoId }, ...condition })
+    .sort({ views: -1 })
+    .limit(MAX_CANDIDATES_PER_SIGNAL)
+    .select('_id')
+    .lean();
+  return videos.map(candidate => candidate._id.toString());
+};
+
+/**
+ * Related Videos Finder
+ *
+ * Returns up to `limit` public videos related to the given one, best match
+ * first, never including the video itself.
+ *
+ * @param {Object} video - Current video (channelId and uploader unpopulated)
+ * @param {number} limit - Maximum number of videos to return
+ * @returns {Promise<Object[]>} Related videos with channel and uploader populated
+ */
+export const getRelatedVideos = async (video, limit) => {
+  const coViews = await getCoViewCounts(video._id);
+  const tags = video.tags || [];
+
+  // Bounded query per signal, so popular same-category videos cannot crowd
+  // out the ones sharing tags or viewers
+  const candidateIdLists = await Promise.all([
+    tags.length > 0 ? findCandidateIds(video._id, { tags: { $in: tags } }) : [],
+    findCandidateIds(video._id, { category: video.category }),
+    findCandidateIds(video._id, { channelId: video.channelId })
+  ]);
+  const candidateIds = new Set([...coViews.keys(), ...candidateIdLists.flat()]);
+  candidateIds.delete(video._id.toString());
+
+  // Co-viewed videos are checked against the public filter here
+  const candidates = await Video.find({
+    ...publicVideoFilter(),
+    _id: { $in: [...candidateIds] }
+  })
+    .populate('channelId', 'channelName')
+    .populate('uploader', 'username avatar');
+
+  const tagSet = new Set(tags.map(tag => tag.toLowerCase()));
+  const maxCoViews = Math.max(1, ...coViews.values());
+
+  const related = candidates
+    .map(candidate => {
+      const sharedTags = (candidate.tags || []).filter(tag => tagSet.has(tag.toLowerCase())).length;
+      const score = sharedTags * RELATED_WEIGHTS.tag +
+        (candidate.category === video.category ? RELATED_WEIGHTS.category : 0) +
+        (candidate.channelId?._id.equals(video.channelId) ? RELATED_WEIGHTS.channel : 0) +
+        ((coViews.get(candidate._id.toString()) || 0) / maxCoViews) * RELATED_WEIGHTS.coView;
+      return { candidate, score };
+    })
+    .sort((a, b) => b.score - a.score || b.candidate.views - a.candidate.views) // Most views breaks ties
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+
+  // Fill up with popular videos when there are not enough related ones
+  if (related.length < limit) {
+    const popular = await Video.find({
+      ...publicVideoFilter(),
+      _id: { $nin: [video._id, ...related.map(item => item._id)] }
+    })
+      .populate('channelId', 'channelName')
+      .populate('uploader', 'username avatar')
+      .sort({ views: -1 })
+      .limit(limit - related.length);
+
+    related.push(...popular);
+  }
+
+  return related;
+};
@@ -0,0 +1,80 @@
+/**
+ * Search Text Utilities
+ *
+ * Helpers for turning user-typed search text into safe MongoDB patterns
+ * and into the word trigrams used by fuzzy search.
+ */
+
+/**
+ * Regex Escaper
+ *
+ * Escapes user input so it matches literally inside a regular expression.
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Word Prefix Pattern
+ *
+ * Builds a case-insensitive pattern matching text in which any word starts
+ * with the given prefix (e.g., "gui" matches "Guitar basics" and "Easy guide").
+ */
+export const wordPrefixPattern = (prefix) => new RegExp(`(^|\\s)${escapeRegex(prefix)}`, 'i');
+
+/**
+ * Search Word Splitter
+ *
+ * Lowercases text, strips accents and splits it into words of letters and
+ * digits, so "Café-Tour 2024!" becomes ["cafe", "tour", "2024"].
+ */
+export const searchWords = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Word Trigrams
+ *
+ * Splits one word into overlapping three-character pieces, padded like
+ * PostgreSQL's pg_trgm ("  w", " wo", "wor", "ord", "rd ") so that word
+ * starts and ends count towards similarity.
+ */
+export const wordTrigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Trigram Similarity
+ *
+ * Share of trigrams two words have in common (0 to 1), e.g. 0.57 for
+ * "reac" and "react".
+ */
+export const trigramSimilarity = (a, b) => {
+  const gramsA = wordTrigrams(a);
+  const gramsB = wordTrigrams(b);
+  let shared = 0;
+  gramsA.forEach(gram => {
+    if (gramsB.has(gram)) shared++;
+  });
+  return shared / (gramsA.size + gramsB.size - shared);
+};
+
+/**
+ * Search Gram Builder
+ *
+ * Collects the distinct trigrams of every word in the given texts, as
+ * stored in the `searchGrams` field of videos and channels for fuzzy search.
+ */
+export const buildSearchGrams = (...texts) => {
+  const grams = new Set();
+  texts.flatMap(searchWords).forEach(word => {
+    wordTrigrams(word).forEach(gram => grams.add(gram));
+  });
+  return [...grams];
+};
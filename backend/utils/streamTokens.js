@@ -0,0 +1,55 @@
+/**
+ * Stream Token Utilities
+ * 
+ * Issues and verifies short-lived signed tokens for video streaming.
+ * The <video> element cannot send an Authorization header, so the API hands
+ * out a stream URL carrying a token scoped to one video (and viewer, if signed in).
+ */
+
+import jwt from 'jsonwebtoken';
+
+/**
+ * Stream Token Generation Utility
+ * 
+ * Creates a token granting access to a single video's stream.
+ * Token lifetime is configurable via STREAM_TOKEN_TTL (default 6 hours).
+ * The viewer is stored as `viewerId` rather than `userId`, the claim login
+ * tokens use, so a stream URL is never mistaken for a login.
+ */
+export const createStreamToken = (videoId, userId = null) => {
+  return jwt.sign(
+    { videoId: videoId.toString(), viewerId: userId ? userId.toString() : null, purpose: 'stream' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.STREAM_TOKEN_TTL || '6h' }
+  );
+};
+
+/**
+ * Stream Token Verification Utility
+ * 
+ * Returns the decoded token if it is valid for the given video, otherwise null.
+ */
+export const verifyStreamToken = (token, videoId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'stream' || decoded.videoId !== videoId.toString()) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Stream URL Builder
+ * 
+ * Returns the tokenized stream path for videos with stored files,
+ * or the original URL for externally hosted videos.
+ */
+export const getStreamUrl = (video, userId = null) => {
+  if (!video.videoFile?.path) {
+    return video.videoUrl;
+  }
+  return `/api/videos/${video._id}/stream?token=${createStreamToken(video._id, userId)}`;
+};
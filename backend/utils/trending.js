@@ -0,0 +1,153 @@
+/**
+ * Trending Updater
+ *
+ * Periodically ranks videos by recent engagement for the trending feed.
+ * Views, likes and comments count towards a video's score with exponential
+ * time decay, so a burst of activity today outranks a bigger one last week.
+ * Scores are stored on the videos (see Video.trending) and read by
+ * GET /api/videos/trending instead of being computed per request.
+ */
+
+import Video from '../models/Video.js';
+import Like from '../models/Like.js';
+import Comment from '../models/Comment.js';
+
+// Relative weight of each engagement type in the score
+const TRENDING_WEIGHTS = {
+  view: 1,
+  like: 5,
+  comment: 10
+};
+
+// Events older than this many half-lives are ignored (they would add < 4%)
+const TRENDING_WINDOW_HALF_LIVES = 5;
+
+// Scores below this are treated as no recent activity
+const MIN_TRENDING_SCORE = 0.01;
+
+// Number of video updates sent to MongoDB per batch
+const UPDATE_BATCH_SIZE = 500;
+
+// Update interval and score half-life from config.env; an interval of 0
+// disables the updater
+const updateIntervalMinutes = parseInt(process.env.TRENDING_UPDATE_INTERVAL_MINUTES);
+const UPDATE_INTERVAL = (Number.isNaN(updateIntervalMinutes) ? 15 : updateIntervalMinutes) * 60 * 1000;
+const halfLifeHours = parseFloat(process.env.TRENDING_HALF_LIFE_HOURS);
+const HALF_LIFE = (Number.isNaN(halfLifeHours) || halfLifeHours <= 0 ? 24 : halfLifeHours) * 60 * 60 * 1000;
+
+/**
+ * Decayed Event Counter
+ *
+ * Sums events per video since `since`, each weighted by 0.5^(age / halfLife).
+ *
+ * @param {Object} Model - Mongoose model holding the events
+ * @param {string} videoField - Field referencing the video
+ * @param {string} timeField - Field holding the event time
+ * @returns {Promise<Map<string, number>>} Decayed event count per video ID
+ */
+const sumDecayedEvents = async (Model, videoField, timeField, { now, since, halfLife }) => {
+  const totals = await Model.aggregate([
+    { $match: { [timeField]: { $gte: since } } },
+    {
+      $group: {
+        _id: `$${videoField}`,
+        total: { $sum: { $pow: [0.5, { $divide: [{ $subtract: [now, `$${timeField}`] }, halfLife] }] } }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(entry => [entry._id.toString(), entry.total]));
+};
+
+/**
+ * Trending Score Updater
+ *
+ * Recomputes the trending score of every video with recent engagement (or
+ * a score left to decay). Views carry no timestamps, so recent views are
+ * tracked as a decayed running count of the views gained between updates;
+ * a video's first update only records its view total as the baseline.
+ *
+ * @returns {Promise<number>} Number of videos updated
+ */
+export const updateTrendingScores = async () => {
+  const now = new Date();
+  const timeWindow = { now, since: new Date(now.getTime() - HALF_LIFE * TRENDING_WINDOW_HALF_LIVES), halfLife: HALF_LIFE };
+  const decaySince = (date) => 0.5 ** ((now - date) / HALF_LIFE);
+
+  const [likeScores, commentScores] = await Promise.all([
+    sumDecayedEvents(Like, 'video', 'likedAt', timeWindow),
+    sumDecayedEvents(Comment, 'videoId', 'timestamp', timeWindow)
+  ]);
+
+  // Videos with recent likes or comments, new views, or a score still decaying
+  const videos = await Video.find({
+    $or: [
+      { _id: { $in: [...new Set([...likeScores.keys(), ...commentScores.keys()])] } },
+      { 'trending.score': { $gt: 0 } },
+      { $expr: { $ne: ['$views', { $ifNull: ['$trending.viewCount', -1] }] } }
+    ]
+  }).select('views trending').lean();
+
+  const updates = videos.map(video => {
+    const id = video._id.toString();
+    const previous = video.trending || {};
+
+    let viewRate = 0;
+    if (previous.updatedAt) {
+      const newViews = Math.max(0, video.views - (previous.viewCount || 0));
+      viewRate = (previous.viewRate || 0) * decaySince(previous.updatedAt) + newViews;
+    }
+
+    let score = viewRate * TRENDING_WEIGHTS.view +
+      (likeScores.get(id) || 0) * TRENDING_WEIGHTS.like +
+      (commentScores.get(id) || 0) * TRENDING_WEIGHTS.comment;
+
+    if (score < MIN_TRENDING_SCORE) {
+      score = 0;
+      viewRate = 0;
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: video._id },
+        update: { $set: { trending: { score, viewRate, viewCount: video.views, updatedAt: now } } }
+      }
+    };
+  });
+
+  for (let i = 0; i < updates.length; i += UPDATE_BATCH_SIZE) {
+    await Video.bulkWrite(updates.slice(i, i + UPDATE_BATCH_SIZE), { ordered: false });
+  }
+
+  return updates.length;
+};
+
+/**
+ * Periodic Updater Starter
+ *
+ * Recomputes trending scores on the configured interval (and once on
+ * startup). The timer does not keep the process alive, and runs never overlap.
+ */
+export const startTrendingUpdater = () => {
+  if (UPDATE_INTERVAL <= 0) return null;
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await updateTrendingScores();
+    } catch (error) {
+      console.error('Trending update error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, UPDATE_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
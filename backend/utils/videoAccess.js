@@ -0,0 +1,70 @@
+/**
+ * Video Access Utilities
+ *
+ * Central rules for video visibility:
+ * - public: listed everywhere and playable by anyone
+ * - unlisted: never listed, but playable by anyone with a direct link
+ * - private: only listed for and playable by the uploader
+ * Scheduled videos behave like private ones until their publishAt time.
+ */
+
+// Allowed values for Video.visibility
+export const VISIBILITY_OPTIONS = ['public', 'unlisted', 'private'];
+
+/**
+ * Public Listing Filter
+ *
+ * Query condition matching videos that may appear in listings and search:
+ * public and already published. Videos created before these fields existed
+ * have neither field and count as public and published.
+ */
+export const publicVideoFilter = () => ({
+  visibility: { $nin: ['unlisted', 'private'] },
+  scheduled: { $ne: true }
+});
+
+/**
+ * Listing Filter for a Viewer
+ *
+ * Public videos for everyone, plus every video the viewer uploaded
+ * (so owners still see their unlisted and private videos on their channel).
+ */
+export const listableVideoFilter = (userId) => {
+  if (!userId) return publicVideoFilter();
+  return { $or: [publicVideoFilter(), { uploader: userId }] };
+};
+
+/**
+ * Viewable Video Filter
+ *
+ * Query condition matching the videos canViewVideo allows the viewer to
+ * open: everything except private and not yet published videos, which only
+ * their uploader may watch.
+ */
+export const viewableVideoFilter = (userId) => {
+  const openFilter = { visibility: { $ne: 'private' }, scheduled: { $ne: true } };
+  if (!userId) return openFilter;
+  return { $or: [openFilter, { uploader: userId }] };
+};
+
+/**
+ * Uploader ID Helper
+ *
+ * Returns the uploader's ID as a string whether or not it was populated.
+ */
+const getUploaderId = (video) => (video.uploader?._id || video.uploader)?.toString();
+
+/**
+ * Video Access Check
+ *
+ * True if the viewer may open the video directly (watch page, stream,
+ * comments, reactions). Private and not yet published videos are restricted
+ * to their uploader.
+ *
+ * @param {Object} video - Video document (uploader may be populated)
+ * @param {Object|string|null} userId - Viewer's user ID, if signed in
+ */
+export const canViewVideo = (video, userId) => {
+  if (video.visibility !== 'private' && !video.scheduled) return true;
+  return Boolean(userId) && getUploaderId(video) === userId.toString();
+};
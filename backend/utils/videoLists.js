@@ -0,0 +1,37 @@
+/**
+ * Video List Utilities
+ *
+ * Helpers for the ordered video ID lists kept by playlists and the
+ * per-user Watch Later queue.
+ */
+
+/**
+ * Membership Check
+ *
+ * True if the list contains the video (IDs may be ObjectIds or strings).
+ */
+export const containsVideo = (videoIds, videoId) =>
+  videoIds.some(id => id.toString() === videoId.toString());
+
+/**
+ * List Reorderer
+ *
+ * Moves the requested videos to the front of the list in the requested order.
+ * Videos that are not listed (e.g., ones hidden from the owner's view) keep
+ * their relative order after them. Returns null when the request names a
+ * video that is not in the list or names one twice.
+ *
+ * @param {Array} currentIds - Video IDs in their current order
+ * @param {string[]} requestedIds - Video IDs in the new order
+ * @returns {string[]|null} Reordered IDs, or null for an invalid request
+ */
+export const reorderVideoIds = (currentIds, requestedIds) => {
+  const current = currentIds.map(id => id.toString());
+  const requested = new Set(requestedIds);
+
+  if (requested.size !== requestedIds.length || requestedIds.some(id => !current.includes(id))) {
+    return null;
+  }
+
+  return [...requestedIds, ...current.filter(id => !requested.has(id))];
+};
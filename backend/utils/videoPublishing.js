@@ -0,0 +1,153 @@
+/**
+ * Video Publishing Utilities
+ * 
+ * Shared helpers for turning uploaded media into Video documents.
+ * Used by both the single-request upload route and resumable upload sessions.
+ */
+
+import { body } from 'express-validator';
+import { getStorage, storeMedia, removeMedia } from '../storage/index.js';
+import { getMediaDuration } from './mediaDuration.js';
+import { VISIBILITY_OPTIONS } from './videoAccess.js';
+import { CATEGORY_LABELS } from './categories.js';
+import Video from '../models/Video.js';
+import Channel from '../models/Channel.js';
+
+/**
+ * Publish Time Validation Rule
+ * 
+ * Optional future publish time for scheduled publishing. Shared by upload
+ * and update validation; an empty value means "publish now".
+ */
+export const validatePublishAt = body('publishAt')
+  .optional({ values: 'falsy' })
+  .isISO8601()
+  .withMessage('Publish time must be a valid date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Publish time must be in the future');
+
+/**
+ * Video Metadata Validation Rules
+ * 
+ * Validates the metadata fields submitted alongside uploaded media.
+ */
+export const validateVideoMetadata = [
+  body('title')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+    .trim(),
+  body('description')
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description must be between 1 and 1000 characters')
+    .trim(),
+  body('channelId')
+    .isMongoId()
+    .withMessage('A valid channel is required'),
+  body('category')
+    .isIn(CATEGORY_LABELS)
+    .withMessage('Invalid category'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_OPTIONS)
+    .withMessage('Visibility must be public, unlisted or private'),
+  validatePublishAt
+];
+
+/**
+ * Publish State Helper
+ * 
+ * Returns the scheduling fields for a requested publish time: videos with a
+ * future publishAt stay hidden until the publish scheduler flips them live,
+ * anything else is published right away.
+ * 
+ * @param {string|Date|null} publishAt - Requested publish time, if any
+ */
+export const getPublishState = (publishAt) => {
+  const date = publishAt ? new Date(publishAt) : null;
+  if (date && date > new Date()) {
+    return { publishAt: date, scheduled: true };
+  }
+  return { publishAt: null, scheduled: false, uploadDate: new Date() };
+};
+
+/**
+ * Tag Normalization Utility
+ * 
+ * Multipart forms send tags either as repeated fields or as one
+ * comma-separated string; both are normalized to a trimmed array.
+ */
+export const parseTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => tag.trim()).filter(tag => tag.length > 0);
+};
+
+/**
+ * Video Publisher
+ * 
+ * Reads the real duration from the uploaded video file, moves the local files
+ * into media storage, creates the Video document, adds it to the channel's
+ * videos array and returns it populated for API responses.
+ * Expects channel ownership to be verified by the caller.
+ * 
+ * @param {Object} options - metadata fields, uploader ID and local file
+ *   descriptors ({ localPath, mimeType, size }) for the video and thumbnail
+ */
+export const publishVideo = async ({ metadata, uploader, videoFile, thumbnailFile }) => {
+  const { title, description, channelId, category, tags, visibility, publishAt } = metadata;
+
+  // Read the real duration from the container headers (0 if it cannot be determined)
+  const durationSeconds = await getMediaDuration(videoFile.localPath, videoFile.mimeType);
+  if (durationSeconds === null) {
+    console.warn('Could not read duration for uploaded video:', videoFile.localPath);
+  }
+
+  // Hand both files to the configured storage driver
+  const storedVideo = await storeMedia('video', videoFile);
+  const storedThumbnail = await storeMedia('thumbnail', thumbnailFile).catch(async (error) => {
+    await removeMedia(storedVideo);
+    throw error;
+  });
+
+  // Create new video instance pointing at the stored files
+  const video = new Video({
+    title,
+    description,
+    thumbnailUrl: getStorage().getPublicUrl(storedThumbnail.path),
+    videoFile: storedVideo,
+    thumbnailFile: storedThumbnail,
+    channelId,
+    uploader,
+    category,
+    durationSeconds: durationSeconds || 0,
+    visibility,
+    tags: parseTags(tags),
+    ...getPublishState(publishAt)
+  });
+
+  // Uploaded videos are only served through the access-checked stream endpoint
+  video.videoUrl = `/api/videos/${video._id}/stream`;
+
+  try {
+    await video.save();
+  } catch (error) {
+    // Do not leave stored files behind for a video that was never created
+    await Promise.all([removeMedia(storedVideo), removeMedia(storedThumbnail)]);
+    throw error;
+  }
+
+  // Update channel's videos array to include new video
+  await Channel.findByIdAndUpdate(
+    channelId,
+    { $push: { videos: video._id } }
+  );
+
+  // Populate video with related data for response
+  await video.populate([
+    { path: 'channelId', select: 'channelName' },
+    { path: 'uploader', select: 'username avatar' }
+  ]);
+
+  return video;
+};
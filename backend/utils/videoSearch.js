@@ -0,0 +1,185 @@
+/**
+ * Video Search Utilities
+ *
+ * Turns the search parameters of GET /api/videos into a MongoDB filter and
+ * sort order, and computes the channel and tag facets shown in the search
+ * results filter panel.
+ */
+
+import mongoose from 'mongoose';
+import { query } from 'express-validator';
+import { escapeRegex } from './searchText.js';
+import Video from '../models/Video.js';
+
+// Accepted sort orders; relevance needs a search term and falls back to date
+export const SEARCH_SORT_OPTIONS = ['relevance', 'views', 'date', 'rating'];
+
+// Search modes: MongoDB text search, or typo-tolerant trigram matching
+// (see utils/fuzzySearch.js)
+export const SEARCH_MODES = ['text', 'fuzzy'];
+
+// Duration buckets in seconds; videos of unknown duration (0) are never "short"
+const DURATION_FILTERS = {
+  short: { $gt: 0, $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 }
+};
+
+// Sort specification per option, including tie-breakers; each ends with
+// the unique _id so cursor pagination has a stable order
+const SORT_ORDERS = {
+  relevance: { score: { $meta: 'textScore' }, views: -1, _id: -1 },
+  views: { views: -1, uploadDate: -1, _id: -1 },
+  date: { uploadDate: -1, _id: -1 },
+  rating: { likes: -1, dislikes: 1, views: -1, _id: -1 }
+};
+
+// Most tags accepted in one filter, and most entries per facet
+const MAX_TAG_FILTERS = 10;
+const MAX_FACET_ENTRIES = 10;
+
+/**
+ * Tag List Parser
+ *
+ * Splits a comma-separated tag filter into trimmed, non-empty tags.
+ */
+const parseTags = (value) =>
+  String(value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Video Search Validation Rules
+ *
+ * Validates the optional mode, sort and filter parameters of GET /api/videos.
+ */
+export const validateVideoSearch = [
+  query('mode')
+    .optional()
+    .isIn(SEARCH_MODES)
+    .withMessage('Search mode must be text or fuzzy'),
+  query('sort')
+    .optional()
+    .isIn(SEARCH_SORT_OPTIONS)
+    .withMessage(`Sort must be one of: ${SEARCH_SORT_OPTIONS.join(', ')}`),
+  query('duration')
+    .optional()
+    .isIn(Object.keys(DURATION_FILTERS))
+    .withMessage('Duration must be short, medium or long'),
+  query('uploadedAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('Upload date range start must be a valid date'),
+  query('uploadedBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Upload date range end must be a valid date'),
+  query('channel')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid channel ID'),
+  query('tags')
+    .optional()
+    .isString()
+    .custom(value => parseTags(value).length <= MAX_TAG_FILTERS)
+    .withMessage(`At most ${MAX_TAG_FILTERS} tags can be filtered on`)
+];
+
+/**
+ * Video Search Builder
+ *
+ * Adds the search term and filters from the query parameters to a base
+ * filter (e.g., the public video filter) and picks the sort order. The
+ * returned `facetFilter` leaves out the channel and tag filters, so the
+ * facets keep offering the other channels and tags. In fuzzy mode the
+ * search term is left out of the filters (fuzzy search matches it) and
+ * `sortOption` names the order to apply to the matches.
+ *
+ * @param {Object} baseFilter - Filter every result must match
+ * @param {Object} params - Validated request query parameters
+ * @returns {{ filter: Object, facetFilter: Object, sort: Object, sortOption: string, projection: Object, fuzzy: boolean }}
+ */
+export const buildVideoSearch = (baseFilter, params) => {
+  const { category, search, duration, uploadedAfter, uploadedBefore, channel, tags } = params;
+  const fuzzy = params.mode === 'fuzzy' && Boolean(search);
+  const facetFilter = { ...baseFilter };
+
+  if (category && category !== 'All') {
+    facetFilter.category = category;
+  }
+
+  // Text search using the MongoDB text index
+  if (search && !fuzzy) {
+    facetFilter.$text = { $search: search };
+  }
+
+  if (duration) {
+    facetFilter.durationSeconds = DURATION_FILTERS[duration];
+  }
+
+  if (uploadedAfter || uploadedBefore) {
+    facetFilter.uploadDate = {};
+    if (uploadedAfter) facetFilter.uploadDate.$gte = new Date(uploadedAfter);
+    if (uploadedBefore) facetFilter.uploadDate.$lte = new Date(uploadedBefore);
+  }
+
+  const filter = { ...facetFilter };
+
+  if (channel) {
+    filter.channelId = new mongoose.Types.ObjectId(channel);
+  }
+
+  // Every requested tag must be present (case-insensitive)
+  const tagList = parseTags(tags);
+  if (tagList.length > 0) {
+    filter.tags = { $all: tagList.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) };
+  }
+
+  // Relevance is the default when searching; without a search term it means newest first
+  let sortOption = params.sort || (search ? 'relevance' : 'date');
+  if (sortOption === 'relevance' && !search) sortOption = 'date';
+
+  return {
+    filter,
+    facetFilter,
+    sort: SORT_ORDERS[sortOption],
+    sortOption,
+    projection: sortOption === 'relevance' && !fuzzy ? { score: { $meta: 'textScore' } } : {},
+    fuzzy
+  };
+};
+
+/**
+ * Search Facets
+ *
+ * Counts the matching videos per channel and per tag, most common first,
+ * for the filter panel.
+ *
+ * @param {Object} facetFilter - Filter from buildVideoSearch
+ * @returns {Promise<{ channels: Object[], tags: Object[] }>} Channel entries
+ *   ({ _id, channelName, count }) and tag entries ({ tag, count })
+ */
+export const getSearchFacets = async (facetFilter) => {
+  const [result] = await Video.aggregate([
+    { $match: facetFilter },
+    {
+      $facet: {
+        channels: [
+          { $group: { _id: '$channelId', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_FACET_ENTRIES },
+          { $lookup: { from: 'channels', localField: '_id', foreignField: '_id', as: 'channel' } },
+          { $unwind: '$channel' },
+          { $project: { _id: 1, count: 1, channelName: '$channel.channelName' } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: { $toLower: '$tags' }, tag: { $first: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_FACET_ENTRIES },
+          { $project: { _id: 0, tag: 1, count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
@@ -0,0 +1,140 @@
+/**
+ * View Count Buffer
+ *
+ * Accumulates counted views in memory and writes them to the videos in
+ * batches of atomic `$inc` updates, so a popular video gets one write per
+ * flush instead of one per view, and view writes never touch the rest of
+ * the document (likes, dislikes). Responses add the pending views to the
+ * stored count (see getPendingViews) so counts stay fresh between flushes.
+ */
+
+import Video from '../models/Video.js';
+
+// Flush early once this many videos have pending views
+const MAX_PENDING_VIDEOS = 1000;
+
+// Pending view counts per video ID
+const pendingViews = new Map();
+
+// Whether the flusher is running; without it views are written right away
+let buffering = false;
+
+// Write of the flush in progress, so early flushes do not pile up
+let activeFlush = null;
+
+// Flush interval from config.env; an interval of 0 disables buffering
+const flushIntervalSeconds = parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS);
+const FLUSH_INTERVAL = (Number.isNaN(flushIntervalSeconds) ? 10 : flushIntervalSeconds) * 1000;
+
+/**
+ * Pending View Counter
+ *
+ * Number of counted views of a video not written to the database yet.
+ */
+export const getPendingViews = (videoId) => pendingViews.get(videoId.toString()) || 0;
+
+// Writes one batch of view counts, putting them back if the write fails
+const writeBatch = async (batch) => {
+  try {
+    await Video.bulkWrite(
+      [...batch].map(([videoId, count]) => ({
+        updateOne: { filter: { _id: videoId }, update: { $inc: { views: count } } }
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    batch.forEach((count, videoId) => {
+      pendingViews.set(videoId, (pendingViews.get(videoId) || 0) + count);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Pending View Writer
+ *
+ * Writes every pending view count in one bulk write with an `$inc` per
+ * video. Counts that fail to write are put back for the next flush.
+ *
+ * @returns {Promise<number>} Number of videos updated
+ */
+export const flushViewCounts = async () => {
+  if (pendingViews.size === 0) return 0;
+
+  // Take the pending counts; views counted meanwhile start a new batch
+  const batch = new Map(pendingViews);
+  pendingViews.clear();
+
+  activeFlush = writeBatch(batch);
+  try {
+    await activeFlush;
+    return batch.size;
+  } finally {
+    activeFlush = null;
+  }
+};
+
+/**
+ * Shutdown Flush
+ *
+ * Stops buffering and writes every pending view, after any flush in
+ * progress has finished. Called by the server before it exits; failures
+ * are logged.
+ */
+export const flushViewBuffer = async () => {
+  buffering = false;
+
+  try {
+    // A failed flush in progress puts its counts back before this one runs
+    await activeFlush?.catch(() => {});
+    await flushViewCounts();
+  } catch (error) {
+    console.error('View count flush error:', error);
+  }
+};
+
+/**
+ * View Adder
+ *
+ * Adds a counted view to the video's pending count, or writes it right away
+ * when buffering is off.
+ */
+export const addView = async (videoId) => {
+  if (!buffering) {
+    await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+    return;
+  }
+
+  const key = videoId.toString();
+  pendingViews.set(key, (pendingViews.get(key) || 0) + 1);
+
+  if (pendingViews.size >= MAX_PENDING_VIDEOS && !activeFlush) {
+    flushViewCounts().catch(error => console.error('View count flush error:', error));
+  }
+};
+
+/**
+ * Periodic Flusher Starter
+ *
+ * Turns on buffering and writes the pending views on the configured
+ * interval. The server writes the rest with flushViewBuffer when it stops.
+ * The timer does not keep the process alive.
+ */
+export const startViewCountFlusher = () => {
+  if (FLUSH_INTERVAL <= 0) return null;
+
+  buffering = true;
+
+  const run = async () => {
+    try {
+      await flushViewCounts();
+    } catch (error) {
+      console.error('View count flush error:', error);
+    }
+  };
+
+  const timer = setInterval(run, FLUSH_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
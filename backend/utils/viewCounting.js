@@ -0,0 +1,202 @@
+/**
+ * View Counting
+ *
+ * Decides whether a play reported by the video player counts as a view.
+ * A view counts once the viewer has watched a minimum amount of the video,
+ * and only once per viewer and video within a deduplication window, so
+ * reloads and replays do not inflate the count. Signed-in viewers are keyed
+ * by user ID. Anonymous viewers are keyed both by a viewer ID the server
+ * issues (in a signed viewer token their browser keeps) and by a fingerprint
+ * of their IP address and browser headers, so requesting fresh viewer IDs
+ * does not produce extra views. Each video load gets a signed view token
+ * recording when it was issued; reported watch time cannot exceed the time
+ * since then.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { body } from 'express-validator';
+import VideoView from '../models/VideoView.js';
+import { addView } from './viewBuffer.js';
+
+// Videos shorter than the minimum watch time count after this fraction of their length
+const SHORT_VIDEO_WATCH_FRACTION = 0.5;
+
+// Fastest playback speed offered by the player; reported watch time is
+// capped at this multiple of the time that has passed
+export const MAX_PLAYBACK_RATE = 2;
+
+// Lifetimes of view tokens (one video load) and anonymous viewer tokens
+const VIEW_TOKEN_TTL = '12h';
+const VIEWER_TOKEN_TTL = '365d';
+
+// Deduplication window and minimum watch time from config.env; a window of
+// 0 counts every qualifying play
+const dedupWindowMinutes = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES);
+const DEDUP_WINDOW = (Number.isNaN(dedupWindowMinutes) ? 24 * 60 : Math.max(0, dedupWindowMinutes)) * 60 * 1000;
+const minWatchSeconds = parseInt(process.env.VIEW_MIN_WATCH_SECONDS);
+const MIN_WATCH_SECONDS = Number.isNaN(minWatchSeconds) ? 30 : Math.max(0, minWatchSeconds);
+
+/**
+ * View Report Validation Rules
+ *
+ * Validates the body of POST /api/videos/:id/view.
+ */
+export const validateViewReport = [
+  body('watchedSeconds')
+    .isFloat({ min: 0 })
+    .withMessage('Watched seconds must be a non-negative number'),
+  body('viewToken')
+    .isString()
+    .withMessage('View token is required')
+];
+
+/**
+ * View Threshold
+ *
+ * Seconds of a video a viewer must watch before the view counts: the
+ * configured minimum, or a fraction of the length for shorter videos.
+ */
+export const getViewThreshold = (video) => {
+  if (video.durationSeconds > 0 && video.durationSeconds < MIN_WATCH_SECONDS) {
+    return Math.ceil(video.durationSeconds * SHORT_VIDEO_WATCH_FRACTION);
+  }
+  return MIN_WATCH_SECONDS;
+};
+
+/**
+ * Signed Token Reader
+ *
+ * Returns the decoded token if it is valid and issued for `purpose`,
+ * otherwise null.
+ */
+const readToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * View Token Issuer
+ *
+ * Issues the tokens returned with a video: a view token for this load of
+ * the video and, for anonymous viewers, a viewer token carrying their
+ * server-issued viewer ID. The ID of a valid viewer token sent in the
+ * X-Viewer-Token header is kept, so a browser stays the same viewer.
+ *
+ * @returns {{ viewToken: string, viewerToken?: string }}
+ */
+export const issueViewTokens = (videoId, req) => {
+  const viewerId = req.user
+    ? null
+    : readToken(req.get('x-viewer-token'), 'viewer')?.viewerId || crypto.randomUUID();
+
+  const tokens = {
+    viewToken: jwt.sign(
+      { purpose: 'view', videoId: videoId.toString(), viewerId },
+      process.env.JWT_SECRET,
+      { expiresIn: VIEW_TOKEN_TTL }
+    )
+  };
+  if (viewerId) {
+    tokens.viewerToken = jwt.sign({ purpose: 'viewer', viewerId }, process.env.JWT_SECRET, { expiresIn: VIEWER_TOKEN_TTL });
+  }
+  return tokens;
+};
+
+/**
+ * View Token Reader
+ *
+ * Decodes the view token of a view report for the given video, adding
+ * `elapsedSeconds` since it was issued. Returns null if it is invalid,
+ * expired or issued for another video.
+ */
+export const readViewToken = (token, videoId) => {
+  const decoded = readToken(token, 'view');
+  if (!decoded || decoded.videoId !== videoId.toString()) return null;
+  return { ...decoded, elapsedSeconds: Math.max(0, Date.now() / 1000 - decoded.iat) };
+};
+
+/**
+ * Credited Watch Time
+ *
+ * The reported watch time, capped at what could have been played since the
+ * view token was issued.
+ */
+export const getCreditedWatchTime = (watchedSeconds, viewToken) =>
+  Math.min(Number(watchedSeconds), viewToken.elapsedSeconds * MAX_PLAYBACK_RATE);
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+/**
+ * Viewer Keys
+ *
+ * Identifies the viewer of a view report: the signed-in user, or for
+ * anonymous viewers both their server-issued viewer ID and a fingerprint of
+ * the IP address, user agent and language. Anonymous identifiers are stored
+ * hashed. A view counts only if none of the keys had one counted recently.
+ */
+export const getViewerKeys = (req, viewToken) => {
+  if (req.user) return [`user:${req.user._id}`];
+
+  const fingerprint = [req.ip, req.get('user-agent'), req.get('accept-language')].join('|');
+  return [
+    `viewer:${hashKey(viewToken.viewerId || '')}`,
+    `fingerprint:${hashKey(fingerprint)}`
+  ];
+};
+
+/**
+ * Viewer Key Claim
+ *
+ * Starts a deduplication window for a viewer key. Returns false if the key
+ * already had a view counted within its window.
+ */
+const claimViewerKey = async (videoId, viewerKey, dedupWindow) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + dedupWindow);
+
+  // Renew a record whose window has passed but that MongoDB has not removed yet
+  const renewed = await VideoView.updateOne(
+    { video: videoId, viewerKey, expiresAt: { $lte: now } },
+    { $set: { countedAt: now, expiresAt } }
+  );
+  if (renewed.modifiedCount > 0) return true;
+
+  try {
+    await VideoView.create({ video: videoId, viewerKey, countedAt: now, expiresAt });
+    return true;
+  } catch (error) {
+    // The viewer's view is still within the window
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * View Recorder
+ *
+ * Counts a view of a video unless any of the viewer's keys already had one
+ * counted within the deduplication window. The increment is buffered and
+ * written in a batch (see utils/viewBuffer.js).
+ *
+ * @param {Object} videoId - Video that was watched
+ * @param {string[]} viewerKeys - Viewer keys from getViewerKeys
+ * @returns {Promise<boolean>} Whether the view was counted
+ */
+export const recordView = async (videoId, viewerKeys) => {
+  if (DEDUP_WINDOW > 0) {
+    // Claim every key (not just the first free one) so each starts its window
+    const claims = [];
+    for (const viewerKey of viewerKeys) {
+      claims.push(await claimViewerKey(videoId, viewerKey, DEDUP_WINDOW));
+    }
+    if (claims.includes(false)) return false;
+  }
+
+  await addView(videoId);
+  return true;
+};
@@ -12,11 +12,19 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Header from './components/Header';
 import Sidebar from './components/Sidebar';
 import Home from './pages/Home';
+import Trending from './pages/Trending';
+import Category from './pages/Category';
+import SearchResults from './pages/SearchResults';
 import VideoPlayer from './pages/VideoPlayer';
 import Channel from './pages/Channel';
+import ChannelAnalytics from './pages/ChannelAnalytics';
 import Channels from './pages/Channels';
 import Auth from './pages/Auth';
 import Upload from './pages/Upload';
+import Playlist from './pages/Playlist';
+import WatchLater from './pages/WatchLater';
+import History from './pages/History';
+import LikedVideos from './pages/LikedVideos';
 import './App.css';
 
 /**
@@ -61,14 +69,30 @@ function AppContent() {
           <Routes>
             <Route path="/" element={<Home />} />
 
+            <Route path="/trending" element={<Trending />} />
+
+            <Route path="/category/:slug" element={<Category />} />
+
+            <Route path="/results" element={<SearchResults />} />
+
             <Route path="/video/:videoId" element={<VideoPlayer />} />
 
             <Route path="/channel/:channelId" element={<Channel />} />
 
+            <Route path="/channel/:channelId/analytics" element={<ChannelAnalytics />} />
+
             <Route path="/channels" element={<Channels />} />
 
             <Route path="/upload" element={<Upload />} />
 
+            <Route path="/playlist/:playlistId" element={<Playlist />} />
+
+            <Route path="/watch-later" element={<WatchLater />} />
+
+            <Route path="/history" element={<History />} />
+
+            <Route path="/liked" element={<LikedVideos />} />
+
             <Route path="/auth" element={<Auth />} />
           </Routes>
         </div>
@@ -9,6 +9,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import ProfileIcon from './ProfileIcon';
+import config from '../config.js';
 import './ChannelCard.css';
 
 /**
@@ -39,7 +40,7 @@ const ChannelCard = ({ channel }) => {
       {/* Channel banner image section */}
       <div className="channel-card__banner">
         <img 
-          src={channel.channelBanner || 'https://picsum.photos/400/100?random=30'} 
+          src={config.getMediaUrl(channel.channelBanner) || 'https://picsum.photos/400/100?random=30'} 
           alt={`${channel.channelName} banner`}
         />
       </div>
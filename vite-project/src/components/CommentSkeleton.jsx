@@ -0,0 +1,20 @@
+/**
+ * CommentSkeleton Component
+ *
+ * Grey placeholder with the shape of a Comment, shown in the comment list
+ * while a page of comments is loading.
+ */
+
+import './Skeleton.css';
+
+const CommentSkeleton = () => (
+  <div className="skeleton-comment" aria-hidden="true">
+    <div className="skeleton skeleton-comment__avatar"></div>
+    <div className="skeleton-comment__body">
+      <div className="skeleton skeleton__line skeleton__line--short"></div>
+      <div className="skeleton skeleton__line"></div>
+    </div>
+  </div>
+);
+
+export default CommentSkeleton;
@@ -3,13 +3,14 @@
  * 
  * Form component for creating new channels or editing existing ones.
  * Supports both creation and edit modes with form validation and API integration.
- * Includes channel name, description, category, and optional banner URL fields.
+ * Includes channel name, description, category, and an optional banner image or URL.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import config from '../config.js';
+import { useCategories } from '../utils/categories.js';
 import './CreateChannel.css';
 
 /**
@@ -31,6 +32,9 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
     channelBanner: ''
   });
 
+  // Optional banner image file (takes precedence over the banner URL)
+  const [bannerFile, setBannerFile] = useState(null);
+
   // UI state management
   const [loading, setLoading] = useState(false); // Loading state for API calls
   const [error, setError] = useState(''); // Error message display
@@ -38,13 +42,9 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
   /**
    * Available Channel Categories
    * 
-   * Predefined list of channel categories for users to choose from.
-   * Provides consistent categorization across the platform.
+   * Category list loaded from the API, shared by videos and channels.
    */
-  const categories = [
-    'Gaming', 'Education', 'Entertainment', 'Technology', 'Music',
-    'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'
-  ];
+  const categories = useCategories();
 
   /**
    * Form Initialization Effect
@@ -58,7 +58,8 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
         channelName: channelToEdit.channelName || '',
         description: channelToEdit.description || '',
         category: channelToEdit.category || 'Technology',
-        channelBanner: channelToEdit.channelBanner || ''
+        // Uploaded banners are server paths, not editable URLs
+        channelBanner: channelToEdit.bannerFile?.path ? '' : channelToEdit.channelBanner || ''
       });
     }
   }, [editMode, channelToEdit]);
@@ -77,11 +78,36 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
     }));
   };
 
+  /**
+   * Banner File Change Handler
+   * 
+   * Validates the selected banner image's type and size before accepting it.
+   */
+  const handleBannerChange = (e) => {
+    const file = e.target.files[0] || null;
+
+    if (file) {
+      if (!config.UPLOAD_LIMITS.IMAGE_TYPES.includes(file.type)) {
+        setError('Banner must be a JPEG, PNG or WebP image');
+        e.target.value = '';
+        return;
+      }
+      if (file.size > config.UPLOAD_LIMITS.MAX_IMAGE_SIZE) {
+        setError(`Banner cannot exceed ${Math.round(config.UPLOAD_LIMITS.MAX_IMAGE_SIZE / (1024 * 1024))} MB`);
+        e.target.value = '';
+        return;
+      }
+    }
+
+    setError('');
+    setBannerFile(file);
+  };
+
   /**
    * Form Submission Handler
    * 
    * Processes form submission for both create and edit modes.
-   * Sends API requests and handles success/error responses.
+   * Sends the fields as multipart form data so a banner image can be included.
    * Updates parent component state on successful operations.
    */
   const handleSubmit = async (e) => {
@@ -92,9 +118,16 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
     try {
       let response;
 
+      // Build multipart payload with the optional banner image
+      const payload = new FormData();
+      Object.entries(formData).forEach(([key, value]) => payload.append(key, value));
+      if (bannerFile) {
+        payload.append('banner', bannerFile);
+      }
+
       if (editMode) {
         // Update existing channel via PUT request
-        response = await axios.put(`${config.API_BASE_URL}${config.API_ENDPOINTS.CHANNELS.BASE}/${channelToEdit._id}`, formData, {
+        response = await axios.put(`${config.API_BASE_URL}${config.API_ENDPOINTS.CHANNELS.BASE}/${channelToEdit._id}`, payload, {
           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
         });
 
@@ -103,7 +136,7 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
         }
       } else {
         // Create new channel via POST request
-        response = await axios.post(`${config.API_BASE_URL}${config.API_ENDPOINTS.CHANNELS.CREATE}`, formData, {
+        response = await axios.post(`${config.API_BASE_URL}${config.API_ENDPOINTS.CHANNELS.CREATE}`, payload, {
           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
         });
 
@@ -187,14 +220,27 @@ const CreateChannel = ({ onChannelCreated, onChannelUpdated, onCancel, editMode
             required
           >
             {categories.map(category => (
-              <option key={category} value={category}>
-                {category}
+              <option key={category.slug} value={category.label}>
+                {category.label}
               </option>
             ))}
           </select>
         </div>
 
-        {/* Optional banner URL input */}
+        {/* Optional banner image upload */}
+        <div className="create-channel__field">
+          <label htmlFor="banner">Banner Image (Optional)</label>
+          <input
+            type="file"
+            id="banner"
+            name="banner"
+            accept={config.UPLOAD_LIMITS.IMAGE_TYPES.join(',')}
+            onChange={handleBannerChange}
+          />
+          <small>JPEG, PNG or WebP, up to {Math.round(config.UPLOAD_LIMITS.MAX_IMAGE_SIZE / (1024 * 1024))} MB</small>
+        </div>
+
+        {/* Optional banner URL input (used when no image is uploaded) */}
         <div className="create-channel__field">
           <label htmlFor="channelBanner">Banner URL (Optional)</label>
           <input
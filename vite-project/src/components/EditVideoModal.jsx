@@ -1,7 +1,7 @@
 /**
  * EditVideoModal Component
  * 
- * Modal component for editing video metadata including title, description, and thumbnail.
+ * Modal component for editing video metadata including title, description, visibility and thumbnail.
  * Provides form validation, API integration, and thumbnail preview functionality.
  * Supports real-time thumbnail URL validation and error handling.
  */
@@ -23,6 +23,7 @@ const EditVideoModal = ({ video, onVideoUpdated, onCancel }) => {
   const [editData, setEditData] = useState({
     title: video.title,
     description: video.description,
+    visibility: video.visibility || 'public',
     thumbnailUrl: video.thumbnailUrl || ''
   });
 
@@ -119,11 +120,30 @@ const EditVideoModal = ({ video, onVideoUpdated, onCancel }) => {
           />
         </div>
 
+        {/* Visibility selection with explanation of the chosen option */}
+        <div className="edit-video-modal__field">
+          <label htmlFor="visibility">Visibility</label>
+          <select
+            id="visibility"
+            name="visibility"
+            value={editData.visibility}
+            onChange={handleChange}
+          >
+            {config.VISIBILITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <small>{config.VISIBILITY_OPTIONS.find(option => option.value === editData.visibility)?.description}</small>
+        </div>
+
         {/* Thumbnail URL input with preview */}
         <div className="edit-video-modal__field">
           <label htmlFor="thumbnail">Thumbnail URL</label>
+          {/* Text input since uploaded thumbnails are stored as server-relative paths */}
           <input
-            type="url"
+            type="text"
             id="thumbnail"
             name="thumbnailUrl"
             value={editData.thumbnailUrl}
@@ -135,7 +155,7 @@ const EditVideoModal = ({ video, onVideoUpdated, onCancel }) => {
             <div className="edit-video-modal__thumbnail-preview">
               {/* Thumbnail image with error handling */}
               <img
-                src={editData.thumbnailUrl}
+                src={config.getMediaUrl(editData.thumbnailUrl)}
                 alt="Thumbnail preview"
                 onError={(e) => {
                   // Hide broken image and show error message
@@ -2,15 +2,32 @@
  * Header Component
  * 
  * Main navigation header that provides search functionality, user authentication,
- * and navigation controls. Includes sidebar toggle, search bar, and user profile
- * dropdown with various actions.
+ * and navigation controls. Includes sidebar toggle, search bar with autocomplete
+ * suggestions and recent searches, and user profile dropdown with various actions.
  */
 
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import config from '../config.js';
+import { fetchSearchSuggestions, saveRecentSearch, removeRecentSearch } from '../utils/search.js';
 import './Header.css';
 
+// Milliseconds to wait after the last keystroke before fetching suggestions
+const SUGGESTION_DELAY = 250;
+
+// Most recent searches shown above the suggestions
+const MAX_RECENT_SHOWN = 5;
+
+// Icons shown next to each kind of dropdown entry
+const SUGGESTION_ICONS = {
+  recent: '🕘',
+  video: '🔍',
+  tag: '🔍',
+  channel: '📺'
+};
+
 /**
  * Header Component
  * 
@@ -21,16 +38,27 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
   // Local state management
   const [searchQuery, setSearchQuery] = useState(''); // Search input value
   const [showDropdown, setShowDropdown] = useState(false); // Profile dropdown visibility
+  const [suggestions, setSuggestions] = useState([]); // Autocomplete suggestions for the typed text
+  const [showSuggestions, setShowSuggestions] = useState(false); // Search dropdown visibility
+  const [activeIndex, setActiveIndex] = useState(-1); // Keyboard-highlighted search dropdown entry
   
   // Refs and hooks
   const dropdownRef = useRef(null); // Reference for dropdown click outside detection
+  const searchRef = useRef(null); // Reference for search dropdown click outside detection
+  const avatarInputRef = useRef(null); // Hidden file input for avatar uploads
   const navigate = useNavigate(); // React Router navigation hook
-  const { logout } = useAuth(); // Authentication context logout function
+  const { logout, updateUser } = useAuth(); // Authentication context functions
+
+  // Uploaded avatar image, if any (default avatars fall back to the initial)
+  const avatarUrl = user?.avatarFile?.path ? config.getMediaUrl(user.avatar) : null;
+  const avatarContent = avatarUrl
+    ? <img src={avatarUrl} alt={user.username} />
+    : user?.username?.charAt(0)?.toUpperCase() || 'U';
 
   /**
    * Click Outside Effect
    * 
-   * Closes the profile dropdown when clicking outside of it.
+   * Closes the profile and search dropdowns when clicking outside of them.
    * Improves user experience by automatically hiding dropdowns.
    */
   useEffect(() => {
@@ -38,6 +66,9 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
       if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
         setShowDropdown(false);
       }
+      if (searchRef.current && !searchRef.current.contains(event.target)) {
+        setShowSuggestions(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
@@ -46,16 +77,136 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
     };
   }, []);
 
+  /**
+   * Suggestions Effect
+   * 
+   * Fetches autocomplete suggestions once typing pauses. Responses for
+   * text that has since changed are ignored.
+   */
+  useEffect(() => {
+    const prefix = searchQuery.trim();
+    if (!prefix) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetchSearchSuggestions(prefix)
+        .then(list => {
+          if (!cancelled) setSuggestions(list);
+        })
+        .catch(error => console.error('Error fetching search suggestions:', error));
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  // Search dropdown entries: matching recent searches first, then suggestions
+  const typedPrefix = searchQuery.trim().toLowerCase();
+  const recentItems = (isAuthenticated ? user?.recentSearches || [] : [])
+    .filter(query => query.toLowerCase().startsWith(typedPrefix))
+    .slice(0, MAX_RECENT_SHOWN)
+    .map(query => ({ type: 'recent', text: query }));
+  const searchItems = [
+    ...recentItems,
+    ...(typedPrefix ? suggestions : []).filter(suggestion =>
+      !recentItems.some(item => item.text.toLowerCase() === suggestion.text.toLowerCase())
+    )
+  ];
+
+  /**
+   * Search Runner
+   * 
+   * Navigates to the search results page for the query and remembers the
+   * query in the signed-in user's recent searches.
+   */
+  const runSearch = (text) => {
+    const query = text.trim();
+    if (!query) return;
+
+    setSearchQuery(query);
+    setShowSuggestions(false);
+    setActiveIndex(-1);
+    navigate(`/results?q=${encodeURIComponent(query)}`);
+
+    if (isAuthenticated) {
+      saveRecentSearch(query)
+        .then(searches => updateUser({ recentSearches: searches }))
+        .catch(error => console.error('Error saving recent search:', error));
+    }
+  };
+
+  /**
+   * Search Dropdown Selection Handler
+   * 
+   * Opens the channel for channel suggestions; searches for anything else.
+   */
+  const selectSearchItem = (item) => {
+    if (item.type === 'channel') {
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+      navigate(`/channel/${item.channelId}`);
+    } else {
+      runSearch(item.text);
+    }
+  };
+
   /**
    * Search Form Handler
    * 
-   * Processes search form submission and navigates to home page
-   * with search query parameters for video filtering.
+   * Processes search form submission: selects the highlighted dropdown entry,
+   * or searches for the typed text.
    */
   const handleSearch = (e) => {
     e.preventDefault();
-    if (searchQuery.trim()) {
-      navigate(`/?search=${encodeURIComponent(searchQuery.trim())}`);
+    if (showSuggestions && searchItems[activeIndex]) {
+      selectSearchItem(searchItems[activeIndex]);
+    } else {
+      runSearch(searchQuery);
+    }
+  };
+
+  /**
+   * Search Keyboard Handler
+   * 
+   * Arrow keys move through the dropdown entries and Escape closes it;
+   * Enter submits the form (see handleSearch).
+   */
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+      return;
+    }
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+    e.preventDefault();
+    setShowSuggestions(true);
+    if (searchItems.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      setActiveIndex(index => (index + 1) % searchItems.length);
+    } else {
+      setActiveIndex(index => (index <= 0 ? searchItems.length - 1 : index - 1));
+    }
+  };
+
+  /**
+   * Recent Search Removal Handler
+   * 
+   * Removes an entry from the user's recent searches without selecting it.
+   */
+  const handleRemoveRecent = async (e, query) => {
+    e.stopPropagation();
+    try {
+      updateUser({ recentSearches: await removeRecentSearch(query) });
+      setActiveIndex(-1);
+    } catch (error) {
+      console.error('Error removing recent search:', error);
     }
   };
 
@@ -107,6 +258,40 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
       navigate('/channels');
     } else if (action === 'upload') {
       navigate('/upload');
+    } else if (action === 'avatar') {
+      avatarInputRef.current?.click();
+    }
+  };
+
+  /**
+   * Avatar Upload Handler
+   * 
+   * Validates the selected image and uploads it as the user's profile picture.
+   */
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!config.UPLOAD_LIMITS.IMAGE_TYPES.includes(file.type)) {
+      alert('Avatar must be a JPEG, PNG or WebP image');
+      return;
+    }
+    if (file.size > config.UPLOAD_LIMITS.MAX_IMAGE_SIZE) {
+      alert(`Avatar cannot exceed ${Math.round(config.UPLOAD_LIMITS.MAX_IMAGE_SIZE / (1024 * 1024))} MB`);
+      return;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('avatar', file);
+      const response = await axios.put(config.getApiUrl(config.API_ENDPOINTS.AUTH.AVATAR), formData, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      updateUser({ avatar: response.data.avatar, avatarFile: response.data.avatarFile });
+    } catch (error) {
+      console.error('Error uploading avatar:', error);
+      alert(error.response?.data?.message || 'Failed to upload avatar');
     }
   };
 
@@ -140,15 +325,26 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
       </div>
 
       {/* Center section: Search functionality */}
-      <div className="header__center">
+      <div className="header__center" ref={searchRef}>
         <form className="header__search" onSubmit={handleSearch}>
-          {/* Search input field */}
+          {/* Search input field with autocomplete */}
           <input
             type="text"
             placeholder="Search"
             value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setShowSuggestions(true);
+              setActiveIndex(-1);
+            }}
+            onFocus={() => setShowSuggestions(true)}
+            onKeyDown={handleSearchKeyDown}
             className="header__search-input"
+            autoComplete="off"
+            role="combobox"
+            aria-expanded={showSuggestions && searchItems.length > 0}
+            aria-controls="header-search-suggestions"
+            aria-activedescendant={activeIndex >= 0 ? `header-search-suggestion-${activeIndex}` : undefined}
           />
           {/* Search submit button */}
           <button type="submit" className="header__search-btn">
@@ -157,6 +353,38 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
             </svg>
           </button>
         </form>
+
+        {/* Recent searches and suggestions dropdown */}
+        {showSuggestions && searchItems.length > 0 && (
+          <ul className="header__suggestions" id="header-search-suggestions" role="listbox">
+            {searchItems.map((item, index) => (
+              <li
+                key={`${item.type}-${item.text}`}
+                id={`header-search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`header__suggestion ${index === activeIndex ? 'header__suggestion--active' : ''} ${item.type === 'recent' ? 'header__suggestion--recent' : ''}`}
+                onMouseDown={(e) => e.preventDefault()} // Keep focus in the search input
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => selectSearchItem(item)}
+              >
+                <span className="header__suggestion-icon">{SUGGESTION_ICONS[item.type]}</span>
+                <span className="header__suggestion-text">{item.text}</span>
+                {item.type === 'channel' && <span className="header__suggestion-type">Channel</span>}
+                {item.type === 'recent' && (
+                  <button
+                    type="button"
+                    className="header__suggestion-remove"
+                    onClick={(e) => handleRemoveRecent(e, item.text)}
+                    title="Remove from recent searches"
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
 
       {/* Right section: User controls and authentication */}
@@ -190,8 +418,17 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
               className="header__profile-icon"
               onClick={toggleDropdown}
             >
-              {user?.username?.charAt(0)?.toUpperCase() || 'U'}
+              {avatarContent}
             </div>
+
+            {/* Hidden avatar file picker opened from the dropdown */}
+            <input
+              type="file"
+              ref={avatarInputRef}
+              accept={config.UPLOAD_LIMITS.IMAGE_TYPES.join(',')}
+              onChange={handleAvatarChange}
+              hidden
+            />
             
             {/* Profile dropdown menu */}
             {showDropdown && (
@@ -199,7 +436,7 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
                 {/* User info section */}
                 <div className="header__dropdown-item header__dropdown-user">
                   <div className="header__dropdown-avatar">
-                    {user?.username?.charAt(0)?.toUpperCase() || 'U'}
+                    {avatarContent}
                   </div>
                   <div className="header__dropdown-info">
                     <div className="header__dropdown-username">{user?.username}</div>
@@ -229,6 +466,17 @@ const Header = ({ toggleSidebar, isAuthenticated, user }) => {
                   Upload Video
                 </button>
                 
+                {/* Change avatar option */}
+                <button 
+                  className="header__dropdown-item header__dropdown-button"
+                  onClick={() => handleDropdownClick('avatar')}
+                >
+                  <svg viewBox="0 0 24 24" fill="currentColor" className="header__dropdown-icon">
+                    <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
+                  </svg>
+                  Change Avatar
+                </button>
+                
                 {/* Visual separator */}
                 <div className="header__dropdown-separator"></div>
                 
@@ -0,0 +1,179 @@
+/**
+ * SaveToPlaylistModal Component
+ *
+ * Dialog for saving a video to the user's playlists. Lists every playlist with a
+ * checkbox showing whether it already contains the video, and lets the user
+ * create a new playlist with the video in it.
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import config from '../config.js';
+import './SaveToPlaylistModal.css';
+
+/**
+ * SaveToPlaylistModal Component
+ *
+ * Toggling a checkbox adds the video to or removes it from that playlist
+ * immediately; the new playlist form creates the playlist with the video added.
+ */
+const SaveToPlaylistModal = ({ videoId, onClose }) => {
+  // Playlist data state
+  const [playlists, setPlaylists] = useState([]); // User's playlists with containsVideo flags
+  const [newPlaylist, setNewPlaylist] = useState({ title: '', visibility: 'private' }); // New playlist form
+  const [showCreateForm, setShowCreateForm] = useState(false); // New playlist form visibility
+
+  // UI state management
+  const [loading, setLoading] = useState(true); // Loading state for the playlist list
+  const [savingId, setSavingId] = useState(null); // Playlist currently being updated
+  const [error, setError] = useState(''); // Error message display
+
+  /**
+   * Playlists Loading Effect
+   *
+   * Fetches the user's playlists, each flagged with whether it contains the video.
+   */
+  useEffect(() => {
+    axios.get(`${config.API_BASE_URL}${config.API_ENDPOINTS.PLAYLISTS.MINE}`, {
+      params: { videoId },
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    })
+      .then(response => setPlaylists(response.data.playlists))
+      .catch(() => setError('Failed to load playlists'))
+      .finally(() => setLoading(false));
+  }, [videoId]);
+
+  /**
+   * Playlist Toggle Handler
+   *
+   * Adds the video to or removes it from a playlist and updates the checkbox state.
+   */
+  const handleToggle = async (playlist) => {
+    setSavingId(playlist._id);
+    setError('');
+
+    try {
+      const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+      const response = playlist.containsVideo
+        ? await axios.delete(`${config.API_BASE_URL}${config.API_ENDPOINTS.PLAYLISTS.VIDEO(playlist._id, videoId)}`, { headers })
+        : await axios.post(`${config.API_BASE_URL}${config.API_ENDPOINTS.PLAYLISTS.VIDEOS(playlist._id)}`, { videoId }, { headers });
+
+      setPlaylists(prev => prev.map(item => (item._id === playlist._id ? response.data.playlist : item)));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update playlist');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * New Playlist Submission Handler
+   *
+   * Creates a playlist containing the video and adds it to the top of the list.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newPlaylist.title.trim()) return;
+
+    setSavingId('new');
+    setError('');
+
+    try {
+      const response = await axios.post(`${config.API_BASE_URL}${config.API_ENDPOINTS.PLAYLISTS.BASE}`, {
+        ...newPlaylist,
+        videoId
+      }, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+
+      setPlaylists(prev => [response.data.playlist, ...prev]);
+      setNewPlaylist({ title: '', visibility: 'private' });
+      setShowCreateForm(false);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create playlist');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="save-playlist-modal__overlay" onClick={onClose}>
+      <div className="save-playlist-modal" onClick={(e) => e.stopPropagation()}>
+        {/* Modal header with title and close button */}
+        <div className="save-playlist-modal__header">
+          <h2>Save to playlist</h2>
+          <button
+            onClick={onClose}
+            className="save-playlist-modal__close"
+            type="button"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Playlist checkboxes */}
+        <div className="save-playlist-modal__list">
+          {loading && <p className="save-playlist-modal__empty">Loading playlists...</p>}
+          {!loading && playlists.length === 0 && (
+            <p className="save-playlist-modal__empty">You don't have any playlists yet</p>
+          )}
+          {playlists.map(playlist => (
+            <label key={playlist._id} className="save-playlist-modal__item">
+              <input
+                type="checkbox"
+                checked={Boolean(playlist.containsVideo)}
+                disabled={savingId === playlist._id}
+                onChange={() => handleToggle(playlist)}
+              />
+              <span className="save-playlist-modal__title">{playlist.title}</span>
+              <span className="save-playlist-modal__meta">
+                {config.VISIBILITY_OPTIONS.find(option => option.value === playlist.visibility)?.label}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        {/* Error message display */}
+        {error && <p className="save-playlist-modal__error">{error}</p>}
+
+        {/* New playlist form (collapsed behind a button until needed) */}
+        {showCreateForm ? (
+          <form className="save-playlist-modal__form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newPlaylist.title}
+              onChange={(e) => setNewPlaylist(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="Playlist title"
+              maxLength={150}
+              required
+              autoFocus
+            />
+            <select
+              value={newPlaylist.visibility}
+              onChange={(e) => setNewPlaylist(prev => ({ ...prev, visibility: e.target.value }))}
+            >
+              {config.VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="save-playlist-modal__btn" disabled={savingId === 'new'}>
+              {savingId === 'new' ? 'Creating...' : 'Create'}
+            </button>
+          </form>
+        ) : (
+          <button
+            type="button"
+            className="save-playlist-modal__new"
+            onClick={() => setShowCreateForm(true)}
+          >
+            + Create new playlist
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SaveToPlaylistModal;
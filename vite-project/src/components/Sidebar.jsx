@@ -8,6 +8,7 @@
 
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useCategories } from '../utils/categories.js';
 import './Sidebar.css';
 
 /**
@@ -21,6 +22,8 @@ const Sidebar = ({ isOpen }) => {
   const navigate = useNavigate();
   // Authentication context to check user login status
   const { isAuthenticated } = useAuth();
+  // Content categories for the category links
+  const categories = useCategories();
 
   /**
    * Navigation Items Configuration
@@ -37,20 +40,16 @@ const Sidebar = ({ isOpen }) => {
     { icon: '📺', label: 'Subscriptions', path: '/subscriptions', auth: true },
     { icon: '📚', label: 'Library', path: '/library', auth: true },
     { icon: '⏰', label: 'History', path: '/history', auth: true },
+    { icon: '🕒', label: 'Watch Later', path: '/watch-later', auth: true },
     { icon: '👍', label: 'Liked Videos', path: '/liked', auth: true },
     { icon: '📤', label: 'Upload Video', path: '/upload', auth: true },
     
-    // Category-based navigation items
-    { icon: '🎵', label: 'Music', path: '/music' },
-    { icon: '🎮', label: 'Gaming', path: '/gaming' },
-    { icon: '📰', label: 'News', path: '/news' },
-    { icon: '🏃', label: 'Sports', path: '/sports' },
-    { icon: '🍳', label: 'Cooking', path: '/cooking' },
-    { icon: '✈️', label: 'Travel', path: '/travel' },
-    { icon: '💪', label: 'Fitness', path: '/fitness' },
-    { icon: '🎭', label: 'Entertainment', path: '/entertainment' },
-    { icon: '🔬', label: 'Science', path: '/science' },
-    { icon: '🎓', label: 'Education', path: '/education' }
+    // Category-based navigation items, loaded from the API
+    ...categories.map(category => ({
+      icon: category.icon,
+      label: category.label,
+      path: `/category/${category.slug}`
+    }))
   ];
 
   /**
@@ -3,12 +3,16 @@
  * 
  * Displays video information in a card format for video listings and search results.
  * Shows thumbnail, title, channel info, view count, and upload date.
- * Handles image loading states and fallback thumbnails.
+ * Handles image loading states and fallback thumbnails, and offers a one-click
+ * "Watch later" button to signed-in users.
  */
 
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import ProfileIcon from './ProfileIcon';
+import config from '../config.js';
+import { isInWatchLater, toggleWatchLater } from '../utils/watchLater.js';
 import './VideoCard.css';
 
 /**
@@ -16,13 +20,34 @@ import './VideoCard.css';
  * 
  * Individual video card component that displays video metadata and navigates
  * to the video player page when clicked. Includes responsive image loading
- * and realistic duration generation for videos without duration data.
+ * and a duration overlay for videos with a known duration.
  */
 const VideoCard = ({ video }) => {
   // Navigation hook for programmatic routing to video player
   const navigate = useNavigate();
   // State to track thumbnail image loading status
   const [imageLoaded, setImageLoaded] = useState(false);
+  // Signed-in user and their Watch Later queue
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const [savingWatchLater, setSavingWatchLater] = useState(false);
+  const savedForLater = isInWatchLater(user, video._id);
+
+  /**
+   * Watch Later Click Handler
+   * 
+   * Adds the video to (or removes it from) Watch Later without opening it.
+   */
+  const handleWatchLater = async (e) => {
+    e.stopPropagation();
+    setSavingWatchLater(true);
+    try {
+      updateUser({ watchLater: await toggleWatchLater(video._id, savedForLater) });
+    } catch (error) {
+      console.error('Failed to update Watch Later:', error);
+    } finally {
+      setSavingWatchLater(false);
+    }
+  };
 
   /**
    * Video Card Click Handler
@@ -68,47 +93,12 @@ const VideoCard = ({ video }) => {
     return `${Math.ceil(diffDays / 365)} years ago`;
   };
 
-  /**
-   * Duration Generator
-   * 
-   * Generates realistic video duration for videos without duration metadata.
-   * Uses video ID hash to create consistent, realistic durations between 2:30 and 15:45.
-   */
-  const getRealisticDuration = (video) => {
-    // If video has a real duration, use it
-    if (video.duration && video.duration !== '0:00') {
-      return video.duration;
-    }
-    
-    // Generate realistic duration based on video properties
-    // Use video ID to generate consistent duration for same video
-    let hash = 0;
-    for (let i = 0; i < video._id.toString().length; i++) {
-      const char = video._id.toString().charCodeAt(i);
-      hash = ((hash << 5) - hash + char) >>> 0; // Use >>> 0 to ensure positive
-    }
-    
-    // Generate duration between 2:30 and 15:45 (realistic YouTube video lengths)
-    const baseMinutes = 2 + (hash % 14); // 2-15 minutes
-    const baseSeconds = hash % 60; // 0-59 seconds
-    
-    // Ensure positive values
-    const minutes = Math.abs(baseMinutes);
-    const seconds = Math.abs(baseSeconds);
-    
-    // Format as MM:SS
-    const formattedMinutes = minutes.toString().padStart(2, '0');
-    const formattedSeconds = seconds.toString().padStart(2, '0');
-    
-    return `${formattedMinutes}:${formattedSeconds}`;
-  };
-
   return (
     <div className="video-card" onClick={handleClick}>
       {/* Video thumbnail section with duration overlay */}
       <div className="video-card__thumbnail">
         <img 
-          src={video.thumbnailUrl} 
+          src={config.getMediaUrl(video.thumbnailUrl)} 
           alt={video.title}
           loading="lazy"
           onLoad={() => setImageLoaded(true)}
@@ -119,8 +109,34 @@ const VideoCard = ({ video }) => {
           }}
           style={{ opacity: imageLoaded ? 1 : 0.7, transition: 'opacity 0.3s ease' }}
         />
-        {/* Video duration overlay on thumbnail */}
-        <div className="video-card__duration">{getRealisticDuration(video)}</div>
+        {/* One-click Watch Later toggle for signed-in users */}
+        {isAuthenticated && (
+          <button
+            type="button"
+            className={`video-card__watch-later ${savedForLater ? 'video-card__watch-later--saved' : ''}`}
+            onClick={handleWatchLater}
+            disabled={savingWatchLater}
+            title={savedForLater ? 'Remove from Watch later' : 'Watch later'}
+          >
+            {savedForLater ? '✓' : '🕒'}
+          </button>
+        )}
+        {/* Video duration overlay on thumbnail - hidden when the duration is unknown */}
+        {video.duration && video.duration !== '0:00' && (
+          <div className="video-card__duration">{video.duration}</div>
+        )}
+        {/* Scheduled badge for videos waiting for their publish time (only shown to their owner) */}
+        {video.scheduled && (
+          <div className="video-card__badge video-card__badge--scheduled" title={new Date(video.publishAt).toLocaleString()}>
+            Scheduled
+          </div>
+        )}
+        {/* Visibility badge for unlisted and private videos (only shown to their owner) */}
+        {!video.scheduled && video.visibility && video.visibility !== 'public' && (
+          <div className={`video-card__badge video-card__badge--${video.visibility}`}>
+            {video.visibility === 'private' ? 'Private' : 'Unlisted'}
+          </div>
+        )}
       </div>
       
       {/* Video information section below thumbnail */}
@@ -141,11 +157,15 @@ const VideoCard = ({ video }) => {
           <h3 className="video-card__title">{video.title}</h3>
           {/* Channel name */}
           <p className="video-card__channel">{video.channelId?.channelName || 'Unknown Channel'}</p>
-          {/* View count and upload date */}
+          {/* View count and upload date (or publish date for scheduled videos) */}
           <div className="video-card__stats">
             <span>{formatViews(video.views)} views</span>
             <span>•</span>
-            <span>{formatDate(video.uploadDate)}</span>
+            <span>
+              {video.scheduled
+                ? `Publishes ${new Date(video.publishAt).toLocaleDateString()}`
+                : formatDate(video.uploadDate)}
+            </span>
           </div>
         </div>
       </div>
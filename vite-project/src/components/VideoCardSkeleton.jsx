@@ -0,0 +1,23 @@
+/**
+ * VideoCardSkeleton Component
+ *
+ * Grey placeholder with the shape of a VideoCard, shown in video grids
+ * while a page of videos is loading.
+ */
+
+import './Skeleton.css';
+
+const VideoCardSkeleton = () => (
+  <div className="skeleton-card" aria-hidden="true">
+    <div className="skeleton skeleton-card__thumbnail"></div>
+    <div className="skeleton-card__info">
+      <div className="skeleton skeleton-card__avatar"></div>
+      <div className="skeleton-card__details">
+        <div className="skeleton skeleton__line"></div>
+        <div className="skeleton skeleton__line skeleton__line--short"></div>
+      </div>
+    </div>
+  </div>
+);
+
+export default VideoCardSkeleton;
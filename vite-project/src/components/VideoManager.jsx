@@ -10,6 +10,7 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import config from '../config.js';
+import { useCategories } from '../utils/categories.js';
 import './VideoManager.css';
 
 /**
@@ -39,13 +40,9 @@ const VideoManager = ({ video, onVideoUpdate, onVideoDelete }) => {
   /**
    * Available Video Categories
    * 
-   * Predefined list of video categories for consistent classification.
-   * Matches the categories used in other components for consistency.
+   * Category list loaded from the API, shared by videos and channels.
    */
-  const categories = [
-    'Gaming', 'Education', 'Entertainment', 'Technology', 'Music', 
-    'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'
-  ];
+  const categories = useCategories();
 
   /**
    * Form Input Change Handler
@@ -197,8 +194,8 @@ const VideoManager = ({ video, onVideoUpdate, onVideoDelete }) => {
               required
             >
               {categories.map(category => (
-                <option key={category} value={category}>
-                  {category}
+                <option key={category.slug} value={category.label}>
+                  {category.label}
                 </option>
               ))}
             </select>
@@ -14,13 +14,19 @@ const config = {
     AUTH: {
       LOGIN: '/api/auth/login',
       SIGNUP: '/api/auth/signup',
-      ME: '/api/auth/me'
+      ME: '/api/auth/me',
+      AVATAR: '/api/auth/me/avatar'
     },
     VIDEOS: {
       BASE: '/api/videos',
+      TRENDING: '/api/videos/trending',
+      CHANNEL: (id) => `/api/videos/channel/${id}`,
       LIKE: (id) => `/api/videos/${id}/like`,
       DISLIKE: (id) => `/api/videos/${id}/dislike`,
-      VIEW: (id) => `/api/videos/${id}/view`
+      VIEW: (id) => `/api/videos/${id}/view`,
+      HEARTBEAT: (id) => `/api/videos/${id}/heartbeat`,
+      ANALYTICS: (id) => `/api/videos/${id}/analytics`,
+      RELATED: (id) => `/api/videos/${id}/related`
     },
     COMMENTS: {
       BASE: '/api/comments',
@@ -28,12 +34,72 @@ const config = {
     },
     CHANNELS: {
       BASE: '/api/channels',
-      CREATE: '/api/channels/create'
+      CREATE: '/api/channels/create',
+      USAGE: (id) => `/api/channels/${id}/usage`,
+      DELETION_PREVIEW: (id) => `/api/channels/${id}/deletion-preview`,
+      ANALYTICS: (id) => `/api/channels/${id}/analytics`
+    },
+    UPLOADS: {
+      BASE: '/api/uploads',
+      SESSION: (id) => `/api/uploads/${id}`,
+      FINALIZE: (id) => `/api/uploads/${id}/finalize`
+    },
+    PLAYLISTS: {
+      BASE: '/api/playlists',
+      MINE: '/api/playlists/me',
+      PLAYLIST: (id) => `/api/playlists/${id}`,
+      VIDEOS: (id) => `/api/playlists/${id}/videos`,
+      VIDEO: (id, videoId) => `/api/playlists/${id}/videos/${videoId}`,
+      ORDER: (id) => `/api/playlists/${id}/videos/order`
+    },
+    SEARCH: {
+      BASE: '/api/search',
+      SUGGESTIONS: '/api/search/suggestions'
+    },
+    CATEGORIES: {
+      BASE: '/api/categories',
+      CATEGORY: (slug) => `/api/categories/${slug}`
+    },
+    USERS: {
+      WATCH_LATER: '/api/users/me/watch-later',
+      WATCH_LATER_VIDEO: (videoId) => `/api/users/me/watch-later/${videoId}`,
+      WATCH_LATER_ORDER: '/api/users/me/watch-later/order',
+      HISTORY: '/api/users/me/history',
+      HISTORY_ENTRY: (entryId) => `/api/users/me/history/${entryId}`,
+      HISTORY_PAUSED: '/api/users/me/history/paused',
+      LIKED: '/api/users/me/liked',
+      SEARCHES: '/api/users/me/searches',
+      SEARCH: (query) => `/api/users/me/searches/${encodeURIComponent(query)}`
     }
   },
 
+  // Playlist ID used in `?list=` to play the Watch Later queue in playlist mode
+  WATCH_LATER_LIST_ID: 'WL',
+
+  // Playlist ID used in `?list=` to play the user's liked videos in playlist mode
+  LIKED_LIST_ID: 'LL',
+
+  // Upload limits mirrored from the backend for early client-side validation
+  UPLOAD_LIMITS: {
+    VIDEO_TYPES: ['video/mp4', 'video/webm'],
+    IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    MAX_VIDEO_SIZE: 500 * 1024 * 1024,
+    MAX_THUMBNAIL_SIZE: 5 * 1024 * 1024,
+    MAX_IMAGE_SIZE: 5 * 1024 * 1024 // Channel banners and avatars
+  },
+
+  // Video visibility choices shown in the upload and edit forms
+  VISIBILITY_OPTIONS: [
+    { value: 'public', label: 'Public', description: 'Anyone can find and watch this video' },
+    { value: 'unlisted', label: 'Unlisted', description: 'Only people with the link can watch this video' },
+    { value: 'private', label: 'Private', description: 'Only you can watch this video' }
+  ],
+
   // Helper function to build full API URLs
-  getApiUrl: (endpoint) => `${config.API_BASE_URL}${endpoint}`
+  getApiUrl: (endpoint) => `${config.API_BASE_URL}${endpoint}`,
+
+  // Helper function to resolve media URLs (uploaded files are stored as server-relative paths)
+  getMediaUrl: (url) => (url && url.startsWith('/') ? `${config.API_BASE_URL}${url}` : url)
 };
 
 export default config;
@@ -9,6 +9,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 import config from '../config.js';
+import { clearPendingUploads } from '../utils/resumableUpload.js';
 
 // Create authentication context for state sharing
 const AuthContext = createContext();
@@ -134,9 +135,12 @@ export const AuthProvider = ({ children }) => {
    * User Logout Function
    * 
    * Clears all authentication data and resets application state.
-   * Removes token from localStorage and axios headers.
+   * Removes token, user and unfinished uploads from localStorage and the
+   * token from axios headers.
    */
   const logout = () => {
+    // Forget the user's unfinished uploads while their ID is still stored
+    clearPendingUploads();
     setToken(null);
     setUser(null);
     localStorage.removeItem('token');
@@ -144,6 +148,20 @@ export const AuthProvider = ({ children }) => {
     delete axios.defaults.headers.common['Authorization'];
   };
 
+  /**
+   * User Update Function
+   * 
+   * Merges changed profile fields (e.g., a new avatar) into the current user
+   * and keeps the persisted copy in localStorage in sync.
+   */
+  const updateUser = (changes) => {
+    setUser(prev => {
+      const updatedUser = { ...prev, ...changes };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
   // Context value object with all authentication methods and state
   const value = {
     user,           // Current authenticated user data
@@ -152,6 +170,7 @@ export const AuthProvider = ({ children }) => {
     login,          // Login function
     signup,         // Registration function
     logout,         // Logout function
+    updateUser,     // Profile update function
     isAuthenticated: !!token  // Boolean indicating authentication status
   };
 
@@ -0,0 +1,153 @@
+/**
+ * Category Page Component
+ *
+ * Shows the public videos of one category, newest first, under a header with
+ * the category's icon, name and video count. Reached at /category/:slug from
+ * the sidebar. Shares the home page layout.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import VideoCard from '../components/VideoCard';
+import config from '../config.js';
+import { fetchCategory } from '../utils/categories.js';
+import './Home.css';
+import './Category.css';
+
+/**
+ * Category Videos Loader
+ *
+ * Fetches one page of public videos in a category (by label), continuing
+ * from `cursor` when given.
+ */
+const fetchCategoryVideos = async (label, cursor = null) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.BASE), {
+    params: { category: label, ...(cursor && { cursor }) }
+  });
+  return response.data;
+};
+
+/**
+ * Category Page Component
+ *
+ * Category header above a video grid with "load more" pagination.
+ */
+const Category = () => {
+  // URL parameter for the category slug
+  const { slug } = useParams();
+
+  // Category and video data state
+  const [category, setCategory] = useState(null); // Category details with video count
+  const [videos, setVideos] = useState([]); // Videos loaded so far
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page, null at the end
+
+  // UI state
+  const [loading, setLoading] = useState(true); // Loading state for the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for later pages
+  const [notFound, setNotFound] = useState(false); // Unknown category slug
+
+  /**
+   * Category Loading Effect
+   *
+   * Loads the category and its first page of videos whenever the slug changes.
+   */
+  useEffect(() => {
+    window.scrollTo(0, 0);
+    setLoading(true);
+    setNotFound(false);
+
+    fetchCategory(slug)
+      .then(async (loadedCategory) => {
+        const data = await fetchCategoryVideos(loadedCategory.label);
+        setCategory(loadedCategory);
+        setVideos(data.videos);
+        setNextCursor(data.nextCursor);
+      })
+      .catch(error => {
+        if (error.response?.status === 404) {
+          setNotFound(true);
+        } else {
+          console.error('Error fetching category:', error);
+        }
+      })
+      .finally(() => setLoading(false));
+  }, [slug]);
+
+  /**
+   * Load More Handler
+   *
+   * Appends the next page of the category's videos.
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchCategoryVideos(category.label, nextCursor);
+      setVideos(prev => [...prev, ...data.videos]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Error fetching category videos:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Loading state display
+  if (loading) {
+    return (
+      <div className="home">
+        <div className="home__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading videos...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Unknown category or failed request
+  if (notFound || !category) {
+    return (
+      <div className="home">
+        <div className="home__no-videos">
+          <h2>{notFound ? 'Category not found' : 'Failed to load category'}</h2>
+          <p><Link to="/">Back to home</Link></p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="home">
+      {/* Category header */}
+      <div className="category__header">
+        <span className="category__icon">{category.icon}</span>
+        <div>
+          <h1>{category.label}</h1>
+          <p>{category.videoCount} {category.videoCount === 1 ? 'video' : 'videos'}</p>
+        </div>
+      </div>
+
+      {videos.length === 0 ? (
+        /* Empty state when the category has no videos */
+        <div className="home__no-videos">
+          <h2>No videos yet</h2>
+          <p>Videos uploaded to {category.label} will show up here.</p>
+        </div>
+      ) : (
+        <div className="home__videos">
+          {videos.map((video) => (
+            <VideoCard key={video._id} video={video} />
+          ))}
+        </div>
+      )}
+
+      {nextCursor && (
+        <button className="category__load-more" onClick={handleLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Category;
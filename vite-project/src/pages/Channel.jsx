@@ -7,16 +7,23 @@
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
+import config from '../config.js';
 import VideoCard from '../components/VideoCard';
+import VideoCardSkeleton from '../components/VideoCardSkeleton';
 import VideoManager from '../components/VideoManager';
 import CreateChannel from '../components/CreateChannel';
 import EditVideoModal from '../components/EditVideoModal';
 import ProfileIcon from '../components/ProfileIcon';
+import { useInfiniteScroll } from '../utils/infiniteScroll.js';
 import './Channel.css';
 
+// Placeholder cards shown while the first page of videos loads, and below the grid for the next
+const SKELETON_COUNT = 6;
+const MORE_SKELETON_COUNT = 3;
+
 /**
  * Channel Page Component
  * 
@@ -29,11 +36,16 @@ const Channel = () => {
   // Route parameters and authentication
   const { channelId } = useParams(); // Channel ID from URL
   const { user } = useAuth(); // Current authenticated user
+  const navigate = useNavigate(); // Redirect after channel deletion
   
   // Channel and videos data state
   const [channel, setChannel] = useState(null); // Channel information
-  const [videos, setVideos] = useState([]); // Channel's video collection
-  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [videos, setVideos] = useState([]); // Channel's videos loaded so far
+  const [videoTotal, setVideoTotal] = useState(0); // Number of videos in the channel
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page of videos, null at the end
+  const [loading, setLoading] = useState(true); // Loading state for the channel details
+  const [videosLoading, setVideosLoading] = useState(true); // Loading state for the first page of videos
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for further pages of videos
   const [error, setError] = useState(''); // Error message display
   
   // Modal and dropdown visibility states
@@ -42,10 +54,14 @@ const Channel = () => {
   const [showDeleteVideoDropdown, setShowDeleteVideoDropdown] = useState(false); // Delete video dropdown
   const [showEditVideoModal, setShowEditVideoModal] = useState(false); // Video edit modal
   const [selectedVideo, setSelectedVideo] = useState(null); // Currently selected video for editing
+  const [usage, setUsage] = useState(null); // Storage usage and quotas (owner only)
+  const [deletionPreview, setDeletionPreview] = useState(null); // Counts shown before channel deletion
+  const [deletingChannel, setDeletingChannel] = useState(false); // Channel deletion in progress
   
   // Refs for click-outside detection on dropdowns
   const editVideoDropdownRef = useRef(null);
   const deleteVideoDropdownRef = useRef(null);
+  const videosRequestRef = useRef(0); // Identifies the latest videos request so stale pages are dropped
 
   /**
    * Channel Data Fetcher
@@ -66,15 +82,35 @@ const Channel = () => {
   /**
    * Channel Videos Fetcher
    * 
-   * Retrieves all videos belonging to the specified channel.
-   * Updates videos state for display in the channel page.
+   * Retrieves one page of the channel's videos, newest first. Without a
+   * cursor the list is replaced by the first page; with one the page is
+   * appended. Responses for a previously viewed channel are ignored.
    */
-  const fetchChannelVideos = useCallback(async () => {
+  const fetchChannelVideos = useCallback(async (cursor = null) => {
+    const requestId = ++videosRequestRef.current;
+
     try {
-      const response = await axios.get(`http://localhost:5000/api/videos/channel/${channelId}`);
-      setVideos(response.data.videos);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setVideosLoading(true);
+      }
+
+      const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.CHANNEL(channelId)), {
+        params: cursor ? { cursor } : {}
+      });
+      if (requestId !== videosRequestRef.current) return;
+
+      setVideos(prev => cursor ? [...prev, ...response.data.videos] : response.data.videos);
+      setVideoTotal(response.data.total);
+      setNextCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching channel videos:', error);
+    } finally {
+      if (requestId === videosRequestRef.current) {
+        setVideosLoading(false);
+        setLoadingMore(false);
+      }
     }
   }, [channelId]);
 
@@ -82,17 +118,50 @@ const Channel = () => {
    * Data Loading Effect
    * 
    * Loads both channel data and videos when component mounts or dependencies change.
-   * Uses Promise.all for concurrent API calls to improve performance.
+   * The page shows once the channel details arrive; the video grid shows
+   * placeholders until its first page arrives.
    */
   useEffect(() => {
     const loadData = async () => {
       setLoading(true);
-      await Promise.all([fetchChannel(), fetchChannelVideos()]);
+      fetchChannelVideos();
+      await fetchChannel();
       setLoading(false);
     };
     loadData();
   }, [fetchChannel, fetchChannelVideos]);
 
+  // Load the next page of videos when the end of the grid scrolls into view
+  const sentinelRef = useInfiniteScroll(
+    () => fetchChannelVideos(nextCursor),
+    Boolean(nextCursor) && !videosLoading && !loadingMore
+  );
+
+  // Check if current user is the channel owner
+  const isOwner = Boolean(user && channel?.owner?._id === user._id);
+
+  /**
+   * Storage Usage Effect
+   * 
+   * Loads the channel's storage usage and quotas for the owner's usage meter.
+   * Refreshes when the number of videos changes.
+   */
+  useEffect(() => {
+    if (!isOwner) return;
+
+    const fetchUsage = async () => {
+      try {
+        const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.CHANNELS.USAGE(channelId)), {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+        });
+        setUsage(response.data);
+      } catch (error) {
+        console.error('Error fetching storage usage:', error);
+      }
+    };
+    fetchUsage();
+  }, [isOwner, channelId, videoTotal]);
+
   /**
    * Click Outside Effect
    * 
@@ -135,6 +204,7 @@ const Channel = () => {
    */
   const handleVideoDelete = (videoId) => {
     setVideos(prev => prev.filter(video => video._id !== videoId));
+    setVideoTotal(prev => prev - 1);
   };
 
   /**
@@ -155,6 +225,7 @@ const Channel = () => {
 
       if (response.data.message === 'Video deleted successfully') {
         setVideos(prev => prev.filter(video => video._id !== videoId));
+        setVideoTotal(prev => prev - 1);
       }
     } catch (error) {
       console.error('Error deleting video:', error);
@@ -162,6 +233,58 @@ const Channel = () => {
     }
   };
 
+  /**
+   * Channel Deletion Preview Handler
+   * 
+   * Fetches how many videos, comments and files the deletion would remove
+   * and opens the confirmation modal with those counts.
+   */
+  const handleDeleteChannelClick = async () => {
+    try {
+      const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.CHANNELS.DELETION_PREVIEW(channelId)), {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setDeletionPreview(response.data);
+    } catch (error) {
+      console.error('Error loading deletion preview:', error);
+      alert(error.response?.data?.message || 'Failed to prepare channel deletion');
+    }
+  };
+
+  /**
+   * Channel Deletion Handler
+   * 
+   * Deletes the channel with all of its content after confirmation
+   * and returns to the channels page.
+   */
+  const handleConfirmDeleteChannel = async () => {
+    setDeletingChannel(true);
+    try {
+      await axios.delete(`${config.getApiUrl(config.API_ENDPOINTS.CHANNELS.BASE)}/${channelId}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      navigate('/channels');
+    } catch (error) {
+      console.error('Error deleting channel:', error);
+      alert(error.response?.data?.message || 'Failed to delete channel');
+      setDeletingChannel(false);
+    }
+  };
+
+  /**
+   * File Size Formatter
+   * 
+   * Formats a byte count for the deletion preview (e.g., 12.5 MB).
+   */
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024 * 1024) {
+      return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    } else if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.ceil(bytes / 1024)} KB`;
+  };
+
   /**
    * Channel Creation Success Handler
    * 
@@ -235,8 +358,33 @@ const Channel = () => {
     );
   }
 
-  // Check if current user is the channel owner
-  const isOwner = user && channel.owner._id === user._id;
+  /**
+   * Usage Meter Renderer
+   * 
+   * Shows used versus allowed storage and video count as a progress bar.
+   * Limits of 0 are unlimited and show no bar.
+   */
+  const renderUsageMeter = (label, used, limit, format) => {
+    const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+    const level = percent >= 90 ? 'danger' : percent >= 75 ? 'warning' : 'ok';
+
+    return (
+      <div className="channel__usage-meter">
+        <div className="channel__usage-label">
+          <span>{label}</span>
+          <span>{format(used)} {limit ? `of ${format(limit)}` : '(unlimited)'}</span>
+        </div>
+        {limit > 0 && (
+          <div className="channel__usage-bar">
+            <div
+              className={`channel__usage-fill channel__usage-fill--${level}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div className="channel">
@@ -245,7 +393,7 @@ const Channel = () => {
         {/* Channel banner image */}
         <div className="channel__banner">
           <img 
-            src={channel.channelBanner || 'https://picsum.photos/1200/200?random=40'} 
+            src={config.getMediaUrl(channel.channelBanner) || 'https://picsum.photos/1200/200?random=40'} 
             alt={`${channel.channelName} banner`}
           />
         </div>
@@ -273,7 +421,7 @@ const Channel = () => {
                 {formatSubscribers(channel.subscribers)} subscribers
               </span>
               <span className="channel__videos">
-                {videos.length} videos
+                {videoTotal} videos
               </span>
               <span className="channel__category">{channel.category}</span>
             </div>
@@ -295,6 +443,20 @@ const Channel = () => {
                 >
                   Upload Video
                 </Link>
+                {/* Watch time and audience retention of the channel's videos */}
+                <Link 
+                  to={`/channel/${channelId}/analytics`} 
+                  className="channel__btn channel__btn--edit"
+                >
+                  Analytics
+                </Link>
+                {/* Delete channel button (opens confirmation preview) */}
+                <button 
+                  onClick={handleDeleteChannelClick}
+                  className="channel__btn channel__btn--delete-channel"
+                >
+                  Delete Channel
+                </button>
                 
                 {/* Video management dropdowns */}
                 <div className="channel__video-actions">
@@ -366,20 +528,44 @@ const Channel = () => {
         </div>
       </div>
 
+      {/* Storage usage meter for the channel owner */}
+      {isOwner && usage && (
+        <div className="channel__usage">
+          <h3>Storage usage</h3>
+          {renderUsageMeter('Channel storage', usage.channel.storageBytes, usage.channel.limits.storageBytes, formatBytes)}
+          {renderUsageMeter('Channel videos', usage.channel.videos, usage.channel.limits.videos, String)}
+          {renderUsageMeter(
+            'Account storage',
+            usage.user.storageBytes + usage.user.pendingBytes,
+            usage.user.limits.storageBytes,
+            formatBytes
+          )}
+        </div>
+      )}
+
       {/* Channel Videos Section */}
       <div className="channel__content">
         {/* Videos header with count and empty state message */}
         <div className="channel__videos-header">
           <h2>Videos</h2>
-          {videos.length === 0 && (
+          {!videosLoading && videos.length === 0 && (
             <p className="channel__no-videos">
               {isOwner ? 'No videos yet. Start by uploading your first video!' : 'This channel has no videos yet.'}
             </p>
           )}
         </div>
 
-        {/* Videos grid with management tools for owners */}
-        {videos.length > 0 && (
+        {/* Placeholder cards while the first page of videos loads */}
+        {videosLoading && (
+          <div className="channel__videos-grid">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <VideoCardSkeleton key={index} />
+            ))}
+          </div>
+        )}
+
+        {/* Videos grid with management tools for owners, followed by the next page's placeholders */}
+        {!videosLoading && videos.length > 0 && (
           <div className="channel__videos-grid">
             {videos.map(video => (
               <div key={video._id} className="channel__video-item">
@@ -394,8 +580,14 @@ const Channel = () => {
                 )}
               </div>
             ))}
+            {loadingMore && Array.from({ length: MORE_SKELETON_COUNT }, (_, index) => (
+              <VideoCardSkeleton key={`more-${index}`} />
+            ))}
           </div>
         )}
+
+        {/* Sentinel that triggers loading the next page of videos */}
+        <div ref={sentinelRef} className="channel__sentinel"></div>
       </div>
 
       {/* Edit Channel Modal */}
@@ -413,6 +605,40 @@ const Channel = () => {
         </div>
       )}
 
+      {/* Delete Channel Confirmation Modal */}
+      {deletionPreview && (
+        <div className="channel__modal-overlay">
+          <div className="channel__modal channel__confirm">
+            <h2>Delete {deletionPreview.channel.channelName}?</h2>
+            <p>This permanently deletes the channel and everything in it:</p>
+            <ul className="channel__confirm-list">
+              <li>{deletionPreview.videos} {deletionPreview.videos === 1 ? 'video' : 'videos'}</li>
+              <li>{deletionPreview.comments} {deletionPreview.comments === 1 ? 'comment' : 'comments'}</li>
+              <li>
+                {deletionPreview.files} stored {deletionPreview.files === 1 ? 'file' : 'files'} ({formatBytes(deletionPreview.bytes)})
+              </li>
+            </ul>
+            <p>This action cannot be undone.</p>
+            <div className="channel__confirm-actions">
+              <button
+                onClick={() => setDeletionPreview(null)}
+                className="channel__btn channel__btn--edit"
+                disabled={deletingChannel}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmDeleteChannel}
+                className="channel__btn channel__btn--delete-channel"
+                disabled={deletingChannel}
+              >
+                {deletingChannel ? 'Deleting...' : 'Delete Channel'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Edit Video Modal */}
       {showEditVideoModal && selectedVideo && (
         <div className="channel__modal-overlay">
@@ -0,0 +1,256 @@
+/**
+ * Channel Analytics Page Component
+ *
+ * Shows the channel owner how much of their videos people watch: total
+ * playbacks, watch time and average view duration for a chosen period, a
+ * table of the most watched videos, and the audience retention curve of the
+ * selected video. Built from the playback heartbeats sent by the player.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import config from '../config.js';
+import { fetchChannelAnalytics, fetchVideoAnalytics } from '../utils/analytics.js';
+import './ChannelAnalytics.css';
+
+// Reporting periods offered, in days
+const PERIOD_OPTIONS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 28, label: 'Last 28 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 365 days' }
+];
+
+/**
+ * Duration Formatter
+ *
+ * Formats seconds as m:ss, or h:mm:ss from an hour up.
+ */
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Watch Time Formatter
+ *
+ * Formats a watch time in hours, or in minutes below an hour.
+ */
+const formatWatchTime = (seconds) => {
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} hours`;
+};
+
+// Formats an average percentage viewed (null when the duration is unknown)
+const formatPercentage = (percentage) => (percentage === null ? '–' : `${Math.round(percentage)}%`);
+
+/**
+ * Channel Analytics Page Component
+ *
+ * Period selector and totals above the video table; selecting a video
+ * loads its retention curve below.
+ */
+const ChannelAnalytics = () => {
+  // Route parameters and authentication
+  const { channelId } = useParams(); // Channel ID from URL
+  const { user } = useAuth(); // Current authenticated user
+
+  // Analytics data state
+  const [days, setDays] = useState(28); // Reporting period in days
+  const [analytics, setAnalytics] = useState(null); // Channel totals and per-video rows
+  const [selectedVideoId, setSelectedVideoId] = useState(null); // Video whose retention is shown
+  const [videoAnalytics, setVideoAnalytics] = useState(null); // Retention details of the selected video
+
+  // UI state
+  const [loading, setLoading] = useState(true); // Loading state for the channel analytics
+  const [error, setError] = useState(''); // Error message display
+
+  /**
+   * Channel Analytics Loading Effect
+   *
+   * Loads the totals and video table whenever the channel or period changes
+   * (keyed by user ID so profile updates do not trigger a reload).
+   */
+  const userId = user?._id;
+  useEffect(() => {
+    if (!userId) return;
+
+    setLoading(true);
+    setError('');
+    fetchChannelAnalytics(channelId, days)
+      .then(data => {
+        setAnalytics(data);
+        setSelectedVideoId(prev => (
+          data.videos.some(video => video._id === prev) ? prev : data.videos[0]?._id || null
+        ));
+      })
+      .catch(error => {
+        setError(error.response?.status === 403
+          ? 'Only the channel owner can see its analytics'
+          : 'Failed to load channel analytics');
+      })
+      .finally(() => setLoading(false));
+  }, [userId, channelId, days]);
+
+  /**
+   * Video Analytics Loading Effect
+   *
+   * Loads the retention curve of the selected video for the same period.
+   */
+  useEffect(() => {
+    if (!selectedVideoId) {
+      setVideoAnalytics(null);
+      return;
+    }
+
+    fetchVideoAnalytics(selectedVideoId, days)
+      .then(setVideoAnalytics)
+      .catch(error => {
+        console.error('Error fetching video analytics:', error);
+        setVideoAnalytics(null);
+      });
+  }, [selectedVideoId, days]);
+
+  // Early return if user is not authenticated
+  if (!user) {
+    return (
+      <div className="channel-analytics">
+        <div className="channel-analytics__message">
+          <h2>Sign in to see your channel analytics</h2>
+          <Link to="/auth">Sign In</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="channel-analytics">
+      {/* Page header with period selector */}
+      <div className="channel-analytics__header">
+        <div>
+          <h1>Channel analytics</h1>
+          <Link to={`/channel/${channelId}`}>Back to channel</Link>
+        </div>
+        <select
+          className="channel-analytics__period"
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+        >
+          {PERIOD_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="channel-analytics__message">
+          <div className="loading-spinner"></div>
+          <p>Loading analytics...</p>
+        </div>
+      ) : error ? (
+        <div className="channel-analytics__message">
+          <h2>{error}</h2>
+        </div>
+      ) : (
+        <>
+          {/* Channel totals */}
+          <div className="channel-analytics__totals">
+            <div className="channel-analytics__card">
+              <span>Playbacks</span>
+              <strong>{analytics.totals.playbacks.toLocaleString()}</strong>
+            </div>
+            <div className="channel-analytics__card">
+              <span>Watch time</span>
+              <strong>{formatWatchTime(analytics.totals.watchTimeSeconds)}</strong>
+            </div>
+            <div className="channel-analytics__card">
+              <span>Average view duration</span>
+              <strong>{formatDuration(analytics.totals.averageViewDuration)}</strong>
+            </div>
+          </div>
+
+          {/* Most watched videos */}
+          <h2 className="channel-analytics__section-title">Top videos</h2>
+          {analytics.videos.length === 0 ? (
+            <p className="channel-analytics__empty">No videos were watched in this period.</p>
+          ) : (
+            <table className="channel-analytics__table">
+              <thead>
+                <tr>
+                  <th>Video</th>
+                  <th>Views</th>
+                  <th>Playbacks</th>
+                  <th>Watch time</th>
+                  <th>Average view duration</th>
+                  <th>Average % viewed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.videos.map(video => (
+                  <tr
+                    key={video._id}
+                    className={video._id === selectedVideoId ? 'channel-analytics__row--selected' : ''}
+                    onClick={() => setSelectedVideoId(video._id)}
+                  >
+                    <td className="channel-analytics__video">
+                      <img src={config.getMediaUrl(video.thumbnailUrl)} alt="" loading="lazy" />
+                      <span>{video.title}</span>
+                    </td>
+                    <td>{(video.views || 0).toLocaleString()}</td>
+                    <td>{video.playbacks.toLocaleString()}</td>
+                    <td>{formatWatchTime(video.watchTimeSeconds)}</td>
+                    <td>{formatDuration(video.averageViewDuration)}</td>
+                    <td>{formatPercentage(video.averagePercentageViewed)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {/* Audience retention of the selected video */}
+          {videoAnalytics && (
+            <div className="channel-analytics__retention">
+              <h2 className="channel-analytics__section-title">
+                Audience retention: <Link to={`/video/${videoAnalytics.video._id}`}>{videoAnalytics.video.title}</Link>
+              </h2>
+              <p className="channel-analytics__retention-summary">
+                Average view duration {formatDuration(videoAnalytics.averageViewDuration)}
+                {videoAnalytics.averagePercentageViewed !== null && (
+                  <> ({formatPercentage(videoAnalytics.averagePercentageViewed)} of {formatDuration(videoAnalytics.video.durationSeconds)})</>
+                )}
+              </p>
+
+              {videoAnalytics.retention.length === 0 ? (
+                <p className="channel-analytics__empty">Retention is unavailable because the video's length is unknown.</p>
+              ) : (
+                <>
+                  {/* One bar per slice of the video: share of playbacks that reached it */}
+                  <div className="channel-analytics__chart">
+                    {videoAnalytics.retention.map(bucket => (
+                      <div
+                        key={bucket.start}
+                        className="channel-analytics__bar"
+                        style={{ height: `${bucket.percentage}%` }}
+                        title={`${formatDuration(bucket.start)}–${formatDuration(bucket.end)}: ${Math.round(bucket.percentage)}% of playbacks`}
+                      ></div>
+                    ))}
+                  </div>
+                  <div className="channel-analytics__axis">
+                    <span>0:00</span>
+                    <span>{formatDuration(videoAnalytics.video.durationSeconds)}</span>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChannelAnalytics;
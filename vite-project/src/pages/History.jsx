@@ -0,0 +1,269 @@
+/**
+ * History Page Component
+ *
+ * Shows the signed-in user's watch history grouped by day, newest first.
+ * Supports searching by title, loading more pages, removing single entries,
+ * clearing the whole history and pausing history recording.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import config from '../config.js';
+import { fetchHistory, removeHistoryEntry, clearHistory, setHistoryPaused } from '../utils/watchHistory.js';
+import './History.css';
+
+/**
+ * Day Label Formatter
+ *
+ * Labels a day as "Today", "Yesterday", a weekday within the last week,
+ * or a full date for anything older.
+ */
+const formatDayLabel = (date) => {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const daysAgo = Math.round((startOfToday - startOfDay) / (1000 * 60 * 60 * 24));
+
+  if (daysAgo === 0) return 'Today';
+  if (daysAgo === 1) return 'Yesterday';
+  if (daysAgo < 7) return startOfDay.toLocaleDateString(undefined, { weekday: 'long' });
+  return startOfDay.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+/**
+ * Day Grouping Helper
+ *
+ * Splits entries (already sorted newest first) into consecutive day groups.
+ */
+const groupByDay = (entries) => {
+  const groups = [];
+  entries.forEach(entry => {
+    const label = formatDayLabel(entry.watchedAt);
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup?.label === label) {
+      lastGroup.entries.push(entry);
+    } else {
+      groups.push({ label, entries: [entry] });
+    }
+  });
+  return groups;
+};
+
+/**
+ * History Page Component
+ *
+ * Main column lists the grouped entries; the side panel holds the search box
+ * and the clear and pause controls.
+ */
+const History = () => {
+  // Authentication context
+  const { user } = useAuth(); // Current authenticated user
+  const userId = user?._id;
+
+  // History data state
+  const [entries, setEntries] = useState([]); // Loaded history entries
+  const [page, setPage] = useState(1); // Last loaded page
+  const [totalPages, setTotalPages] = useState(0); // Total pages for the current search
+  const [paused, setPaused] = useState(false); // Whether recording is paused
+
+  // Search and UI state
+  const [searchInput, setSearchInput] = useState(''); // Search box value
+  const [query, setQuery] = useState(''); // Submitted search
+  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [error, setError] = useState(''); // Error message display
+
+  /**
+   * History Loading Effect
+   *
+   * Loads the first page whenever the user or the submitted search changes.
+   */
+  useEffect(() => {
+    if (!userId) return;
+
+    setLoading(true);
+    fetchHistory({ query })
+      .then(data => {
+        setEntries(data.entries);
+        setPage(data.page);
+        setTotalPages(data.totalPages);
+        setPaused(data.paused);
+        setError('');
+      })
+      .catch(() => setError('Failed to load watch history'))
+      .finally(() => setLoading(false));
+  }, [userId, query]);
+
+  /**
+   * Load More Handler
+   *
+   * Appends the next page of entries for the current search.
+   */
+  const handleLoadMore = async () => {
+    setLoading(true);
+    try {
+      const data = await fetchHistory({ page: page + 1, query });
+      setEntries(prev => [...prev, ...data.entries]);
+      setPage(data.page);
+      setTotalPages(data.totalPages);
+    } catch {
+      setError('Failed to load more history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Search Submission Handler
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(searchInput.trim());
+  };
+
+  /**
+   * Entry Removal Handler
+   *
+   * Removes one video from the history.
+   */
+  const handleRemove = async (entryId) => {
+    try {
+      await removeHistoryEntry(entryId);
+      setEntries(prev => prev.filter(entry => entry._id !== entryId));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to remove video from history');
+    }
+  };
+
+  /**
+   * Clear History Handler
+   *
+   * Deletes the whole watch history after confirmation.
+   */
+  const handleClear = async () => {
+    if (!window.confirm('Clear your entire watch history? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await clearHistory();
+      setEntries([]);
+      setTotalPages(0);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to clear watch history');
+    }
+  };
+
+  /**
+   * Pause Toggle Handler
+   *
+   * Pauses or resumes recording of newly watched videos.
+   */
+  const handleTogglePaused = async () => {
+    try {
+      setPaused(await setHistoryPaused(!paused));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to update history settings');
+    }
+  };
+
+  // Early return if user is not authenticated
+  if (!user) {
+    return (
+      <div className="history">
+        <div className="history__message">
+          <h2>Sign in to see your watch history</h2>
+          <Link to="/auth">Sign In</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="history">
+      <div className="history__main">
+        <h1 className="history__heading">Watch history</h1>
+
+        {paused && (
+          <p className="history__notice">Watch history is paused. Videos you watch won't show up here.</p>
+        )}
+        {error && <p className="history__notice history__notice--error">{error}</p>}
+
+        {!loading && entries.length === 0 && (
+          <p className="history__empty">
+            {query ? `No watched videos match "${query}".` : 'Videos you watch will show up here.'}
+          </p>
+        )}
+
+        {/* Entries grouped by the day they were watched */}
+        {groupByDay(entries).map(group => (
+          <section key={group.label} className="history__day">
+            <h2 className="history__day-label">{group.label}</h2>
+            {group.entries.map(entry => (
+              <div key={entry._id} className="history__entry">
+                <Link to={`/video/${entry.video._id}`} className="history__entry-link">
+                  <div className="history__thumbnail">
+                    <img src={config.getMediaUrl(entry.video.thumbnailUrl)} alt={entry.video.title} loading="lazy" />
+                    {entry.video.duration && entry.video.duration !== '0:00' && (
+                      <span className="history__duration">{entry.video.duration}</span>
+                    )}
+                    {/* Watched portion of the video */}
+                    {entry.video.durationSeconds > 0 && entry.position > 0 && (
+                      <div className="history__progress">
+                        <div
+                          className="history__progress-bar"
+                          style={{ width: `${Math.min(100, (entry.position / entry.video.durationSeconds) * 100)}%` }}
+                        ></div>
+                      </div>
+                    )}
+                  </div>
+                  <div className="history__entry-info">
+                    <h3>{entry.video.title}</h3>
+                    <p>{entry.video.channelId?.channelName || 'Unknown Channel'} • {(entry.video.views || 0).toLocaleString()} views</p>
+                    <p className="history__entry-description">{entry.video.description}</p>
+                  </div>
+                </Link>
+                <button
+                  className="history__remove"
+                  onClick={() => handleRemove(entry._id)}
+                  title="Remove from watch history"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </section>
+        ))}
+
+        {loading && <p className="history__empty">Loading watch history...</p>}
+
+        {!loading && page < totalPages && (
+          <button className="history__load-more" onClick={handleLoadMore}>
+            Load more
+          </button>
+        )}
+      </div>
+
+      {/* Search and history controls */}
+      <aside className="history__controls">
+        <form className="history__search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search watch history"
+          />
+        </form>
+        <button className="history__control" onClick={handleClear} disabled={entries.length === 0}>
+          🗑 Clear all watch history
+        </button>
+        <button className="history__control" onClick={handleTogglePaused}>
+          {paused ? '▶ Turn on watch history' : '⏸ Pause watch history'}
+        </button>
+      </aside>
+    </div>
+  );
+};
+
+export default History;
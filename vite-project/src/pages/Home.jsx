@@ -1,82 +1,97 @@
 /**
  * Home Page Component
  * 
- * Main landing page that displays videos with category filtering and search functionality.
- * Fetches videos from the API, supports category-based filtering, and displays search results.
- * Provides a responsive grid layout for video cards with loading states and empty states.
+ * Main landing page that displays videos with category filtering.
+ * Fetches videos from the API and supports category-based filtering; searches
+ * are shown on the separate search results page. Provides a responsive grid
+ * layout for video cards with loading states and empty states.
+ * More videos load automatically as the user scrolls to the end of the grid.
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import VideoCard from '../components/VideoCard';
+import VideoCardSkeleton from '../components/VideoCardSkeleton';
 import config from '../config.js';
+import { useCategories } from '../utils/categories.js';
+import { useInfiniteScroll } from '../utils/infiniteScroll.js';
 import './Home.css';
 
+// Placeholder cards shown while the first page loads, and below the grid for the next
+const SKELETON_COUNT = 8;
+const MORE_SKELETON_COUNT = 4;
+
 /**
  * Home Page Component
  * 
- * Central hub for video discovery featuring category-based filtering, search integration,
- * and responsive video grid layout. Handles API data fetching, URL search parameters,
- * and provides user feedback for various states (loading, empty, search results).
+ * Central hub for video discovery featuring category-based filtering and responsive
+ * video grid layout. Handles API data fetching and provides user feedback for
+ * various states (loading, empty).
  */
 const Home = () => {
   // State management for videos and UI
   const [videos, setVideos] = useState([]); // Array of video objects from API
-  const [loading, setLoading] = useState(true); // Loading state for API calls
-  const [searchParams] = useSearchParams(); // React Router hook for URL search parameters
+  const [loading, setLoading] = useState(true); // Loading state for the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for further pages
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page, null at the end
   const [selectedCategory, setSelectedCategory] = useState('All'); // Currently selected category filter
+  const requestIdRef = useRef(0); // Identifies the latest request so stale pages are dropped
 
   /**
    * Available Video Categories
    * 
-   * Predefined list of video categories for filtering content.
+   * Category labels loaded from the API for filtering content.
    * 'All' category shows videos from all categories.
    */
-  const categories = [
-    'All', 'Gaming', 'Education', 'Entertainment', 'Technology', 
-    'Music', 'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'
-  ];
-
-  // Extract search query from URL parameters
-  const searchQuery = searchParams.get('search');
+  const categories = ['All', ...useCategories().map(category => category.label)];
 
   /**
    * Video Fetching Function
    * 
-   * Fetches videos from the API based on selected category and search query.
-   * Constructs URL with query parameters and updates the videos state.
+   * Fetches one page of videos from the API for the selected category.
+   * Without a cursor the list is replaced by the first page; with one the
+   * page is appended. Responses for a previous category are ignored.
    * Uses useCallback to prevent unnecessary re-renders.
    */
-  const fetchVideos = useCallback(async () => {
+  const fetchVideos = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current;
+
     try {
-      setLoading(true);
-      let url = `${config.API_BASE_URL}${config.API_ENDPOINTS.VIDEOS.BASE}`;
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+
       const params = new URLSearchParams();
-      
+
       // Add category filter if not 'All'
       if (selectedCategory !== 'All') {
         params.append('category', selectedCategory);
       }
-      
-      // Add search query if present
-      if (searchQuery) {
-        params.append('search', searchQuery);
+      if (cursor) {
+        params.append('cursor', cursor);
       }
-      
-      // Append query parameters to URL if any exist
+
+      let url = `${config.API_BASE_URL}${config.API_ENDPOINTS.VIDEOS.BASE}`;
       if (params.toString()) {
         url += `?${params.toString()}`;
       }
 
       const response = await axios.get(url);
-      setVideos(response.data.videos);
+      if (requestId !== requestIdRef.current) return;
+
+      setVideos(prev => cursor ? [...prev, ...response.data.videos] : response.data.videos);
+      setNextCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching videos:', error);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  }, [selectedCategory, searchQuery]);
+  }, [selectedCategory]);
 
   /**
    * Initialization Effect
@@ -90,6 +105,12 @@ const Home = () => {
     fetchVideos();
   }, [fetchVideos]);
 
+  // Load the next page when the end of the grid scrolls into view
+  const sentinelRef = useInfiniteScroll(
+    () => fetchVideos(nextCursor),
+    Boolean(nextCursor) && !loading && !loadingMore
+  );
+
   /**
    * Category Selection Handler
    * 
@@ -100,34 +121,9 @@ const Home = () => {
     setSelectedCategory(category);
   };
 
-  // Loading state display with category filters
-  if (loading) {
-    return (
-      <div className="home">
-        {/* Category filter buttons - always visible */}
-        <div className="home__filters">
-          {categories.map((category) => (
-            <button
-              key={category}
-              className={`filter-btn ${selectedCategory === category ? 'filter-btn--active' : ''}`}
-              onClick={() => handleCategoryClick(category)}
-            >
-              {category}
-            </button>
-          ))}
-        </div>
-        {/* Loading spinner and message */}
-        <div className="home__loading">
-          <div className="loading-spinner"></div>
-          <p>Loading videos...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="home">
-      {/* Category filter section */}
+      {/* Category filter section - always visible */}
       <div className="home__filters">
         {categories.map((category) => (
           <button
@@ -140,29 +136,34 @@ const Home = () => {
         ))}
       </div>
 
-      {/* Search results header - only shown when search query exists */}
-      {searchQuery && (
-        <div className="home__search-results">
-          <h2>Search results for: "{searchQuery}"</h2>
-          <p>{videos.length} videos found</p>
+      {/* Conditional content rendering based on loading state and video availability */}
+      {loading ? (
+        /* Placeholder cards while the first page loads */
+        <div className="home__videos">
+          {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+            <VideoCardSkeleton key={index} />
+          ))}
         </div>
-      )}
-
-      {/* Conditional content rendering based on video availability */}
-      {videos.length === 0 ? (
+      ) : videos.length === 0 ? (
         /* Empty state when no videos are found */
         <div className="home__no-videos">
           <h2>No videos found</h2>
-          <p>Try selecting a different category or search term.</p>
+          <p>Try selecting a different category.</p>
         </div>
       ) : (
-        /* Video grid when videos are available */
+        /* Video grid when videos are available, followed by the next page's placeholders */
         <div className="home__videos">
           {videos.map((video) => (
             <VideoCard key={video._id} video={video} />
           ))}
+          {loadingMore && Array.from({ length: MORE_SKELETON_COUNT }, (_, index) => (
+            <VideoCardSkeleton key={`more-${index}`} />
+          ))}
         </div>
       )}
+
+      {/* Sentinel that triggers loading the next page */}
+      <div ref={sentinelRef} className="home__sentinel"></div>
     </div>
   );
 };
@@ -0,0 +1,189 @@
+/**
+ * Liked Videos Page Component
+ *
+ * Shows the videos the signed-in user has liked, most recent like first,
+ * with a play-all option and controls to remove likes. Shares the playlist
+ * page layout.
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import config from '../config.js';
+import { fetchLikedVideos, unlikeVideo } from '../utils/likedVideos.js';
+import './Playlist.css';
+
+/**
+ * Liked Videos Page Component
+ *
+ * Two-column layout with the list summary on the left and the numbered
+ * video list on the right. Clicking a video plays the likes in playlist mode.
+ */
+const LikedVideos = () => {
+  // Authentication and navigation
+  const { user } = useAuth(); // Current authenticated user
+  const navigate = useNavigate(); // Navigate to the player
+
+  // Liked videos state
+  const [videos, setVideos] = useState([]); // Loaded liked videos, newest like first
+  const [total, setTotal] = useState(0); // Total number of likes
+  const [page, setPage] = useState(1); // Last loaded page
+  const [totalPages, setTotalPages] = useState(0); // Total number of pages
+  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [loadingMore, setLoadingMore] = useState(false); // Next page loading state
+  const [error, setError] = useState(''); // Error message display
+
+  /**
+   * Liked Videos Loading Effect
+   *
+   * Loads the first page once the user is known (keyed by ID so profile
+   * updates stored on the user do not trigger a reload).
+   */
+  const userId = user?._id;
+  useEffect(() => {
+    if (!userId) return;
+
+    fetchLikedVideos()
+      .then(data => {
+        setVideos(data.videos);
+        setTotal(data.total);
+        setPage(data.page);
+        setTotalPages(data.totalPages);
+      })
+      .catch(() => setError('Failed to load liked videos'))
+      .finally(() => setLoading(false));
+  }, [userId]);
+
+  /**
+   * Liked Video Link Builder
+   *
+   * Player URL for a video with the liked videos in playlist mode.
+   */
+  const getLikedVideoPath = (videoId) => `/video/${videoId}?list=${config.LIKED_LIST_ID}`;
+
+  /**
+   * Load More Handler
+   *
+   * Appends the next page of liked videos.
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchLikedVideos({ page: page + 1 });
+      setVideos(prev => [...prev, ...data.videos]);
+      setTotal(data.total);
+      setPage(data.page);
+      setTotalPages(data.totalPages);
+    } catch {
+      setError('Failed to load more liked videos');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Like Removal Handler
+   *
+   * Removes the like from a video and drops it from the list.
+   */
+  const handleRemove = async (videoId) => {
+    try {
+      await unlikeVideo(videoId);
+      setVideos(prev => prev.filter(video => video._id !== videoId));
+      setTotal(prev => Math.max(0, prev - 1));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to remove like');
+    }
+  };
+
+  // Early return if user is not authenticated
+  if (!user) {
+    return (
+      <div className="playlist">
+        <div className="playlist__error">
+          <h2>Sign in to see the videos you liked</h2>
+          <Link to="/auth">Sign In</Link>
+        </div>
+      </div>
+    );
+  }
+
+  // Loading state display
+  if (loading) {
+    return (
+      <div className="playlist">
+        <div className="playlist__loading">Loading liked videos...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="playlist">
+      {/* Liked videos summary panel */}
+      <aside className="playlist__summary">
+        <div className="playlist__cover">
+          {videos[0] ? (
+            <img src={config.getMediaUrl(videos[0].thumbnailUrl)} alt="Liked videos" />
+          ) : (
+            <div className="playlist__cover-empty">No videos</div>
+          )}
+        </div>
+
+        <h1 className="playlist__title">Liked videos</h1>
+        <p className="playlist__owner">{user.username}</p>
+        <p className="playlist__meta">
+          Private • {total} {total === 1 ? 'video' : 'videos'}
+        </p>
+        {error && <p className="playlist__meta">{error}</p>}
+
+        <div className="playlist__actions">
+          <button
+            className="playlist__btn playlist__btn--primary"
+            onClick={() => navigate(getLikedVideoPath(videos[0]._id))}
+            disabled={videos.length === 0}
+          >
+            ▶ Play all
+          </button>
+        </div>
+      </aside>
+
+      {/* Liked video list */}
+      <div className="playlist__videos">
+        {videos.length === 0 && (
+          <p className="playlist__empty">Like videos and they will show up here.</p>
+        )}
+        {videos.map((video, index) => (
+          <div key={video._id} className="playlist__video">
+            <span className="playlist__index">{index + 1}</span>
+            <Link to={getLikedVideoPath(video._id)} className="playlist__video-link">
+              <div className="playlist__thumbnail">
+                <img src={config.getMediaUrl(video.thumbnailUrl)} alt={video.title} loading="lazy" />
+                {video.duration && video.duration !== '0:00' && (
+                  <span className="playlist__duration">{video.duration}</span>
+                )}
+              </div>
+              <div className="playlist__video-info">
+                <h3>{video.title}</h3>
+                <p>{video.channelId?.channelName || 'Unknown Channel'} • {(video.views || 0).toLocaleString()} views</p>
+              </div>
+            </Link>
+
+            <div className="playlist__video-actions">
+              <button onClick={() => handleRemove(video._id)} title="Remove from Liked videos">✕</button>
+            </div>
+          </div>
+        ))}
+
+        {page < totalPages && (
+          <div className="playlist__actions">
+            <button className="playlist__btn" onClick={handleLoadMore} disabled={loadingMore}>
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LikedVideos;
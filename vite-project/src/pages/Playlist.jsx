@@ -0,0 +1,321 @@
+/**
+ * Playlist Page Component
+ *
+ * Displays a playlist with its details and ordered videos. Anyone who can see the
+ * playlist can play it; the owner can also edit its details, reorder and remove
+ * videos, and delete the playlist.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import config from '../config.js';
+import './Playlist.css';
+
+/**
+ * Playlist Page Component
+ *
+ * Two-column layout with the playlist summary on the left and the numbered
+ * video list on the right. Clicking a video starts the player in playlist mode.
+ */
+const Playlist = () => {
+  // Route parameters, authentication and navigation
+  const { playlistId } = useParams(); // Playlist ID from URL
+  const { user } = useAuth(); // Current authenticated user
+  const navigate = useNavigate(); // Navigate to the player or away after deletion
+
+  // Playlist data state
+  const [playlist, setPlaylist] = useState(null); // Playlist with populated videos
+  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [error, setError] = useState(''); // Error message display
+
+  // Owner editing state
+  const [editing, setEditing] = useState(false); // Details edit form visibility
+  const [editData, setEditData] = useState({ title: '', description: '', visibility: 'public' }); // Details form values
+  const [saving, setSaving] = useState(false); // Save or reorder in progress
+
+  /**
+   * Playlist Data Fetcher
+   *
+   * Retrieves the playlist and its videos from the API.
+   */
+  const fetchPlaylist = useCallback(async () => {
+    try {
+      const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.PLAYLIST(playlistId)), {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setPlaylist(response.data.playlist);
+      setError('');
+    } catch (error) {
+      setError(error.response?.status === 404 ? 'Playlist not found' : 'Failed to load playlist');
+      console.error('Error fetching playlist:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [playlistId]);
+
+  /**
+   * Data Loading Effect
+   *
+   * Loads the playlist when the component mounts or the playlist ID changes.
+   */
+  useEffect(() => {
+    setLoading(true);
+    fetchPlaylist();
+  }, [fetchPlaylist]);
+
+  // Check if current user is the playlist owner
+  const isOwner = Boolean(user && playlist?.owner?._id === user._id);
+
+  /**
+   * Playlist Video Link Builder
+   *
+   * Player URL for a video in playlist mode.
+   */
+  const getPlaylistVideoPath = (videoId) => `/video/${videoId}?list=${playlistId}`;
+
+  /**
+   * Edit Form Opener
+   *
+   * Fills the details form with the current values and shows it.
+   */
+  const handleEditStart = () => {
+    setEditData({
+      title: playlist.title,
+      description: playlist.description || '',
+      visibility: playlist.visibility
+    });
+    setEditing(true);
+  };
+
+  /**
+   * Details Submission Handler
+   *
+   * Saves the playlist's title, description and visibility.
+   */
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const response = await axios.put(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.PLAYLIST(playlistId)), editData, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      const { title, description, visibility } = response.data.playlist;
+      setPlaylist(prev => ({ ...prev, title, description, visibility }));
+      setEditing(false);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to update playlist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Video Move Handler
+   *
+   * Moves a video one position up or down and saves the new order.
+   * The list is updated optimistically and restored if saving fails.
+   */
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= playlist.videos.length) return;
+
+    const previousVideos = playlist.videos;
+    const videos = [...previousVideos];
+    [videos[index], videos[target]] = [videos[target], videos[index]];
+    setPlaylist(prev => ({ ...prev, videos }));
+    setSaving(true);
+
+    try {
+      await axios.put(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.ORDER(playlistId)), {
+        videoIds: videos.map(video => video._id)
+      }, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+    } catch (error) {
+      setPlaylist(prev => ({ ...prev, videos: previousVideos }));
+      alert(error.response?.data?.message || 'Failed to reorder playlist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Video Removal Handler
+   *
+   * Removes a video from the playlist.
+   */
+  const handleRemove = async (videoId) => {
+    try {
+      await axios.delete(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.VIDEO(playlistId, videoId)), {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setPlaylist(prev => ({ ...prev, videos: prev.videos.filter(video => video._id !== videoId) }));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to remove video');
+    }
+  };
+
+  /**
+   * Playlist Deletion Handler
+   *
+   * Deletes the playlist after confirmation and returns to the home page.
+   */
+  const handleDelete = async () => {
+    if (!window.confirm('Are you sure you want to delete this playlist? The videos themselves are not deleted.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.PLAYLIST(playlistId)), {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      navigate('/');
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to delete playlist');
+    }
+  };
+
+  // Loading state display
+  if (loading) {
+    return (
+      <div className="playlist">
+        <div className="playlist__loading">Loading playlist...</div>
+      </div>
+    );
+  }
+
+  // Error state display
+  if (error || !playlist) {
+    return (
+      <div className="playlist">
+        <div className="playlist__error">
+          <h2>{error || 'Playlist not found'}</h2>
+          <Link to="/">Back to Home</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const visibilityLabel = config.VISIBILITY_OPTIONS.find(option => option.value === playlist.visibility)?.label;
+
+  return (
+    <div className="playlist">
+      {/* Playlist summary panel */}
+      <aside className="playlist__summary">
+        <div className="playlist__cover">
+          {playlist.videos[0] ? (
+            <img src={config.getMediaUrl(playlist.videos[0].thumbnailUrl)} alt={playlist.title} />
+          ) : (
+            <div className="playlist__cover-empty">No videos</div>
+          )}
+        </div>
+
+        {editing ? (
+          <form className="playlist__edit-form" onSubmit={handleEditSubmit}>
+            <input
+              type="text"
+              value={editData.title}
+              onChange={(e) => setEditData(prev => ({ ...prev, title: e.target.value }))}
+              maxLength={150}
+              required
+            />
+            <textarea
+              value={editData.description}
+              onChange={(e) => setEditData(prev => ({ ...prev, description: e.target.value }))}
+              maxLength={1000}
+              rows={3}
+              placeholder="Description"
+            />
+            <select
+              value={editData.visibility}
+              onChange={(e) => setEditData(prev => ({ ...prev, visibility: e.target.value }))}
+            >
+              {config.VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="playlist__edit-actions">
+              <button type="button" className="playlist__btn" onClick={() => setEditing(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="playlist__btn playlist__btn--primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <h1 className="playlist__title">{playlist.title}</h1>
+            <p className="playlist__owner">{playlist.owner?.username}</p>
+            <p className="playlist__meta">
+              {visibilityLabel} • {playlist.videos.length} {playlist.videos.length === 1 ? 'video' : 'videos'}
+            </p>
+            {playlist.hiddenCount > 0 && (
+              <p className="playlist__meta">
+                {playlist.hiddenCount} unavailable {playlist.hiddenCount === 1 ? 'video is' : 'videos are'} hidden
+              </p>
+            )}
+            {playlist.description && <p className="playlist__description">{playlist.description}</p>}
+          </>
+        )}
+
+        {/* Playback and owner actions */}
+        <div className="playlist__actions">
+          <button
+            className="playlist__btn playlist__btn--primary"
+            onClick={() => navigate(getPlaylistVideoPath(playlist.videos[0]._id))}
+            disabled={playlist.videos.length === 0}
+          >
+            ▶ Play all
+          </button>
+          {isOwner && !editing && (
+            <>
+              <button className="playlist__btn" onClick={handleEditStart}>Edit</button>
+              <button className="playlist__btn playlist__btn--danger" onClick={handleDelete}>Delete</button>
+            </>
+          )}
+        </div>
+      </aside>
+
+      {/* Ordered video list */}
+      <div className="playlist__videos">
+        {playlist.videos.length === 0 && (
+          <p className="playlist__empty">This playlist has no videos yet.</p>
+        )}
+        {playlist.videos.map((video, index) => (
+          <div key={video._id} className="playlist__video">
+            <span className="playlist__index">{index + 1}</span>
+            <Link to={getPlaylistVideoPath(video._id)} className="playlist__video-link">
+              <div className="playlist__thumbnail">
+                <img src={config.getMediaUrl(video.thumbnailUrl)} alt={video.title} loading="lazy" />
+                {video.duration && video.duration !== '0:00' && (
+                  <span className="playlist__duration">{video.duration}</span>
+                )}
+              </div>
+              <div className="playlist__video-info">
+                <h3>{video.title}</h3>
+                <p>{video.channelId?.channelName || 'Unknown Channel'} • {(video.views || 0).toLocaleString()} views</p>
+              </div>
+            </Link>
+
+            {/* Owner controls for ordering and removal */}
+            {isOwner && (
+              <div className="playlist__video-actions">
+                <button onClick={() => handleMove(index, -1)} disabled={saving || index === 0} title="Move up">▲</button>
+                <button onClick={() => handleMove(index, 1)} disabled={saving || index === playlist.videos.length - 1} title="Move down">▼</button>
+                <button onClick={() => handleRemove(video._id)} title="Remove from playlist">✕</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Playlist;
@@ -0,0 +1,367 @@
+/**
+ * Search Results Page Component
+ *
+ * Shows the results of the header search: matching channels as cards and
+ * playlists and videos as rows with descriptions, under a collapsible filter
+ * panel for upload date, duration, channel, tags and sort order. Filters
+ * narrow the videos only, so channels and playlists are hidden while any is
+ * active. When no video matches the exact words, typo-tolerant fuzzy
+ * matching takes over, and a "Did you mean" link offers a corrected query.
+ * The query and filters live in the URL (/results?q=...), so filtered
+ * searches can be shared and navigated with the back button.
+ */
+
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import ChannelCard from '../components/ChannelCard';
+import config from '../config.js';
+import { searchAll, searchVideos } from '../utils/search.js';
+import './SearchResults.css';
+
+// Filter panel options per URL parameter, in display order
+const UPLOAD_DATE_OPTIONS = [
+  { value: 'hour', label: 'Last hour' },
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'year', label: 'This year' }
+];
+const DURATION_OPTIONS = [
+  { value: 'short', label: 'Under 4 minutes' },
+  { value: 'medium', label: '4–20 minutes' },
+  { value: 'long', label: 'Over 20 minutes' }
+];
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'date', label: 'Upload date' },
+  { value: 'views', label: 'View count' },
+  { value: 'rating', label: 'Rating' }
+];
+
+// URL parameters that narrow the results (sort only reorders them)
+const FILTER_PARAMS = ['date', 'duration', 'channel', 'tags'];
+
+// Most channels and playlists shown above the videos
+const MAX_OTHER_RESULTS = 3;
+
+/**
+ * Filters Reader
+ *
+ * Reads the search filters from the URL parameters.
+ */
+const readFilters = (searchParams) => ({
+  sort: searchParams.get('sort') || undefined,
+  date: searchParams.get('date') || undefined,
+  duration: searchParams.get('duration') || undefined,
+  channel: searchParams.get('channel') || undefined,
+  tags: searchParams.get('tags') ? searchParams.get('tags').split(',') : []
+});
+
+/**
+ * Search Results Page Component
+ *
+ * Result count and filter toggle above the filter panel and results, with
+ * "load more" pagination for the videos.
+ */
+const SearchResults = () => {
+  // Query and filters from the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const filters = readFilters(searchParams);
+  const activeFilterCount = FILTER_PARAMS.filter(name => searchParams.get(name)).length;
+
+  // Results state
+  const [videos, setVideos] = useState([]); // Result videos loaded so far
+  const [total, setTotal] = useState(0); // Total number of matching videos
+  const [channels, setChannels] = useState([]); // Best matching channels
+  const [playlists, setPlaylists] = useState([]); // Best matching public playlists
+  const [otherTotal, setOtherTotal] = useState(0); // Total number of matching channels and playlists
+  const [searchMode, setSearchMode] = useState('text'); // 'fuzzy' after falling back from no exact matches
+  const [didYouMean, setDidYouMean] = useState(null); // Corrected query suggested by the server
+  const [facets, setFacets] = useState({ channels: [], tags: [] }); // Common channels and tags among matches
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page, null at the end
+
+  // UI state
+  const [loading, setLoading] = useState(true); // Loading state for the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for later pages
+  const [showFilters, setShowFilters] = useState(false); // Filter panel visibility
+
+  /**
+   * Search Effect
+   *
+   * Loads the matching channels and playlists, the first page of videos and
+   * the facets whenever the query or filters in the URL change. Falls back
+   * to fuzzy search when no video matches the exact words.
+   */
+  useEffect(() => {
+    const searchQuery = searchParams.get('q');
+    if (!searchQuery) {
+      setVideos([]);
+      setLoading(false);
+      return;
+    }
+
+    const filtered = FILTER_PARAMS.some(name => searchParams.get(name));
+
+    window.scrollTo(0, 0);
+    setLoading(true);
+    Promise.all([
+      searchVideos({ query: searchQuery, filters: readFilters(searchParams), facets: true }),
+      filtered ? [] : searchAll(searchQuery, { types: ['channels', 'playlists'], limit: MAX_OTHER_RESULTS })
+    ])
+      .then(async ([textData, groups]) => {
+        const mode = textData.total === 0 ? 'fuzzy' : 'text';
+        const data = mode === 'fuzzy'
+          ? await searchVideos({ query: searchQuery, filters: readFilters(searchParams), facets: true, mode })
+          : textData;
+
+        const groupOf = (type) => groups.find(group => group.type === type) || { results: [], total: 0 };
+        setSearchMode(mode);
+        setDidYouMean(data.didYouMean || textData.didYouMean || null);
+        setVideos(data.videos);
+        setTotal(data.total);
+        setFacets(data.facets);
+        setNextCursor(data.nextCursor);
+        setChannels(groupOf('channels').results);
+        setPlaylists(groupOf('playlists').results);
+        setOtherTotal(groupOf('channels').total + groupOf('playlists').total);
+      })
+      .catch(error => console.error('Error searching:', error))
+      .finally(() => setLoading(false));
+  }, [searchParams]);
+
+  /**
+   * Load More Handler
+   *
+   * Appends the next page of videos.
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await searchVideos({ query, filters, cursor: nextCursor, mode: searchMode });
+      setVideos(prev => [...prev, ...data.videos]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error('Error searching videos:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Filter Change Handler
+   *
+   * Sets a URL parameter, or removes it when the value is empty or the
+   * active option is clicked again.
+   */
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (!value || searchParams.get(name) === value) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+    setSearchParams(next);
+  };
+
+  /**
+   * Tag Toggle Handler
+   *
+   * Adds a tag to the tag filter, or removes it when already selected.
+   */
+  const toggleTag = (tag) => {
+    const tags = filters.tags.includes(tag)
+      ? filters.tags.filter(selected => selected !== tag)
+      : [...filters.tags, tag];
+    setFilter('tags', tags.join(','));
+  };
+
+  /**
+   * Clear Filters Handler
+   *
+   * Removes every filter but keeps the query and sort order.
+   */
+  const clearFilters = () => {
+    const next = new URLSearchParams(searchParams);
+    FILTER_PARAMS.forEach(name => next.delete(name));
+    setSearchParams(next);
+  };
+
+  // Same search with the suggested spelling
+  const correctedSearch = new URLSearchParams(searchParams);
+  if (didYouMean) correctedSearch.set('q', didYouMean);
+
+  // Renders one filter group as a list of toggle buttons
+  const renderOptions = (name, options) => options.map(option => (
+    <button
+      key={option.value}
+      className={`search-results__option ${searchParams.get(name) === option.value ? 'search-results__option--active' : ''}`}
+      onClick={() => setFilter(name, option.value)}
+    >
+      {option.label}
+    </button>
+  ));
+
+  // No query to search for
+  if (!query) {
+    return (
+      <div className="search-results">
+        <div className="search-results__message">
+          <h2>Search for videos</h2>
+          <p>Type something in the search bar to get started.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-results">
+      {/* Result count and filter panel toggle */}
+      <div className="search-results__toolbar">
+        <p className="search-results__summary">
+          {loading ? 'Searching...' : `${total + otherTotal} ${total + otherTotal === 1 ? 'result' : 'results'} for "${query}"`}
+        </p>
+        <button
+          className={`search-results__filters-toggle ${showFilters ? 'search-results__filters-toggle--open' : ''}`}
+          onClick={() => setShowFilters(prev => !prev)}
+        >
+          ☰ Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+        </button>
+      </div>
+
+      {/* Spelling correction and fuzzy fallback notice */}
+      {!loading && (didYouMean || searchMode === 'fuzzy') && (
+        <div className="search-results__spelling">
+          {didYouMean && (
+            <p>
+              Did you mean: <Link to={`/results?${correctedSearch}`}>{didYouMean}</Link>
+            </p>
+          )}
+          {searchMode === 'fuzzy' && videos.length > 0 && (
+            <p className="search-results__fuzzy-note">
+              No exact matches for "{query}". Showing similar results.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Filter panel */}
+      {showFilters && (
+        <div className="search-results__filters">
+          <div className="search-results__filter-group">
+            <h4>Upload date</h4>
+            {renderOptions('date', UPLOAD_DATE_OPTIONS)}
+          </div>
+          <div className="search-results__filter-group">
+            <h4>Duration</h4>
+            {renderOptions('duration', DURATION_OPTIONS)}
+          </div>
+          <div className="search-results__filter-group">
+            <h4>Channel</h4>
+            {facets.channels.length === 0 && <span className="search-results__no-options">No channels</span>}
+            {renderOptions('channel', facets.channels.map(channel => ({
+              value: channel._id,
+              label: `${channel.channelName} (${channel.count})`
+            })))}
+          </div>
+          <div className="search-results__filter-group">
+            <h4>Tags</h4>
+            {facets.tags.length === 0 && filters.tags.length === 0 && (
+              <span className="search-results__no-options">No tags</span>
+            )}
+            {/* Selected tags stay listed even when no longer among the most common */}
+            {[...new Set([...filters.tags, ...facets.tags.map(entry => entry.tag)])].map(tag => (
+              <button
+                key={tag}
+                className={`search-results__option ${filters.tags.includes(tag) ? 'search-results__option--active' : ''}`}
+                onClick={() => toggleTag(tag)}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+          <div className="search-results__filter-group">
+            <h4>Sort by</h4>
+            {SORT_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                className={`search-results__option ${(filters.sort || 'relevance') === option.value ? 'search-results__option--active' : ''}`}
+                onClick={() => setFilter('sort', option.value === 'relevance' ? '' : option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {activeFilterCount > 0 && (
+            <button className="search-results__clear" onClick={clearFilters}>
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="search-results__message">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : videos.length === 0 && channels.length === 0 && playlists.length === 0 ? (
+        /* Empty state when nothing matches */
+        <div className="search-results__message">
+          <h2>No results found</h2>
+          <p>Try different keywords{activeFilterCount > 0 && ' or remove some filters'}.</p>
+        </div>
+      ) : (
+        /* Channel cards, then playlist and video rows */
+        <div className="search-results__list">
+          {channels.length > 0 && (
+            <div className="search-results__channels">
+              {channels.map(channel => (
+                <ChannelCard key={channel._id} channel={channel} />
+              ))}
+            </div>
+          )}
+          {playlists.map(playlist => (
+            <Link key={playlist._id} to={`/playlist/${playlist._id}`} className="search-results__item">
+              <div className="search-results__thumbnail">
+                {playlist.thumbnailUrl && (
+                  <img src={config.getMediaUrl(playlist.thumbnailUrl)} alt={playlist.title} loading="lazy" />
+                )}
+                <span className="search-results__playlist-count">☰ {playlist.videoCount} videos</span>
+              </div>
+              <div className="search-results__info">
+                <h3>{playlist.title}</h3>
+                <p className="search-results__channel">{playlist.owner?.username || 'Unknown user'} • Playlist</p>
+                <p className="search-results__description">{playlist.description}</p>
+                <p className="search-results__playlist-link">View full playlist</p>
+              </div>
+            </Link>
+          ))}
+          {videos.map(video => (
+            <Link key={video._id} to={`/video/${video._id}`} className="search-results__item">
+              <div className="search-results__thumbnail">
+                <img src={config.getMediaUrl(video.thumbnailUrl)} alt={video.title} loading="lazy" />
+                {video.duration && video.duration !== '0:00' && (
+                  <span className="search-results__duration">{video.duration}</span>
+                )}
+              </div>
+              <div className="search-results__info">
+                <h3>{video.title}</h3>
+                <p>{(video.views || 0).toLocaleString()} views • {new Date(video.uploadDate).toLocaleDateString()}</p>
+                <p className="search-results__channel">{video.channelId?.channelName || 'Unknown Channel'}</p>
+                <p className="search-results__description">{video.description}</p>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {!loading && nextCursor && (
+        <button className="search-results__load-more" onClick={handleLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -0,0 +1,137 @@
+/**
+ * Trending Page Component
+ *
+ * Shows the videos with the most recent engagement, ranked by the backend's
+ * periodically recomputed trending score, with category filtering and
+ * "load more" pagination. Shares the home page layout.
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import VideoCard from '../components/VideoCard';
+import config from '../config.js';
+import { useCategories } from '../utils/categories.js';
+import './Home.css';
+import './Trending.css';
+
+/**
+ * Trending Page Loader
+ *
+ * Fetches one page of trending videos, optionally limited to a category.
+ */
+const fetchTrending = async (category, page) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.TRENDING), {
+    params: { page, category: category === 'All' ? undefined : category }
+  });
+  return response.data;
+};
+
+/**
+ * Trending Page Component
+ *
+ * Category filters above a ranked video grid.
+ */
+const Trending = () => {
+  // Category filter labels; 'All' shows every category
+  const categories = ['All', ...useCategories().map(category => category.label)];
+
+  // Trending data state
+  const [videos, setVideos] = useState([]); // Ranked videos loaded so far
+  const [page, setPage] = useState(1); // Last loaded page
+  const [totalPages, setTotalPages] = useState(0); // Total number of pages
+  const [selectedCategory, setSelectedCategory] = useState('All'); // Currently selected category filter
+
+  // UI state
+  const [loading, setLoading] = useState(true); // Loading state for the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for later pages
+
+  /**
+   * Trending Loading Effect
+   *
+   * Loads the first page whenever the selected category changes.
+   */
+  useEffect(() => {
+    window.scrollTo(0, 0);
+    setLoading(true);
+    fetchTrending(selectedCategory, 1)
+      .then(data => {
+        setVideos(data.videos);
+        setPage(data.currentPage);
+        setTotalPages(data.totalPages);
+      })
+      .catch(error => console.error('Error fetching trending videos:', error))
+      .finally(() => setLoading(false));
+  }, [selectedCategory]);
+
+  /**
+   * Load More Handler
+   *
+   * Appends the next page of trending videos.
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchTrending(selectedCategory, page + 1);
+      setVideos(prev => [...prev, ...data.videos]);
+      setPage(data.currentPage);
+      setTotalPages(data.totalPages);
+    } catch (error) {
+      console.error('Error fetching trending videos:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="home">
+      <div className="trending__header">
+        <h1>🔥 Trending</h1>
+        <p>Videos getting the most views, likes and comments right now</p>
+      </div>
+
+      {/* Category filter section */}
+      <div className="home__filters">
+        {categories.map((category) => (
+          <button
+            key={category}
+            className={`filter-btn ${selectedCategory === category ? 'filter-btn--active' : ''}`}
+            onClick={() => setSelectedCategory(category)}
+          >
+            {category}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="home__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading trending videos...</p>
+        </div>
+      ) : videos.length === 0 ? (
+        /* Empty state when nothing has recent engagement */
+        <div className="home__no-videos">
+          <h2>Nothing is trending yet</h2>
+          <p>Check back soon or try a different category.</p>
+        </div>
+      ) : (
+        /* Ranked video grid */
+        <div className="home__videos">
+          {videos.map((video, index) => (
+            <div key={video._id} className="trending__item">
+              <span className="trending__rank">#{index + 1}</span>
+              <VideoCard video={video} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!loading && page < totalPages && (
+        <button className="trending__load-more" onClick={handleLoadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Trending;
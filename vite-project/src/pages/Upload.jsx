@@ -2,21 +2,54 @@
  * Upload Page Component
  * 
  * Video upload page that allows authenticated users to upload videos to their channels.
- * Provides comprehensive form for video metadata, channel selection, and file URLs.
+ * Provides comprehensive form for video metadata, channel selection, and media file uploads.
  * Includes validation, error handling, and automatic channel detection.
+ * Videos are sent through the resumable upload API so interrupted uploads can continue.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
+import config from '../config.js';
+import { useCategories } from '../utils/categories.js';
+import {
+  uploadFileResumable,
+  finalizeUpload,
+  getPendingUploads,
+  getFileFingerprint,
+  clearPendingUpload,
+  cancelUpload
+} from '../utils/resumableUpload.js';
 import './Upload.css';
 
+// Default form values for a new upload
+const initialFormData = {
+  title: '',
+  description: '',
+  channelId: '',
+  category: 'Technology',
+  visibility: 'public',
+  publishAt: '', // Local date-time for scheduled publishing (empty publishes immediately)
+  tags: ''
+};
+
+/**
+ * Date-Time Input Formatter
+ * 
+ * Formats a date as the local "YYYY-MM-DDTHH:mm" value used by datetime-local inputs.
+ */
+const toDateTimeInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
 /**
  * Upload Page Component
  * 
  * Comprehensive video upload interface with channel selection and metadata management.
  * Features automatic channel detection, form validation, and user-friendly error handling.
+ * Shows per-chunk progress and offers to resume uploads interrupted by a reload.
  * Redirects users to video player page after successful upload.
  */
 const Upload = () => {
@@ -28,28 +61,27 @@ const Upload = () => {
   const [channels, setChannels] = useState([]); // User's available channels
   const [loading, setLoading] = useState(false); // Loading state during upload
   const [error, setError] = useState(''); // Error message display
+  const [uploadProgress, setUploadProgress] = useState({ percent: 0, chunk: 0, totalChunks: 0 }); // Chunked upload progress
+  
+  // Unfinished uploads remembered from earlier visits
+  const [pendingUploads, setPendingUploads] = useState(() => Object.entries(getPendingUploads()));
   
-  // Form data state with default values
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    videoUrl: '',
-    thumbnailUrl: '',
-    channelId: '',
-    category: 'Technology',
-    tags: ''
-  });
+  // Selected media files
+  const [videoFile, setVideoFile] = useState(null); // Video file (MP4/WebM)
+  const [thumbnailFile, setThumbnailFile] = useState(null); // Thumbnail image
+  
+  // Form data state, restored from the most recent interrupted upload if any
+  const [formData, setFormData] = useState(() => ({
+    ...initialFormData,
+    ...pendingUploads[pendingUploads.length - 1]?.[1].metadata
+  }));
 
   /**
    * Available Video Categories
    * 
-   * Predefined list of video categories for consistent classification.
-   * Matches categories used in other components for platform consistency.
+   * Category list loaded from the API, shared by videos and channels.
    */
-  const categories = [
-    'Gaming', 'Education', 'Entertainment', 'Technology', 'Music', 
-    'Sports', 'News', 'Lifestyle', 'Comedy', 'Travel', 'Food', 'Fitness'
-  ];
+  const categories = useCategories();
 
   /**
    * Channel Fetching Effect
@@ -101,12 +133,66 @@ const Upload = () => {
     }));
   };
 
+  /**
+   * File Input Change Handler
+   * 
+   * Validates the selected file's type and size before accepting it.
+   * Mirrors the backend limits so users get immediate feedback.
+   */
+  const handleFileChange = (e) => {
+    const { name, files } = e.target;
+    const file = files[0] || null;
+    const { UPLOAD_LIMITS } = config;
+
+    if (file) {
+      const isVideo = name === 'video';
+      const allowedTypes = isVideo ? UPLOAD_LIMITS.VIDEO_TYPES : UPLOAD_LIMITS.IMAGE_TYPES;
+      const maxSize = isVideo ? UPLOAD_LIMITS.MAX_VIDEO_SIZE : UPLOAD_LIMITS.MAX_THUMBNAIL_SIZE;
+
+      if (!allowedTypes.includes(file.type)) {
+        setError(isVideo ? 'Video must be an MP4 or WebM file' : 'Thumbnail must be a JPEG, PNG or WebP image');
+        e.target.value = '';
+        return;
+      }
+
+      if (file.size > maxSize) {
+        setError(`${isVideo ? 'Video' : 'Thumbnail'} cannot exceed ${Math.round(maxSize / (1024 * 1024))} MB`);
+        e.target.value = '';
+        return;
+      }
+    }
+
+    setError('');
+    if (name === 'video') {
+      setVideoFile(file);
+    } else {
+      setThumbnailFile(file);
+    }
+  };
+
+  // Interrupted upload matching the selected video file, if any
+  const resumableUpload = videoFile ? getPendingUploads()[getFileFingerprint(videoFile)] : null;
+
+  /**
+   * Pending Upload Discard Handler
+   * 
+   * Forgets an interrupted upload so the next attempt starts from scratch.
+   */
+  const handleDiscardPending = async (fingerprint, upload) => {
+    setPendingUploads(prev => prev.filter(([key]) => key !== fingerprint));
+    try {
+      await cancelUpload(fingerprint, upload.uploadId);
+    } catch (error) {
+      console.error('Error cancelling upload:', error);
+    }
+  };
+
   /**
    * Form Submission Handler
    * 
    * Processes video upload form submission with comprehensive validation.
-   * Converts tags from comma-separated string to array format.
-   * Sends video data to API and redirects to video player on success.
+   * Uploads the video in resumable chunks, then finalizes it with the metadata
+   * and thumbnail as multipart form data. Redirects to video player on success.
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -117,28 +203,48 @@ const Upload = () => {
       return;
     }
 
+    // Validate the scheduled publish time before submission
+    if (formData.publishAt && new Date(formData.publishAt) <= new Date()) {
+      setError('Scheduled publish time must be in the future');
+      return;
+    }
+
+    // Validate media selection before submission
+    if (!videoFile || !thumbnailFile) {
+      setError('Please select a video file and a thumbnail image');
+      return;
+    }
+
     setLoading(true);
     setError('');
+    setUploadProgress({ percent: 0, chunk: 0, totalChunks: 0 });
 
     try {
-      // Convert tags string to array format for API
-      const tagsArray = formData.tags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
-
-      // Prepare video data with processed tags
-      const videoData = {
-        ...formData,
-        tags: tagsArray
-      };
-
-      // Send video upload request to API
-      const response = await axios.post('http://localhost:5000/api/videos', videoData, {
-        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      // Send the video in chunks, resuming an earlier session for the same file
+      const { uploadId, fingerprint } = await uploadFileResumable(videoFile, {
+        metadata: formData,
+        onProgress: ({ loaded, total, chunk, totalChunks }) => {
+          setUploadProgress({ percent: Math.round((loaded / total) * 100), chunk, totalChunks });
+        }
+      });
+
+      // Build multipart payload (tags are sent comma-separated and parsed by the API)
+      // The publish time is converted from local time to an ISO timestamp
+      const videoData = new FormData();
+      Object.entries(formData).forEach(([key, value]) => {
+        if (key === 'publishAt') {
+          if (value) videoData.append(key, new Date(value).toISOString());
+          return;
+        }
+        videoData.append(key, value);
       });
+      videoData.append('thumbnail', thumbnailFile);
+
+      // Publish the completed upload with its metadata
+      const response = await finalizeUpload(uploadId, videoData);
 
       if (response.data.message === 'Video uploaded successfully') {
+        clearPendingUpload(fingerprint);
         // Redirect to the uploaded video player page
         navigate(`/video/${response.data.video._id}`);
       }
@@ -193,6 +299,27 @@ const Upload = () => {
           <p>Share your content with the world</p>
         </div>
 
+        {/* Interrupted uploads that can be resumed by selecting the same file */}
+        {pendingUploads.length > 0 && (
+          <div className="upload__pending">
+            {pendingUploads.map(([fingerprint, upload]) => (
+              <div key={upload.uploadId} className="upload__pending-item">
+                <p>
+                  Interrupted upload: <strong>{upload.fileName}</strong> ({Math.round(((upload.offset || 0) / upload.totalSize) * 100)}% uploaded).
+                  Select the same file to resume.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => handleDiscardPending(fingerprint, upload)}
+                  className="upload__btn upload__btn--cancel"
+                >
+                  Discard
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Video upload form */}
         <form onSubmit={handleSubmit} className="upload__form">
           {/* Video title input field */}
@@ -255,41 +382,80 @@ const Upload = () => {
               required
             >
               {categories.map(category => (
-                <option key={category} value={category}>
-                  {category}
+                <option key={category.slug} value={category.label}>
+                  {category.label}
                 </option>
               ))}
             </select>
           </div>
 
-          {/* Video URL input with help text */}
+          {/* Visibility selection with explanation of the chosen option */}
           <div className="upload__field">
-            <label htmlFor="videoUrl">Video URL *</label>
+            <label htmlFor="visibility">Visibility *</label>
+            <select
+              id="visibility"
+              name="visibility"
+              value={formData.visibility}
+              onChange={handleChange}
+              required
+            >
+              {config.VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <small>{config.VISIBILITY_OPTIONS.find(option => option.value === formData.visibility)?.description}</small>
+          </div>
+
+          {/* Optional scheduled publishing time */}
+          <div className="upload__field">
+            <label htmlFor="publishAt">Publish Time (Optional)</label>
             <input
-              type="url"
-              id="videoUrl"
-              name="videoUrl"
-              value={formData.videoUrl}
+              type="datetime-local"
+              id="publishAt"
+              name="publishAt"
+              value={formData.publishAt}
+              min={toDateTimeInputValue(new Date())}
               onChange={handleChange}
+            />
+            <small>
+              {formData.publishAt
+                ? `Stays hidden until ${new Date(formData.publishAt).toLocaleString()}`
+                : 'Leave empty to publish immediately'}
+            </small>
+          </div>
+
+          {/* Video file input with help text */}
+          <div className="upload__field">
+            <label htmlFor="video">Video File *</label>
+            <input
+              type="file"
+              id="video"
+              name="video"
+              accept={config.UPLOAD_LIMITS.VIDEO_TYPES.join(',')}
+              onChange={handleFileChange}
               required
-              placeholder="https://example.com/video.mp4"
             />
-            <small>Provide a direct link to your video file</small>
+            <small>
+              {resumableUpload
+                ? `Resuming interrupted upload from ${Math.round(((resumableUpload.offset || 0) / resumableUpload.totalSize) * 100)}%`
+                : `MP4 or WebM, up to ${Math.round(config.UPLOAD_LIMITS.MAX_VIDEO_SIZE / (1024 * 1024))} MB`}
+            </small>
           </div>
 
-          {/* Thumbnail URL input with help text */}
+          {/* Thumbnail file input with help text */}
           <div className="upload__field">
-            <label htmlFor="thumbnailUrl">Thumbnail URL *</label>
+            <label htmlFor="thumbnail">Thumbnail Image *</label>
             <input
-              type="url"
-              id="thumbnailUrl"
-              name="thumbnailUrl"
-              value={formData.thumbnailUrl}
-              onChange={handleChange}
+              type="file"
+              id="thumbnail"
+              name="thumbnail"
+              accept={config.UPLOAD_LIMITS.IMAGE_TYPES.join(',')}
+              onChange={handleFileChange}
               required
-              placeholder="https://example.com/thumbnail.jpg"
             />
-            <small>Provide a link to your video thumbnail image</small>
+            <small>JPEG, PNG or WebP, up to {Math.round(config.UPLOAD_LIMITS.MAX_THUMBNAIL_SIZE / (1024 * 1024))} MB</small>
           </div>
 
           {/* Optional tags input with help text */}
@@ -306,6 +472,17 @@ const Upload = () => {
             <small>Separate tags with commas</small>
           </div>
 
+          {/* Upload progress bar - only shown while uploading */}
+          {loading && (
+            <div className="upload__progress">
+              <div className="upload__progress-bar" style={{ width: `${uploadProgress.percent}%` }}></div>
+              <span className="upload__progress-label">
+                {uploadProgress.percent}%
+                {uploadProgress.totalChunks > 0 && ` · chunk ${Math.min(uploadProgress.chunk + 1, uploadProgress.totalChunks)} of ${uploadProgress.totalChunks}`}
+              </span>
+            </div>
+          )}
+
           {/* Error message display */}
           {error && (
             <div className="upload__error">
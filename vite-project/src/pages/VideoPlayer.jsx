@@ -3,18 +3,52 @@
  * 
  * Main video playback page featuring video player, metadata display, like/dislike system,
  * and comments functionality. Handles view tracking, user interactions, and real-time
- * comment management for authenticated users.
+ * comment management for authenticated users. With a `?list=` playlist ID the player
+ * runs in playlist mode with previous/next controls and a side queue.
  */
 
-import { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import Comment from '../components/Comment.jsx';
+import CommentSkeleton from '../components/CommentSkeleton.jsx';
 import ProfileIcon from '../components/ProfileIcon';
+import SaveToPlaylistModal from '../components/SaveToPlaylistModal';
+import { isInWatchLater, toggleWatchLater, fetchWatchLater } from '../utils/watchLater.js';
+import { recordWatch } from '../utils/watchHistory.js';
+import { fetchLikedVideos } from '../utils/likedVideos.js';
+import { reportView, getViewerHeaders, saveViewerToken } from '../utils/views.js';
+import { createPlaybackTracker } from '../utils/analytics.js';
+import { useInfiniteScroll } from '../utils/infiniteScroll.js';
 import axios from 'axios';
 import config from '../config.js';
 import './VideoPlayer.css';
 
+// Seconds of playback between watch history position updates
+const HISTORY_UPDATE_INTERVAL = 15;
+
+// Saved positions this close to the start or end are not resumed
+const RESUME_MARGIN = 5;
+
+// Larger jumps between playback time updates are seeks, not watched time
+const MAX_PLAYBACK_STEP = 1;
+
+// Number of most recent likes played from the liked videos list
+const LIKED_QUEUE_SIZE = 100;
+
+// Placeholder comments shown while the first page loads, and below the list for the next
+const COMMENT_SKELETON_COUNT = 4;
+const MORE_COMMENT_SKELETON_COUNT = 2;
+
+// localStorage key remembering the "Autoplay" toggle of the Up next column
+const AUTOPLAY_STORAGE_KEY = 'autoplayNext';
+
+// Pages for the special `?list=` IDs that are not stored playlists
+const SPECIAL_LIST_PATHS = {
+  [config.WATCH_LATER_LIST_ID]: '/watch-later',
+  [config.LIKED_LIST_ID]: '/liked'
+};
+
 /**
  * VideoPlayer Page Component
  * 
@@ -26,18 +60,47 @@ import './VideoPlayer.css';
 const VideoPlayer = () => {
   // Route parameters and authentication
   const { videoId } = useParams(); // Video ID from URL
-  const { isAuthenticated } = useAuth(); // User authentication status
+  const [searchParams] = useSearchParams();
+  const playlistId = searchParams.get('list'); // Playlist being played, if any
+  const { user, isAuthenticated, updateUser } = useAuth(); // User authentication status and Watch Later queue
+  const navigate = useNavigate(); // Moves between playlist videos
   
   // Video and comments data state
   const [video, setVideo] = useState(null); // Current video data
-  const [comments, setComments] = useState([]); // Video comments array
+  const [comments, setComments] = useState([]); // Video comments loaded so far
+  const [commentTotal, setCommentTotal] = useState(0); // Number of comments on the video
+  const [commentsCursor, setCommentsCursor] = useState(null); // Cursor of the next page of comments, null at the end
+  const [commentsLoading, setCommentsLoading] = useState(true); // Loading state for the first page of comments
+  const [loadingMoreComments, setLoadingMoreComments] = useState(false); // Loading state for further pages of comments
   const [newComment, setNewComment] = useState(''); // New comment input value
   
   // UI and interaction state
   const [loading, setLoading] = useState(true); // Loading state for API calls
   const [liked, setLiked] = useState(false); // User's like status
   const [disliked, setDisliked] = useState(false); // User's dislike status
-  const [viewIncremented, setViewIncremented] = useState(false); // View count tracking
+  const [showSaveModal, setShowSaveModal] = useState(false); // "Save to playlist" dialog visibility
+  
+  // Playlist mode state
+  const [playlist, setPlaylist] = useState(null); // Playlist with its videos in order
+
+  // Up next state
+  const [relatedVideos, setRelatedVideos] = useState([]); // Recommended videos, best match first
+  const [autoplay, setAutoplay] = useState(() => localStorage.getItem(AUTOPLAY_STORAGE_KEY) !== 'false'); // Play the top recommendation when a video ends
+  
+  // Last playback position sent to watch history (null until playback starts)
+  const lastRecordedPosition = useRef(null);
+
+  // Seconds of the current video actually played (seeks excluded), the last
+  // playback time seen, and whether the view was already reported
+  const watchedSeconds = useRef(0);
+  const lastPlaybackTime = useRef(null);
+  const viewReported = useRef(false);
+
+  // Sends playback progress heartbeats for the analytics
+  const [playbackTracker] = useState(createPlaybackTracker);
+
+  // Identifies the latest comments request so pages of a previous video are dropped
+  const commentsRequestRef = useRef(0);
 
   /**
    * Video Data Fetcher
@@ -47,8 +110,11 @@ const VideoPlayer = () => {
    */
   const fetchVideo = async () => {
     try {
-      const response = await axios.get(`${config.API_BASE_URL}${config.API_ENDPOINTS.VIDEOS.BASE}/${videoId}`);
+      const response = await axios.get(`${config.API_BASE_URL}${config.API_ENDPOINTS.VIDEOS.BASE}/${videoId}`, {
+        headers: getViewerHeaders()
+      });
       setVideo(response.data);
+      saveViewerToken(response.data.viewerToken);
       
       // Set initial like/dislike state from backend user status
       if (response.data.userStatus) {
@@ -63,61 +129,262 @@ const VideoPlayer = () => {
   };
 
   /**
-   * View Count Incrementer
+   * View Reporter
    * 
-   * Increments video view count once per authenticated user session.
-   * Updates local video state to reflect the new view count immediately.
-   * Prevents duplicate view counting on page refreshes.
+   * Reports the watched time once it reaches the video's view threshold.
+   * The server decides whether the view counts (once per viewer within its
+   * deduplication window); counted views update the displayed count.
    */
-  const incrementView = async () => {
-    if (!isAuthenticated || viewIncremented) return;
-    
+  const countView = async () => {
     try {
-      await axios.post(`${config.API_BASE_URL}${config.API_ENDPOINTS.VIDEOS.VIEW(videoId)}`, {}, {
-        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
-      });
-      setViewIncremented(true);
-      
-      // Update local view count for immediate UI feedback
-      setVideo(prev => prev ? { ...prev, views: (prev.views || 0) + 1 } : null);
+      const result = await reportView(videoId, video.viewToken, watchedSeconds.current);
+      if (result.counted) {
+        setVideo(prev => prev ? { ...prev, views: result.views } : null);
+      }
     } catch (error) {
-      console.error('Failed to increment view:', error);
+      console.error('Failed to report view:', error);
     }
   };
 
   /**
    * Comments Fetcher
    * 
-   * Retrieves all comments for the current video from the API.
-   * Handles different response formats gracefully.
+   * Retrieves one page of comments for the current video from the API,
+   * newest first. Without a cursor the list is replaced by the first page;
+   * with one the page is appended.
    */
-  const fetchComments = async () => {
+  const fetchComments = async (cursor = null) => {
+    const requestId = ++commentsRequestRef.current;
+
     try {
-      const response = await axios.get(`${config.API_BASE_URL}${config.API_ENDPOINTS.COMMENTS.VIDEO(videoId)}`);
-      setComments(response.data.comments || response.data);
+      if (cursor) {
+        setLoadingMoreComments(true);
+      } else {
+        setCommentsLoading(true);
+      }
+
+      const response = await axios.get(`${config.API_BASE_URL}${config.API_ENDPOINTS.COMMENTS.VIDEO(videoId)}`, {
+        params: cursor ? { cursor } : {}
+      });
+      if (requestId !== commentsRequestRef.current) return;
+
+      setComments(prev => cursor ? [...prev, ...response.data.comments] : response.data.comments);
+      setCommentTotal(response.data.total);
+      setCommentsCursor(response.data.nextCursor);
     } catch {
       console.error('Failed to load comments');
+    } finally {
+      if (requestId === commentsRequestRef.current) {
+        setCommentsLoading(false);
+        setLoadingMoreComments(false);
+      }
     }
   };
 
+  // Load the next page of comments when the end of the list scrolls into view
+  const commentsSentinelRef = useInfiniteScroll(
+    () => fetchComments(commentsCursor),
+    Boolean(commentsCursor) && !commentsLoading && !loadingMoreComments
+  );
+
   /**
    * Initialization Effect
    * 
-   * Loads video data and comments when component mounts.
-   * Scrolls to top of page and increments view count for authenticated users.
-   * Manages view counting to prevent duplicate increments.
+   * Loads video data and comments when component mounts or the video changes
+   * (e.g., when a playlist advances). Scrolls to top of page. Views are
+   * reported from playback progress instead (see handleTimeUpdate).
    */
   useEffect(() => {
     // Scroll to top when video player loads
     window.scrollTo(0, 0);
     fetchVideo();
     fetchComments();
-    
-    // Increment view count once when video loads for authenticated users
-    if (isAuthenticated && !viewIncremented) {
-      incrementView();
+  }, [videoId]);
+
+  /**
+   * Playback Heartbeat Flush Effect
+   * 
+   * Sends the playback not yet reported when leaving the video (another
+   * video, another page, or closing the tab).
+   */
+  useEffect(() => {
+    const handlePageHide = () => playbackTracker.flush({ keepalive: true });
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      playbackTracker.flush();
+    };
+  }, [videoId, playbackTracker]);
+
+  /**
+   * Playlist Loading Effect
+   * 
+   * Loads the playlist named in the `list` query parameter for playlist mode.
+   * The special Watch Later and liked videos list IDs play the user's Watch
+   * Later queue and most recent likes.
+   */
+  useEffect(() => {
+    if (!playlistId) {
+      setPlaylist(null);
+      return;
     }
-  }, [isAuthenticated, viewIncremented]);
+
+    if (playlistId === config.WATCH_LATER_LIST_ID) {
+      fetchWatchLater()
+        .then(videos => setPlaylist({ _id: playlistId, title: 'Watch later', videos }))
+        .catch(() => setPlaylist(null));
+      return;
+    }
+
+    if (playlistId === config.LIKED_LIST_ID) {
+      fetchLikedVideos({ limit: LIKED_QUEUE_SIZE })
+        .then(data => setPlaylist({ _id: playlistId, title: 'Liked videos', videos: data.videos }))
+        .catch(() => setPlaylist(null));
+      return;
+    }
+
+    axios.get(config.getApiUrl(config.API_ENDPOINTS.PLAYLISTS.PLAYLIST(playlistId)), {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    })
+      .then(response => setPlaylist(response.data.playlist))
+      .catch(() => setPlaylist(null));
+  }, [playlistId]);
+
+  /**
+   * Related Videos Loading Effect
+   * 
+   * Loads the "Up next" recommendations whenever the video changes.
+   */
+  useEffect(() => {
+    setRelatedVideos([]);
+    axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.RELATED(videoId)))
+      .then(response => setRelatedVideos(response.data.videos))
+      .catch(() => console.error('Failed to load related videos'));
+  }, [videoId]);
+
+  /**
+   * Autoplay Toggle Handler
+   * 
+   * Turns autoplay of the next recommendation on or off and remembers the choice.
+   */
+  const handleAutoplayChange = (e) => {
+    setAutoplay(e.target.checked);
+    localStorage.setItem(AUTOPLAY_STORAGE_KEY, String(e.target.checked));
+  };
+
+  // Position of the current video in the playlist and its neighbours
+  const playlistIndex = playlist ? playlist.videos.findIndex(item => item._id === videoId) : -1;
+  const previousVideo = playlistIndex > 0 ? playlist.videos[playlistIndex - 1] : null;
+  const nextVideo = playlistIndex >= 0 ? playlist.videos[playlistIndex + 1] || null : null;
+
+  /**
+   * Playlist Navigation Handler
+   * 
+   * Opens another video of the playlist, staying in playlist mode.
+   */
+  const playPlaylistVideo = (playlistVideo) => {
+    navigate(`/video/${playlistVideo._id}?list=${playlistId}`);
+  };
+
+  /**
+   * Watch Later Toggle Handler
+   * 
+   * Adds the video to (or removes it from) the user's Watch Later queue.
+   */
+  const handleWatchLater = async () => {
+    if (!isAuthenticated) return;
+
+    try {
+      updateUser({ watchLater: await toggleWatchLater(videoId, isInWatchLater(user, videoId)) });
+    } catch (err) {
+      console.error('Failed to update Watch Later:', err);
+    }
+  };
+
+  /**
+   * Watch Position Recorder
+   * 
+   * Saves the playback position to the signed-in user's watch history.
+   */
+  const saveWatchPosition = (position) => {
+    if (!isAuthenticated) return;
+    lastRecordedPosition.current = position;
+    recordWatch(videoId, position);
+  };
+
+  /**
+   * Metadata Loaded Handler
+   * 
+   * Resets the watched time for the newly loaded video and resumes playback
+   * where the user left off, unless the saved position is at the very start
+   * or end of the video.
+   */
+  const handleLoadedMetadata = (e) => {
+    lastRecordedPosition.current = null;
+    watchedSeconds.current = 0;
+    lastPlaybackTime.current = null;
+    viewReported.current = false;
+    playbackTracker.start(video._id);
+    const position = video.userStatus?.position || 0;
+    if (position > RESUME_MARGIN && position < e.target.duration - RESUME_MARGIN) {
+      e.target.currentTime = position;
+    }
+  };
+
+  /**
+   * Playback Progress Handlers
+   * 
+   * Record a watch event when playback starts, then keep the position up to
+   * date periodically and whenever playback pauses. Time updates also add up
+   * the watched time, report the view once it reaches the threshold and feed
+   * the analytics heartbeats, which are also sent on pause.
+   */
+  const handlePlay = (e) => {
+    if (lastRecordedPosition.current === null) {
+      saveWatchPosition(e.target.currentTime);
+    }
+  };
+
+  const handleTimeUpdate = (e) => {
+    const position = e.target.currentTime;
+
+    const step = position - (lastPlaybackTime.current ?? position);
+    if (step > 0 && step <= MAX_PLAYBACK_STEP) {
+      watchedSeconds.current += step;
+      playbackTracker.track(position - step, position);
+    }
+    lastPlaybackTime.current = position;
+
+    if (!viewReported.current && watchedSeconds.current >= (video.viewThreshold ?? 0)) {
+      viewReported.current = true;
+      countView();
+    }
+
+    if (lastRecordedPosition.current !== null && Math.abs(position - lastRecordedPosition.current) >= HISTORY_UPDATE_INTERVAL) {
+      saveWatchPosition(position);
+    }
+  };
+
+  const handlePause = (e) => {
+    saveWatchPosition(e.target.currentTime);
+    playbackTracker.flush();
+  };
+
+  /**
+   * Playback End Handler
+   * 
+   * Advances to the next playlist video when the current one finishes.
+   * Outside a playlist (or after its last video) plays the top
+   * recommendation if autoplay is on.
+   */
+  const handleEnded = () => {
+    if (nextVideo) {
+      playPlaylistVideo(nextVideo);
+    } else if (autoplay && relatedVideos[0]) {
+      navigate(`/video/${relatedVideos[0]._id}`);
+    }
+  };
 
   /**
    * Like Action Handler
@@ -227,6 +494,7 @@ const VideoPlayer = () => {
       if (response.data.success) {
         // Add new comment to beginning of comments list
         setComments(prev => [response.data.comment, ...prev]);
+        setCommentTotal(prev => prev + 1);
         setNewComment(''); // Clear comment input
       }
     } catch (err) {
@@ -259,6 +527,7 @@ const VideoPlayer = () => {
    */
   const handleCommentDelete = (commentId) => {
     setComments(prev => prev.filter(comment => comment._id !== commentId));
+    setCommentTotal(prev => prev - 1);
   };
 
   // Loading state display
@@ -292,13 +561,23 @@ const VideoPlayer = () => {
         <div className="video-player__container">
         {/* Video Player Section */}
         <div className="video-player__video">
+          {/* Keyed by video so the element reloads when a playlist advances */}
           <video 
+            key={video._id}
             controls 
             width="100%" 
             height="auto"
-            poster={video.thumbnailUrl}
+            preload="metadata"
+            autoPlay={Boolean(playlist) || autoplay}
+            onLoadedMetadata={handleLoadedMetadata}
+            onPlay={handlePlay}
+            onTimeUpdate={handleTimeUpdate}
+            onPause={handlePause}
+            onEnded={handleEnded}
+            poster={config.getMediaUrl(video.thumbnailUrl)}
           >
-            <source src={video.videoUrl} type="video/mp4" />
+            {/* Range-aware stream endpoint (falls back to the original URL for external videos) */}
+            <source src={config.getMediaUrl(video.streamUrl || video.videoUrl)} type={video.videoFile?.mimeType || 'video/mp4'} />
             Your browser does not support the video tag.
           </video>
         </div>
@@ -341,6 +620,32 @@ const VideoPlayer = () => {
                 </svg>
                 {video.dislikes || 0}
               </button>
+
+              {/* Watch Later toggle with authentication check */}
+              <button 
+                className={`video-player__btn ${isInWatchLater(user, videoId) ? 'video-player__btn--liked' : ''}`}
+                onClick={handleWatchLater}
+                disabled={!isAuthenticated}
+                title={!isAuthenticated ? 'Sign in to save videos' : ''}
+              >
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10 10-4.5 10-10S17.5 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67V7z"/>
+                </svg>
+                {isInWatchLater(user, videoId) ? 'Saved' : 'Watch later'}
+              </button>
+
+              {/* Save to playlist button with authentication check */}
+              <button 
+                className="video-player__btn"
+                onClick={() => setShowSaveModal(true)}
+                disabled={!isAuthenticated}
+                title={!isAuthenticated ? 'Sign in to save videos' : ''}
+              >
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M14 10H2v2h12v-2zm0-4H2v2h12V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM2 16h8v-2H2v2z"/>
+                </svg>
+                Save
+              </button>
             </div>
           </div>
 
@@ -366,7 +671,7 @@ const VideoPlayer = () => {
         {/* Comments Section */}
         <div className="video-player__comments">
           {/* Comments header with count */}
-          <h3>{comments.length} Comments</h3>
+          <h3>{commentTotal} Comments</h3>
           
           {/* Comment form for authenticated users */}
           {isAuthenticated && (
@@ -384,20 +689,116 @@ const VideoPlayer = () => {
             </form>
           )}
 
-          {/* Comments list display */}
+          {/* Comments list display, with placeholders while a page loads */}
           <div className="video-player__comments-list">
-            {comments.map(comment => (
-              <Comment
-                key={comment._id}
-                comment={comment}
-                onCommentUpdate={handleCommentUpdate}
-                onCommentDelete={handleCommentDelete}
-              />
+            {commentsLoading
+              ? Array.from({ length: COMMENT_SKELETON_COUNT }, (_, index) => (
+                <CommentSkeleton key={index} />
+              ))
+              : comments.map(comment => (
+                <Comment
+                  key={comment._id}
+                  comment={comment}
+                  onCommentUpdate={handleCommentUpdate}
+                  onCommentDelete={handleCommentDelete}
+                />
+              ))}
+            {loadingMoreComments && Array.from({ length: MORE_COMMENT_SKELETON_COUNT }, (_, index) => (
+              <CommentSkeleton key={`more-${index}`} />
             ))}
+            {/* Sentinel that triggers loading the next page of comments */}
+            <div ref={commentsSentinelRef} className="video-player__comments-sentinel"></div>
           </div>
         </div>
         </div>
+
+        <div className="video-player__side">
+        {/* Playlist queue - only shown in playlist mode */}
+        {playlist && (
+          <aside className="video-player__playlist">
+            <div className="video-player__playlist-header">
+              <Link
+                to={SPECIAL_LIST_PATHS[playlist._id] || `/playlist/${playlist._id}`}
+                className="video-player__playlist-title"
+              >
+                {playlist.title}
+              </Link>
+              <p className="video-player__playlist-meta">
+                {playlist.owner && `${playlist.owner.username} • `}{playlistIndex + 1} / {playlist.videos.length}
+              </p>
+              <div className="video-player__playlist-controls">
+                <button
+                  className="video-player__btn"
+                  onClick={() => playPlaylistVideo(previousVideo)}
+                  disabled={!previousVideo}
+                  title="Previous video"
+                >
+                  ⏮ Previous
+                </button>
+                <button
+                  className="video-player__btn"
+                  onClick={() => playPlaylistVideo(nextVideo)}
+                  disabled={!nextVideo}
+                  title="Next video"
+                >
+                  Next ⏭
+                </button>
+              </div>
+            </div>
+
+            <div className="video-player__playlist-items">
+              {playlist.videos.map((item, index) => (
+                <div
+                  key={item._id}
+                  className={`video-player__playlist-item ${index === playlistIndex ? 'video-player__playlist-item--active' : ''}`}
+                  onClick={() => playPlaylistVideo(item)}
+                >
+                  <span className="video-player__playlist-index">{index === playlistIndex ? '▶' : index + 1}</span>
+                  <img src={config.getMediaUrl(item.thumbnailUrl)} alt={item.title} loading="lazy" />
+                  <div className="video-player__playlist-info">
+                    <h4>{item.title}</h4>
+                    <p>{item.channelId?.channelName || 'Unknown Channel'}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </aside>
+        )}
+
+        {/* Up next recommendations */}
+        <aside className="video-player__up-next">
+          <div className="video-player__up-next-header">
+            <h3>Up next</h3>
+            <label className="video-player__autoplay" title="Play the next video automatically">
+              Autoplay
+              <input type="checkbox" checked={autoplay} onChange={handleAutoplayChange} />
+              <span className="video-player__autoplay-switch"></span>
+            </label>
+          </div>
+
+          {relatedVideos.map(item => (
+            <Link key={item._id} to={`/video/${item._id}`} className="video-player__up-next-item">
+              <div className="video-player__up-next-thumbnail">
+                <img src={config.getMediaUrl(item.thumbnailUrl)} alt={item.title} loading="lazy" />
+                {item.duration && item.duration !== '0:00' && (
+                  <span className="video-player__up-next-duration">{item.duration}</span>
+                )}
+              </div>
+              <div className="video-player__up-next-info">
+                <h4>{item.title}</h4>
+                <p>{item.channelId?.channelName || 'Unknown Channel'}</p>
+                <p>{(item.views || 0).toLocaleString()} views</p>
+              </div>
+            </Link>
+          ))}
+        </aside>
+        </div>
       </div>
+
+      {/* Save to playlist dialog */}
+      {showSaveModal && (
+        <SaveToPlaylistModal videoId={video._id} onClose={() => setShowSaveModal(false)} />
+      )}
     </div>
   );
 };
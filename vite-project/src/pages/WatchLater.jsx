@@ -0,0 +1,180 @@
+/**
+ * Watch Later Page Component
+ *
+ * Shows the signed-in user's Watch Later queue in order, with controls to
+ * play it, reorder videos and remove them. Shares the playlist page layout.
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import config from '../config.js';
+import { fetchWatchLater, toggleWatchLater, reorderWatchLater } from '../utils/watchLater.js';
+import './Playlist.css';
+
+/**
+ * Watch Later Page Component
+ *
+ * Two-column layout with the queue summary on the left and the numbered
+ * video list on the right. Clicking a video plays the queue in playlist mode.
+ */
+const WatchLater = () => {
+  // Authentication and navigation
+  const { user, updateUser } = useAuth(); // Current user and profile updater
+  const navigate = useNavigate(); // Navigate to the player
+
+  // Queue data state
+  const [videos, setVideos] = useState([]); // Queued videos in order
+  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [error, setError] = useState(''); // Error message display
+  const [saving, setSaving] = useState(false); // Reorder in progress
+
+  /**
+   * Queue Loading Effect
+   *
+   * Loads the Watch Later videos once the user is known (keyed by ID so
+   * queue updates stored on the user do not trigger a reload).
+   */
+  const userId = user?._id;
+  useEffect(() => {
+    if (!userId) return;
+
+    fetchWatchLater()
+      .then(setVideos)
+      .catch(() => setError('Failed to load Watch Later'))
+      .finally(() => setLoading(false));
+  }, [userId]);
+
+  /**
+   * Queue Video Link Builder
+   *
+   * Player URL for a video with the Watch Later queue in playlist mode.
+   */
+  const getQueueVideoPath = (videoId) => `/video/${videoId}?list=${config.WATCH_LATER_LIST_ID}`;
+
+  /**
+   * Video Move Handler
+   *
+   * Moves a video one position up or down and saves the new order.
+   * The list is updated optimistically and restored if saving fails.
+   */
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= videos.length) return;
+
+    const previousVideos = videos;
+    const reordered = [...previousVideos];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setVideos(reordered);
+    setSaving(true);
+
+    try {
+      updateUser({ watchLater: await reorderWatchLater(reordered.map(video => video._id)) });
+    } catch (error) {
+      setVideos(previousVideos);
+      alert(error.response?.data?.message || 'Failed to reorder Watch Later');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Video Removal Handler
+   *
+   * Removes a video from the queue.
+   */
+  const handleRemove = async (videoId) => {
+    try {
+      updateUser({ watchLater: await toggleWatchLater(videoId, true) });
+      setVideos(prev => prev.filter(video => video._id !== videoId));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to remove video');
+    }
+  };
+
+  // Early return if user is not authenticated
+  if (!user) {
+    return (
+      <div className="playlist">
+        <div className="playlist__error">
+          <h2>Sign in to see your Watch Later videos</h2>
+          <Link to="/auth">Sign In</Link>
+        </div>
+      </div>
+    );
+  }
+
+  // Loading state display
+  if (loading) {
+    return (
+      <div className="playlist">
+        <div className="playlist__loading">Loading Watch Later...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="playlist">
+      {/* Queue summary panel */}
+      <aside className="playlist__summary">
+        <div className="playlist__cover">
+          {videos[0] ? (
+            <img src={config.getMediaUrl(videos[0].thumbnailUrl)} alt="Watch later" />
+          ) : (
+            <div className="playlist__cover-empty">No videos</div>
+          )}
+        </div>
+
+        <h1 className="playlist__title">Watch later</h1>
+        <p className="playlist__owner">{user.username}</p>
+        <p className="playlist__meta">
+          Private • {videos.length} {videos.length === 1 ? 'video' : 'videos'}
+        </p>
+        {error && <p className="playlist__meta">{error}</p>}
+
+        <div className="playlist__actions">
+          <button
+            className="playlist__btn playlist__btn--primary"
+            onClick={() => navigate(getQueueVideoPath(videos[0]._id))}
+            disabled={videos.length === 0}
+          >
+            ▶ Play all
+          </button>
+        </div>
+      </aside>
+
+      {/* Ordered video list */}
+      <div className="playlist__videos">
+        {videos.length === 0 && (
+          <p className="playlist__empty">Save videos to watch later and they will show up here.</p>
+        )}
+        {videos.map((video, index) => (
+          <div key={video._id} className="playlist__video">
+            <span className="playlist__index">{index + 1}</span>
+            <Link to={getQueueVideoPath(video._id)} className="playlist__video-link">
+              <div className="playlist__thumbnail">
+                <img src={config.getMediaUrl(video.thumbnailUrl)} alt={video.title} loading="lazy" />
+                {video.duration && video.duration !== '0:00' && (
+                  <span className="playlist__duration">{video.duration}</span>
+                )}
+              </div>
+              <div className="playlist__video-info">
+                <h3>{video.title}</h3>
+                <p>{video.channelId?.channelName || 'Unknown Channel'} • {(video.views || 0).toLocaleString()} views</p>
+              </div>
+            </Link>
+
+            {/* Controls for ordering and removal */}
+            <div className="playlist__video-actions">
+              <button onClick={() => handleMove(index, -1)} disabled={saving || index === 0} title="Move up">▲</button>
+              <button onClick={() => handleMove(index, 1)} disabled={saving || index === videos.length - 1} title="Move down">▼</button>
+              <button onClick={() => handleRemove(video._id)} title="Remove from Watch later">✕</button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WatchLater;
@@ -0,0 +1,156 @@
+/**
+ * Playback Analytics Client
+ *
+ * Client helpers for playback analytics: a tracker that turns the player's
+ * progress into heartbeats for POST /api/videos/:id/heartbeat, and loaders
+ * for the owner-only video and channel analytics.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+// Seconds of playback between heartbeats
+const HEARTBEAT_INTERVAL = 15;
+
+// Most played ranges sent per heartbeat (the server accepts up to 20)
+const MAX_HEARTBEAT_SEGMENTS = 20;
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by the analytics requests.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * Session ID Generator
+ *
+ * Random ID for a playback session. crypto.randomUUID only exists in secure
+ * contexts (HTTPS or localhost), so plain-HTTP hosts fall back to
+ * crypto.getRandomValues, or to Math.random where even that is missing.
+ */
+const createSessionId = () => {
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+
+  const bytes = new Uint8Array(16);
+  if (globalThis.crypto?.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Rounds a playback time to hundredths of a second
+const roundTime = (seconds) => Math.round(seconds * 100) / 100;
+
+/**
+ * Heartbeat Sender
+ *
+ * Sends the ranges of a video played since the last heartbeat. With
+ * `keepalive` the request goes through fetch's keepalive mode, which the
+ * browser completes even while the page is unloading. Failures are logged
+ * rather than thrown so playback is never interrupted.
+ */
+const sendHeartbeat = async (videoId, sessionId, segments, { keepalive = false } = {}) => {
+  const url = config.getApiUrl(config.API_ENDPOINTS.VIDEOS.HEARTBEAT(videoId));
+  const heartbeat = {
+    sessionId,
+    segments: segments.map(({ start, end }) => ({ start: roundTime(start), end: roundTime(end) }))
+  };
+
+  try {
+    if (keepalive) {
+      // Same credentials axios would send (set by AuthContext when signed in)
+      const authorization = axios.defaults.headers.common['Authorization'];
+      await fetch(url, {
+        method: 'POST',
+        keepalive: true,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authorization && { Authorization: authorization })
+        },
+        body: JSON.stringify(heartbeat)
+      });
+    } else {
+      await axios.post(url, heartbeat);
+    }
+  } catch (error) {
+    console.error('Failed to send playback heartbeat:', error);
+  }
+};
+
+/**
+ * Playback Tracker Factory
+ *
+ * Creates a tracker for one player. `start(videoId)` begins a playback
+ * session for a newly loaded video; `track(from, to)` records continuous
+ * playback between two times (seeks are simply not tracked); `flush()`
+ * sends what was played since the last heartbeat, which also happens
+ * automatically every HEARTBEAT_INTERVAL seconds of playback. Pass
+ * `{ keepalive: true }` to flush while the page is being unloaded.
+ */
+export const createPlaybackTracker = () => {
+  let session = null; // { videoId, sessionId } of the current playback
+  let segments = []; // Ranges played since the last heartbeat
+  let unsentSeconds = 0; // Seconds played since the last heartbeat
+
+  const flush = (options) => {
+    if (!session || segments.length === 0) return;
+    const played = segments;
+    segments = [];
+    unsentSeconds = 0;
+    sendHeartbeat(session.videoId, session.sessionId, played, options);
+  };
+
+  return {
+    start(videoId) {
+      flush();
+      session = { videoId, sessionId: createSessionId() };
+    },
+
+    track(from, to) {
+      // Extend the current range when playback continues where it left off
+      const last = segments[segments.length - 1];
+      if (last && last.end === from) {
+        last.end = to;
+      } else {
+        segments.push({ start: from, end: to });
+      }
+
+      unsentSeconds += to - from;
+      if (unsentSeconds >= HEARTBEAT_INTERVAL || segments.length >= MAX_HEARTBEAT_SEGMENTS) {
+        flush();
+      }
+    },
+
+    flush
+  };
+};
+
+/**
+ * Video Analytics Loader
+ *
+ * Fetches a video's playbacks, watch time, average view duration and
+ * retention curve over the last `days` days (owner only).
+ */
+export const fetchVideoAnalytics = async (videoId, days) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.ANALYTICS(videoId)), {
+    params: { days },
+    headers: authHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Channel Analytics Loader
+ *
+ * Fetches a channel's totals and per-video watch time over the last
+ * `days` days (owner only).
+ */
+export const fetchChannelAnalytics = async (channelId, days) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.CHANNELS.ANALYTICS(channelId)), {
+    params: { days },
+    headers: authHeaders()
+  });
+  return response.data;
+};
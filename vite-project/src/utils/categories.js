@@ -0,0 +1,65 @@
+/**
+ * Categories Client
+ *
+ * Loads the content categories from /api/categories, the single source of
+ * truth shared with the backend. The list is fetched once per page load and
+ * shared by every component that needs it (filters, selects, navigation).
+ */
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import config from '../config.js';
+
+// Pending or completed request for the category list, shared by all callers
+let categoriesRequest = null;
+
+/**
+ * Category List Loader
+ *
+ * Resolves to [{ slug, label, icon, videoCount }] in display order.
+ * A failed request is not cached, so the next call retries.
+ */
+export const fetchCategories = () => {
+  if (!categoriesRequest) {
+    categoriesRequest = axios.get(config.getApiUrl(config.API_ENDPOINTS.CATEGORIES.BASE))
+      .then(response => response.data.categories)
+      .catch(error => {
+        categoriesRequest = null;
+        throw error;
+      });
+  }
+  return categoriesRequest;
+};
+
+/**
+ * Single Category Loader
+ *
+ * Fetches one category by slug with its current video count.
+ */
+export const fetchCategory = async (slug) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.CATEGORIES.CATEGORY(slug)));
+  return response.data.category;
+};
+
+/**
+ * Categories Hook
+ *
+ * Returns the category list, or an empty array until it has loaded.
+ */
+export const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    fetchCategories()
+      .then(list => {
+        if (active) setCategories(list);
+      })
+      .catch(error => console.error('Error fetching categories:', error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return categories;
+};
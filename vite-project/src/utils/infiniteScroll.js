@@ -0,0 +1,44 @@
+/**
+ * Infinite Scroll Hook
+ *
+ * Calls a loader when a sentinel element placed after a list comes near
+ * the viewport, so feeds load their next page while the user scrolls.
+ */
+
+import { useEffect, useRef } from 'react';
+
+// How far below the viewport the sentinel starts the next page loading
+const PRELOAD_MARGIN = '400px';
+
+/**
+ * useInfiniteScroll Hook
+ *
+ * Returns a ref for the sentinel element. `onLoadMore` runs whenever the
+ * sentinel comes within PRELOAD_MARGIN of the viewport while `enabled`
+ * (pass false while a page is loading or when there are no more pages).
+ * Re-enabling re-checks the position, so short pages keep loading until
+ * the viewport is filled.
+ */
+export const useInfiniteScroll = (onLoadMore, enabled) => {
+  const sentinelRef = useRef(null);
+  const loadMoreRef = useRef(onLoadMore);
+
+  // Always call the latest loader without re-creating the observer
+  useEffect(() => {
+    loadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel) return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMoreRef.current();
+    }, { rootMargin: PRELOAD_MARGIN });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinelRef;
+};
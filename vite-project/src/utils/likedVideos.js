@@ -0,0 +1,39 @@
+/**
+ * Liked Videos Client
+ *
+ * Client helpers for the signed-in user's liked videos under
+ * /api/users/me/liked.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by every liked videos request.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * Liked Videos Loader
+ *
+ * Fetches one page of liked videos, most recent like first.
+ * Resolves to { videos, total, page, totalPages }.
+ */
+export const fetchLikedVideos = async ({ page = 1, limit = 20 } = {}) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.USERS.LIKED), {
+    params: { page, limit },
+    headers: authHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Like Remover
+ * Removes the user's like from a video.
+ */
+export const unlikeVideo = async (videoId) => {
+  await axios.post(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.LIKE(videoId)), { action: 'remove' }, {
+    headers: authHeaders()
+  });
+};
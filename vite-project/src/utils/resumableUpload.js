@@ -0,0 +1,250 @@
+/**
+ * Resumable Upload Client
+ *
+ * Client side of the chunked upload protocol exposed under /api/uploads.
+ * Sends a file in chunks at explicit offsets, retries failed chunks, and
+ * remembers unfinished sessions in localStorage so they survive a page reload.
+ * Sessions are remembered per signed-in user, since only their uploader can
+ * resume them.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+// Prefix of the per-user localStorage keys holding unfinished uploads by file fingerprint
+const STORAGE_KEY_PREFIX = 'pendingUploads';
+
+// Content type expected by the chunk endpoint
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by every upload request.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * File Fingerprint Generator
+ *
+ * Identifies a file across page reloads. Browsers cannot persist File objects,
+ * so the user re-selects the file and it is matched by name, size and date.
+ */
+export const getFileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Storage Key Helper
+ *
+ * localStorage key of the signed-in user's unfinished uploads, or null when
+ * nobody is signed in.
+ */
+const getStorageKey = () => {
+  try {
+    const userId = JSON.parse(localStorage.getItem('user'))?._id;
+    return userId ? `${STORAGE_KEY_PREFIX}:${userId}` : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Pending Uploads Reader
+ *
+ * Returns the signed-in user's unfinished uploads stored in localStorage,
+ * dropping expired sessions.
+ */
+export const getPendingUploads = () => {
+  const storageKey = getStorageKey();
+  if (!storageKey) return {};
+
+  try {
+    const uploads = JSON.parse(localStorage.getItem(storageKey)) || {};
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(uploads).filter(([, upload]) => new Date(upload.expiresAt).getTime() > now)
+    );
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Pending Upload Writer
+ * Stores or updates one unfinished upload entry.
+ */
+const savePendingUpload = (fingerprint, upload) => {
+  const storageKey = getStorageKey();
+  if (!storageKey) return;
+
+  const uploads = getPendingUploads();
+  uploads[fingerprint] = { ...uploads[fingerprint], ...upload };
+  localStorage.setItem(storageKey, JSON.stringify(uploads));
+};
+
+/**
+ * Pending Upload Remover
+ * Forgets an upload once it has been finalized or abandoned.
+ */
+export const clearPendingUpload = (fingerprint) => {
+  const storageKey = getStorageKey();
+  if (!storageKey) return;
+
+  const uploads = getPendingUploads();
+  delete uploads[fingerprint];
+  localStorage.setItem(storageKey, JSON.stringify(uploads));
+};
+
+/**
+ * Pending Uploads Cleaner
+ * Forgets every unfinished upload of the signed-in user (on logout).
+ */
+export const clearPendingUploads = () => {
+  const storageKey = getStorageKey();
+  if (storageKey) localStorage.removeItem(storageKey);
+};
+
+/**
+ * Upload Offset Query
+ * Asks the server how many bytes of a session it has received.
+ */
+const fetchOffset = async (uploadId) => {
+  const response = await axios.head(config.getApiUrl(config.API_ENDPOINTS.UPLOADS.SESSION(uploadId)), {
+    headers: authHeaders()
+  });
+  return parseInt(response.headers['upload-offset'], 10);
+};
+
+// Promise-based delay used for retry backoff
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resumable File Upload
+ *
+ * Uploads a file chunk by chunk, resuming a stored session for the same file
+ * when one exists. Reports progress per chunk through onProgress and retries
+ * network and server errors with exponential backoff.
+ *
+ * @param {File} file - Video file to upload
+ * @param {Object} options - onProgress callback, extra metadata to remember, retry limit
+ * @returns {Promise<{uploadId: string, fingerprint: string}>}
+ */
+export const uploadFileResumable = async (file, { onProgress, metadata, maxRetries = 5 } = {}) => {
+  const fingerprint = getFileFingerprint(file);
+  const pending = getPendingUploads()[fingerprint];
+  let uploadId = null;
+  let chunkSize = 0;
+  let offset = 0;
+
+  // Try to resume an earlier session for the same file
+  if (pending) {
+    try {
+      offset = await fetchOffset(pending.uploadId);
+      uploadId = pending.uploadId;
+      chunkSize = pending.chunkSize;
+    } catch (error) {
+      if (!error.response || error.response.status >= 500) throw error;
+      clearPendingUpload(fingerprint); // Session expired or no longer ours
+    }
+  }
+
+  // Otherwise start a new session
+  if (!uploadId) {
+    const response = await axios.post(config.getApiUrl(config.API_ENDPOINTS.UPLOADS.BASE), {
+      filename: file.name,
+      mimeType: file.type,
+      size: file.size
+    }, { headers: authHeaders() });
+
+    ({ uploadId, chunkSize, offset } = response.data);
+    savePendingUpload(fingerprint, {
+      uploadId,
+      chunkSize,
+      fileName: file.name,
+      totalSize: file.size,
+      expiresAt: response.data.expiresAt
+    });
+  }
+
+  if (metadata) {
+    savePendingUpload(fingerprint, { metadata });
+  }
+
+  const totalChunks = Math.ceil(file.size / chunkSize);
+  const chunkUrl = config.getApiUrl(config.API_ENDPOINTS.UPLOADS.SESSION(uploadId));
+  let retries = 0;
+
+  onProgress?.({ loaded: offset, total: file.size, chunk: Math.floor(offset / chunkSize), totalChunks });
+
+  while (offset < file.size) {
+    const chunkIndex = Math.floor(offset / chunkSize);
+    const chunkStart = offset;
+    const chunk = file.slice(chunkStart, Math.min(chunkStart + chunkSize, file.size));
+
+    try {
+      const response = await axios.patch(chunkUrl, chunk, {
+        headers: {
+          ...authHeaders(),
+          'Content-Type': CHUNK_CONTENT_TYPE,
+          'Upload-Offset': String(chunkStart)
+        },
+        onUploadProgress: (event) => {
+          onProgress?.({ loaded: chunkStart + event.loaded, total: file.size, chunk: chunkIndex, totalChunks });
+        }
+      });
+
+      offset = parseInt(response.headers['upload-offset'], 10);
+      retries = 0;
+      savePendingUpload(fingerprint, { offset });
+      onProgress?.({ loaded: offset, total: file.size, chunk: chunkIndex + 1, totalChunks });
+    } catch (error) {
+      const status = error.response?.status;
+
+      // Server and client disagree about the offset: continue from the server's
+      if (status === 409 && typeof error.response.data?.offset === 'number') {
+        offset = error.response.data.offset;
+        continue;
+      }
+
+      // Client errors will not succeed on retry
+      if (status && status < 500) throw error;
+
+      retries += 1;
+      if (retries > maxRetries) throw error;
+
+      await wait(1000 * 2 ** (retries - 1));
+      offset = await fetchOffset(uploadId).catch(() => offset);
+    }
+  }
+
+  return { uploadId, fingerprint };
+};
+
+/**
+ * Upload Finalizer
+ *
+ * Publishes a completed upload as a video with its metadata and thumbnail.
+ *
+ * @param {string} uploadId - Completed upload session ID
+ * @param {FormData} formData - Video metadata fields and the thumbnail file
+ */
+export const finalizeUpload = (uploadId, formData) => {
+  return axios.post(config.getApiUrl(config.API_ENDPOINTS.UPLOADS.FINALIZE(uploadId)), formData, {
+    headers: authHeaders()
+  });
+};
+
+/**
+ * Upload Canceller
+ *
+ * Abandons an upload session on the server and forgets it locally.
+ * A session that has already expired is treated as cancelled.
+ */
+export const cancelUpload = async (fingerprint, uploadId) => {
+  clearPendingUpload(fingerprint);
+  try {
+    await axios.delete(config.getApiUrl(config.API_ENDPOINTS.UPLOADS.SESSION(uploadId)), {
+      headers: authHeaders()
+    });
+  } catch (error) {
+    if (!error.response || error.response.status >= 500) throw error;
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Search Client
+ *
+ * Client helpers for search: unified search and autocomplete suggestions
+ * from /api/search, the signed-in user's recent searches under
+ * /api/users/me/searches, and filtered video search through /api/videos.
+ * Recent search mutations resolve to the updated list, which callers store
+ * on the user via updateUser.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by recent search requests.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * Suggestions Loader
+ *
+ * Fetches suggestions for a prefix: [{ type, text, channelId? }].
+ */
+export const fetchSearchSuggestions = async (prefix) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.SEARCH.SUGGESTIONS), {
+    params: { q: prefix }
+  });
+  return response.data.suggestions;
+};
+
+/**
+ * Unified Search Loader
+ *
+ * Searches channels, playlists and videos at once. Resolves to the result
+ * groups ([{ type, total, results }]), limited to `types` when given.
+ */
+export const searchAll = async (query, { types, limit } = {}) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.SEARCH.BASE), {
+    params: { q: query, types: types?.join(','), limit }
+  });
+  return response.data.groups;
+};
+
+// Upload date filter presets: how far back each one reaches, in milliseconds
+export const UPLOAD_DATE_FILTERS = {
+  hour: 60 * 60 * 1000,
+  today: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Video Search Loader
+ *
+ * Fetches one page of video search results. `filters` holds the optional
+ * sort, duration, upload date preset (see UPLOAD_DATE_FILTERS), channel ID
+ * and tag list; `facets` asks for the channel and tag facets as well.
+ * `mode` 'fuzzy' matches misspelled and partial words too. Pass the
+ * previous response's `nextCursor` as `cursor` to load the following page.
+ */
+export const searchVideos = async ({ query, filters = {}, cursor, facets = false, mode }) => {
+  const { sort, duration, date, channel, tags = [] } = filters;
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.BASE), {
+    params: {
+      search: query,
+      mode,
+      sort,
+      duration,
+      uploadedAfter: UPLOAD_DATE_FILTERS[date]
+        ? new Date(Date.now() - UPLOAD_DATE_FILTERS[date]).toISOString()
+        : undefined,
+      channel,
+      tags: tags.length > 0 ? tags.join(',') : undefined,
+      facets: facets || undefined,
+      cursor: cursor || undefined
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Recent Search Saver
+ * Moves a query to the top of the user's recent searches.
+ */
+export const saveRecentSearch = async (query) => {
+  const response = await axios.post(config.getApiUrl(config.API_ENDPOINTS.USERS.SEARCHES), { query }, {
+    headers: authHeaders()
+  });
+  return response.data.searches;
+};
+
+/**
+ * Recent Search Remover
+ * Removes a query from the user's recent searches.
+ */
+export const removeRecentSearch = async (query) => {
+  const response = await axios.delete(config.getApiUrl(config.API_ENDPOINTS.USERS.SEARCH(query)), {
+    headers: authHeaders()
+  });
+  return response.data.searches;
+};
@@ -0,0 +1,63 @@
+/**
+ * View Reporting Client
+ *
+ * Reports watched time to POST /api/videos/:id/view, which counts a view
+ * once the video's view threshold is reached. Each report carries the view
+ * token returned with the video. Anonymous browsers keep the signed viewer
+ * token the server issues in localStorage and send it back when loading
+ * videos, so the server can recognize their repeated plays.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+// localStorage key of the anonymous viewer token
+const VIEWER_TOKEN_STORAGE_KEY = 'viewerToken';
+
+/**
+ * Viewer Headers Helper
+ *
+ * Returns the headers identifying this browser when loading a video: the
+ * stored viewer token, if any. Without one the server issues a new token.
+ */
+export const getViewerHeaders = () => {
+  try {
+    const viewerToken = localStorage.getItem(VIEWER_TOKEN_STORAGE_KEY);
+    return viewerToken ? { 'X-Viewer-Token': viewerToken } : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Viewer Token Saver
+ *
+ * Stores the viewer token returned with a video (only sent to anonymous
+ * viewers). Ignored when localStorage is unavailable.
+ */
+export const saveViewerToken = (viewerToken) => {
+  if (!viewerToken) return;
+  try {
+    localStorage.setItem(VIEWER_TOKEN_STORAGE_KEY, viewerToken);
+  } catch {
+    // The server then recognizes the browser by its fingerprint only
+  }
+};
+
+/**
+ * View Reporter
+ *
+ * Reports the seconds of a video watched so far. Signed-in requests carry
+ * the auth header set by AuthContext. Resolves to { counted, views, threshold }.
+ *
+ * @param {string} videoId - Video being watched
+ * @param {string} viewToken - View token returned with the video
+ * @param {number} watchedSeconds - Seconds of playback, excluding skipped parts
+ */
+export const reportView = async (videoId, viewToken, watchedSeconds) => {
+  const response = await axios.post(config.getApiUrl(config.API_ENDPOINTS.VIDEOS.VIEW(videoId)), {
+    watchedSeconds: Math.floor(watchedSeconds),
+    viewToken
+  });
+  return response.data;
+};
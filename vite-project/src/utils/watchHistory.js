@@ -0,0 +1,83 @@
+/**
+ * Watch History Client
+ *
+ * Client helpers for the signed-in user's watch history under
+ * /api/users/me/history: recording playback positions, paging and searching
+ * the history, removing entries and pausing recording.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by every history request.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * Watch Event Recorder
+ *
+ * Stores the current playback position of a video. Failures are logged
+ * rather than thrown so playback is never interrupted.
+ *
+ * @param {string} videoId - Video being watched
+ * @param {number} position - Playback position in seconds
+ */
+export const recordWatch = async (videoId, position) => {
+  try {
+    await axios.post(config.getApiUrl(config.API_ENDPOINTS.USERS.HISTORY), {
+      videoId,
+      position: Math.floor(position || 0)
+    }, {
+      headers: authHeaders()
+    });
+  } catch (error) {
+    console.error('Failed to record watch history:', error);
+  }
+};
+
+/**
+ * History Page Loader
+ *
+ * Fetches one page of history entries, optionally filtered by a title search.
+ * Resolves to { entries, total, page, totalPages, paused }.
+ */
+export const fetchHistory = async ({ page = 1, query = '' } = {}) => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.USERS.HISTORY), {
+    params: { page, q: query || undefined },
+    headers: authHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * History Entry Remover
+ * Deletes a single entry from the watch history.
+ */
+export const removeHistoryEntry = (entryId) => {
+  return axios.delete(config.getApiUrl(config.API_ENDPOINTS.USERS.HISTORY_ENTRY(entryId)), {
+    headers: authHeaders()
+  });
+};
+
+/**
+ * History Clearer
+ * Deletes every entry from the watch history.
+ */
+export const clearHistory = () => {
+  return axios.delete(config.getApiUrl(config.API_ENDPOINTS.USERS.HISTORY), {
+    headers: authHeaders()
+  });
+};
+
+/**
+ * History Pause Toggle
+ * Turns history recording off (true) or back on (false).
+ */
+export const setHistoryPaused = async (paused) => {
+  const response = await axios.put(config.getApiUrl(config.API_ENDPOINTS.USERS.HISTORY_PAUSED), { paused }, {
+    headers: authHeaders()
+  });
+  return response.data.paused;
+};
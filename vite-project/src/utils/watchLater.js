@@ -0,0 +1,65 @@
+/**
+ * Watch Later Client
+ *
+ * Client helpers for the signed-in user's Watch Later queue under
+ * /api/users/me/watch-later. Mutations resolve to the updated list of
+ * queued video IDs, which callers store on the user via updateUser.
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+
+/**
+ * Authorization Header Helper
+ * Builds the bearer token header used by every Watch Later request.
+ */
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * Queue Membership Check
+ * True if the user's Watch Later queue contains the video.
+ */
+export const isInWatchLater = (user, videoId) => Boolean(user?.watchLater?.includes(videoId));
+
+/**
+ * Watch Later Loader
+ * Fetches the queued videos in queue order.
+ */
+export const fetchWatchLater = async () => {
+  const response = await axios.get(config.getApiUrl(config.API_ENDPOINTS.USERS.WATCH_LATER), {
+    headers: authHeaders()
+  });
+  return response.data.videos;
+};
+
+/**
+ * Watch Later Toggle
+ *
+ * Adds the video to the queue, or removes it when it is already saved.
+ *
+ * @param {string} videoId - Video to add or remove
+ * @param {boolean} saved - Whether the video is currently queued
+ * @returns {Promise<string[]>} Updated queue of video IDs
+ */
+export const toggleWatchLater = async (videoId, saved) => {
+  const response = saved
+    ? await axios.delete(config.getApiUrl(config.API_ENDPOINTS.USERS.WATCH_LATER_VIDEO(videoId)), {
+      headers: authHeaders()
+    })
+    : await axios.post(config.getApiUrl(config.API_ENDPOINTS.USERS.WATCH_LATER), { videoId }, {
+      headers: authHeaders()
+    });
+  return response.data.watchLater;
+};
+
+/**
+ * Watch Later Reorderer
+ *
+ * Saves a new queue order and resolves to the updated queue of video IDs.
+ */
+export const reorderWatchLater = async (videoIds) => {
+  const response = await axios.put(config.getApiUrl(config.API_ENDPOINTS.USERS.WATCH_LATER_ORDER), { videoIds }, {
+    headers: authHeaders()
+  });
+  return response.data.watchLater;
+};